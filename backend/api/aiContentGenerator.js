@@ -126,7 +126,8 @@ INSTRUCTIONS:
 4. Keep the email concise, professional, and engaging.
 5. Include a clear call to action (e.g., request for an interview, meeting, or further discussion).
 6. Create an attention-grabbing subject line.
-7. Format your response as follows:
+7. Write the body as plain text. You may use blank lines between paragraphs, "-" bullet lists, **bold** and [text](https://...) links, but no HTML.
+8. Format your response as follows:
 
 SUBJECT: [Your subject line here]
 
@@ -0,0 +1,229 @@
+import crypto from "crypto";
+import fs from "fs/promises";
+import { readFileSync } from "fs";
+import dotenv from "dotenv";
+import path from "path";
+import { fileURLToPath } from "url";
+import { DEFAULT_TEMPLATE_NAME } from "./emailTemplates.js";
+
+// Get the directory name
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// Load environment variables from .env file in the config directory
+dotenv.config({ path: path.join(__dirname, "../../config/.env") });
+
+/**
+ * Attachments - Loads the CV, cover letter, portfolio, ... attached to job
+ * application emails
+ *
+ * Files are configured in the JSON file in ATTACHMENTS_FILE, with paths
+ * relative to that file:
+ *
+ *   {
+ *     "files": {
+ *       "cv": { "path": "cv-2024-10.pdf", "filename": "Jane Doe - CV.pdf", "version": "2024-10" },
+ *       "portfolio": { "path": "portfolio.pdf" }
+ *     },
+ *     "default": ["cv"],
+ *     "templates": { "job-application": ["cv", "portfolio"] }
+ *   }
+ *
+ * A company's own `attachments` list wins over the template's list, which
+ * wins over "default".
+ */
+
+// Maximum size of a single attachment and of all attachments of an email
+const ATTACHMENT_MAX_SIZE_MB = parseFloat(
+  process.env.ATTACHMENT_MAX_SIZE_MB || "5"
+);
+const ATTACHMENT_MAX_TOTAL_MB = parseFloat(
+  process.env.ATTACHMENT_MAX_TOTAL_MB || "10"
+);
+
+// MIME types of the file types that may be attached
+const MIME_TYPES = {
+  ".pdf": "application/pdf",
+  ".doc": "application/msword",
+  ".docx":
+    "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
+  ".odt": "application/vnd.oasis.opendocument.text",
+  ".rtf": "application/rtf",
+  ".txt": "text/plain",
+  ".md": "text/markdown",
+  ".png": "image/png",
+  ".jpg": "image/jpeg",
+  ".jpeg": "image/jpeg",
+};
+
+// Every PDF starts with "%PDF-"
+const PDF_MAGIC = Buffer.from("%PDF-");
+
+// Attachment configuration, if any
+const ATTACHMENTS_FILE = process.env.ATTACHMENTS_FILE
+  ? path.resolve(process.env.ATTACHMENTS_FILE)
+  : null;
+const ATTACHMENT_CONFIG = readAttachmentConfig(ATTACHMENTS_FILE);
+
+// Loaded files by path, so a batch reads each file once
+const loadedFiles = new Map();
+
+/**
+ * Get the names of the attachments for a company's email
+ * @param {Object} company - Company (its `attachments` list overrides the configuration)
+ * @param {String} templateName - Email template name
+ * @returns {Array<String>} - Attachment names
+ */
+export function getAttachmentNames(
+  company = {},
+  templateName = DEFAULT_TEMPLATE_NAME
+) {
+  if (Array.isArray(company.attachments)) {
+    return company.attachments;
+  }
+
+  const templates = ATTACHMENT_CONFIG.templates || {};
+
+  if (Array.isArray(templates[templateName])) {
+    return templates[templateName];
+  }
+
+  return ATTACHMENT_CONFIG.default || [];
+}
+
+/**
+ * Load the attachments for a company's email
+ * @param {Object} company - Company information
+ * @param {String} templateName - Email template name
+ * @returns {Promise<Array>} - Attachments ({ name, filename, type, content (base64), size, version, sha256 })
+ */
+export async function getAttachmentsForCompany(
+  company,
+  templateName = DEFAULT_TEMPLATE_NAME
+) {
+  return loadAttachments(getAttachmentNames(company, templateName));
+}
+
+/**
+ * Load configured attachments by name, checking their type and size
+ * @param {Array<String>} names - Attachment names from the configuration
+ * @returns {Promise<Array>} - Attachments ({ name, filename, type, content (base64), size, version, sha256 })
+ */
+export async function loadAttachments(names) {
+  const files = ATTACHMENT_CONFIG.files || {};
+  const attachments = [];
+
+  for (const name of names) {
+    const spec = files[name];
+
+    if (!spec || !spec.path) {
+      throw new Error(
+        `Attachment "${name}" is not configured in ${ATTACHMENTS_FILE || "ATTACHMENTS_FILE"}`
+      );
+    }
+
+    attachments.push(await loadAttachment(name, spec));
+  }
+
+  const totalSize = attachments.reduce(
+    (total, attachment) => total + attachment.size,
+    0
+  );
+
+  if (totalSize > ATTACHMENT_MAX_TOTAL_MB * 1024 * 1024) {
+    throw new Error(
+      `Attachments total ${formatSize(totalSize)}, more than the ${ATTACHMENT_MAX_TOTAL_MB} MB limit`
+    );
+  }
+
+  return attachments;
+}
+
+/**
+ * Describe attachments without their content, for the email record
+ * @param {Array} attachments - Loaded attachments
+ * @returns {Array} - Attachment metadata ({ name, filename, type, size, version, sha256 })
+ */
+export function describeAttachments(attachments) {
+  return attachments.map(({ content, ...metadata }) => metadata);
+}
+
+/**
+ * Load and check a single attachment
+ * @param {String} name - Attachment name
+ * @param {Object} spec - Configuration ({ path, filename, version })
+ * @returns {Promise<Object>} - Attachment
+ */
+async function loadAttachment(name, spec) {
+  const filePath = path.resolve(
+    ATTACHMENTS_FILE ? path.dirname(ATTACHMENTS_FILE) : process.cwd(),
+    spec.path
+  );
+
+  if (!loadedFiles.has(filePath)) {
+    loadedFiles.set(filePath, await fs.readFile(filePath));
+  }
+
+  const data = loadedFiles.get(filePath);
+  const filename = spec.filename || path.basename(filePath);
+  const type = MIME_TYPES[path.extname(filename).toLowerCase()];
+
+  if (!type) {
+    throw new Error(
+      `Attachment "${name}" (${filename}) has an unsupported file type. Supported: ${Object.keys(MIME_TYPES).join(", ")}`
+    );
+  }
+
+  if (type === "application/pdf" && !data.subarray(0, 5).equals(PDF_MAGIC)) {
+    throw new Error(`Attachment "${name}" (${filePath}) is not a PDF file`);
+  }
+
+  if (data.length === 0) {
+    throw new Error(`Attachment "${name}" (${filePath}) is empty`);
+  }
+
+  if (data.length > ATTACHMENT_MAX_SIZE_MB * 1024 * 1024) {
+    throw new Error(
+      `Attachment "${name}" is ${formatSize(data.length)}, more than the ${ATTACHMENT_MAX_SIZE_MB} MB limit`
+    );
+  }
+
+  return {
+    name,
+    filename,
+    type,
+    content: data.toString("base64"),
+    size: data.length,
+    version: spec.version || null,
+    sha256: crypto.createHash("sha256").update(data).digest("hex"),
+  };
+}
+
+/**
+ * Format a size in bytes for messages
+ * @param {Number} bytes - Size in bytes
+ * @returns {String} - Size in MB
+ */
+function formatSize(bytes) {
+  return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+}
+
+/**
+ * Read the attachment configuration
+ * @param {String} file - Path to the JSON file
+ * @returns {Object} - Configuration ({ files, default, templates }), empty without a file
+ */
+function readAttachmentConfig(file) {
+  if (!file) {
+    return {};
+  }
+
+  try {
+    return JSON.parse(readFileSync(file, "utf8"));
+  } catch (error) {
+    console.error(
+      `Error reading attachment configuration from ${file}:`,
+      error
+    );
+    throw error;
+  }
+}
@@ -1,4 +1,5 @@
 import supabase from "../supabase/client.js";
+import { createSuppressionMatcher, getSuppressions } from "./suppressions.js";
 
 /**
  * Companies API - Functions to interact with the companies table in Supabase
@@ -11,7 +12,7 @@ import supabase from "../supabase/client.js";
  * @param {Number} filters.priority - Filter by priority
  * @param {Boolean} filters.emailVerified - Filter by email verification status
  * @param {Number} filters.limit - Limit the number of results
- * @param {Number} filters.offset - Offset for pagination
+ * @param {Number} filters.offset - Offset for pagination (with limit)
  * @returns {Promise<Array>} - Array of companies
  */
 export async function getCompanies(filters = {}) {
@@ -30,18 +31,17 @@ export async function getCompanies(filters = {}) {
     query = query.eq("email_verified", filters.emailVerified);
   }
 
-  // Apply sorting - default to priority and then created_at
+  // Apply sorting - default to priority and then created_at, with the ID
+  // last so pages never overlap
   query = query
     .order("priority", { ascending: true })
-    .order("created_at", { ascending: true });
+    .order("created_at", { ascending: true })
+    .order("id", { ascending: true });
 
   // Apply pagination if provided
   if (filters.limit) {
-    query = query.limit(filters.limit);
-  }
-
-  if (filters.offset) {
-    query = query.offset(filters.offset);
+    const offset = filters.offset || 0;
+    query = query.range(offset, offset + filters.limit - 1);
   }
 
   const { data, error } = await query;
@@ -130,28 +130,65 @@ export async function deleteCompany(id) {
 
 /**
  * Get companies that are ready to be contacted today
+ *
+ * Companies whose address or domain is on the suppression list are never
+ * returned.
  * @param {Number} limit - Maximum number of companies to return
+ * @param {Object} options - Additional options
+ * @param {Array<String>} options.excludeIds - Companies to leave out (e.g. with an unresolved send attempt)
+ * @param {Function} options.isSuppressed - Suppression matcher from createSuppressionMatcher (default: built from the suppression list)
  * @returns {Promise<Array>} - Array of companies
  */
-export async function getCompaniesForDailyEmails(limit) {
-  // Get companies that:
-  // 1. Have a verified email
-  // 2. Have not been contacted yet (status = pending)
-  // 3. Ordered by priority (1 is highest)
-  const { data, error } = await supabase
-    .from("companies")
-    .select("*")
-    .eq("email_verified", true)
-    .eq("status", "pending")
-    .order("priority", { ascending: true })
-    .limit(limit);
+export async function getCompaniesForDailyEmails(limit, options = {}) {
+  const isSuppressed =
+    options.isSuppressed || createSuppressionMatcher(await getSuppressions());
+  const excludeIds = new Set(options.excludeIds || []);
+  const companies = [];
 
-  if (error) {
-    console.error("Error fetching companies for daily emails:", error);
-    throw error;
+  // Read page by page so skipped companies do not use up today's quota
+  for (let offset = 0; companies.length < limit; offset += limit) {
+    // Get companies that:
+    // 1. Have not been contacted yet (status = pending)
+    // 2. Ordered by priority (1 is highest), verified emails first
+    // Companies without a verified email get their contacts found and
+    // verified by the workflow.
+    const { data, error } = await supabase
+      .from("companies")
+      .select("*")
+      .eq("status", "pending")
+      .order("priority", { ascending: true })
+      .order("email_verified", { ascending: false })
+      // Unique last key so pages never repeat or skip a company
+      .order("id", { ascending: true })
+      .range(offset, offset + limit - 1);
+
+    if (error) {
+      console.error("Error fetching companies for daily emails:", error);
+      throw error;
+    }
+
+    for (const company of data) {
+      const suppression = isSuppressed(company.contact_email, company.domain);
+
+      if (excludeIds.has(company.id)) {
+        console.log(
+          `Skipping ${company.name}: its last send attempt has an unknown outcome.`
+        );
+      } else if (suppression) {
+        console.log(
+          `Skipping ${company.name}: ${suppression.email || suppression.domain} is suppressed (${suppression.reason}).`
+        );
+      } else if (companies.length < limit) {
+        companies.push(company);
+      }
+    }
+
+    if (data.length < limit) {
+      break;
+    }
   }
 
-  return data;
+  return companies;
 }
 
 /**
@@ -166,6 +203,111 @@ export async function markCompanyAsContacted(id) {
   });
 }
 
+/**
+ * Record the address chosen for a company and its verification result
+ * @param {String} id - Company ID
+ * @param {Object} contact - Contact record (email and verification fields)
+ * @returns {Promise<Object>} - Updated company object
+ */
+export async function saveCompanyContact(id, contact) {
+  return updateCompany(id, {
+    contact_email: contact.email,
+    email_verified: contact.verification_status === "valid",
+    email_verification_status: contact.verification_status || null,
+    email_verification_score: contact.verification_score ?? null,
+    email_disposable: contact.is_disposable ?? null,
+    email_webmail: contact.is_webmail ?? null,
+    email_accept_all: contact.is_accept_all ?? null,
+    email_verified_at: contact.verified_at || null,
+    email_verification_source: contact.verification_source || null,
+    email_verification_decision: contact.verification_decision || null,
+    email_verification_reason: contact.verification_reason || null,
+    updated_at: new Date().toISOString(),
+  });
+}
+
+/**
+ * Mark a company as unreachable so it is no longer selected every day
+ * @param {String} id - Company ID
+ * @param {String} reason - Why no address could be found or verified
+ * @returns {Promise<Object>} - Updated company object
+ */
+export async function markCompanyAsUnreachable(id, reason) {
+  return updateCompany(id, {
+    status: "unreachable",
+    unreachable_reason: reason,
+    email_verified: false,
+    updated_at: new Date().toISOString(),
+  });
+}
+
+/**
+ * Mark the companies behind an opt-out as unsubscribed
+ * @param {Object} optOut - Who opted out
+ * @param {String} optOut.email - Address that opted out
+ * @param {String} optOut.domain - Domain that opted out (every company at it)
+ * @param {String} optOut.companyId - Company the opt-out came from
+ * @returns {Promise<Array>} - Updated companies
+ */
+export async function markCompaniesAsUnsubscribed({
+  email,
+  domain,
+  companyId,
+}) {
+  // One filtered update per column, so values are never spliced into a
+  // PostgREST filter string
+  const filters = [
+    ["contact_email", email],
+    ["domain", domain],
+    ["id", companyId],
+  ].filter(([, value]) => value);
+  const updated = new Map();
+
+  for (const [column, value] of filters) {
+    const { data, error } = await supabase
+      .from("companies")
+      .update({ status: "unsubscribed", updated_at: new Date().toISOString() })
+      .in(column, [value])
+      .select();
+
+    if (error) {
+      console.error("Error marking companies as unsubscribed:", error);
+      throw error;
+    }
+
+    for (const company of data) {
+      updated.set(company.id, company);
+    }
+  }
+
+  return [...updated.values()];
+}
+
+/**
+ * Put an unreachable company back in the queue, e.g. after adding a contact
+ * @param {String} id - Company ID
+ * @returns {Promise<Object|null>} - Updated company object, or null if it was not unreachable
+ */
+export async function reopenUnreachableCompany(id) {
+  const { data, error } = await supabase
+    .from("companies")
+    .update({
+      status: "pending",
+      unreachable_reason: null,
+      updated_at: new Date().toISOString(),
+    })
+    .eq("id", id)
+    .eq("status", "unreachable")
+    .select();
+
+  if (error) {
+    console.error(`Error reopening company with ID ${id}:`, error);
+    throw error;
+  }
+
+  return data[0] || null;
+}
+
 /**
  * Bulk import companies from a list
  * @param {Array} companies - Array of company objects
@@ -0,0 +1,431 @@
+import supabase from "../supabase/client.js";
+import dotenv from "dotenv";
+import path from "path";
+import { fileURLToPath } from "url";
+
+// Get the directory name
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// Load environment variables from .env file in the config directory
+dotenv.config({ path: path.join(__dirname, "../../config/.env") });
+
+/**
+ * Contacts API - Functions to interact with the contacts table in Supabase
+ */
+
+// Preferred roles, most preferred first
+export const CONTACT_ROLE_PREFERENCE = (
+  process.env.CONTACT_ROLE_PREFERENCE ||
+  "hr,recruiting,talent,engineering_leadership"
+)
+  .split(",")
+  .map((role) => role.trim().toLowerCase())
+  .filter(Boolean);
+
+// How each role is recognised: Hunter department (optionally restricted to
+// some seniorities) or keywords in the position title
+const ROLE_MATCHERS = {
+  hr: {
+    departments: ["hr"],
+    keywords: ["hr", "human resources", "people", "personnel"],
+  },
+  recruiting: {
+    keywords: ["recruit", "hiring", "staffing", "sourcer", "sourcing"],
+  },
+  talent: {
+    keywords: ["talent"],
+  },
+  engineering_leadership: {
+    departments: ["it"],
+    seniorities: ["senior", "executive"],
+    keywords: [
+      "cto",
+      "chief technology",
+      "vp engineering",
+      "vp of engineering",
+      "head of engineering",
+      "engineering manager",
+      "engineering director",
+      "director of engineering",
+      "engineering lead",
+    ],
+  },
+  engineering: {
+    departments: ["it"],
+    keywords: ["engineering", "engineer", "developer", "technology"],
+  },
+  executive: {
+    departments: ["executive"],
+    keywords: ["ceo", "founder", "owner", "president"],
+  },
+  management: {
+    departments: ["management"],
+    keywords: ["manager", "director", "head"],
+  },
+};
+
+// Verification statuses ordered from most to least trustworthy
+const VERIFICATION_RANK = [
+  "valid",
+  "accept_all",
+  "webmail",
+  "unverified",
+  "unknown",
+  "disposable",
+];
+
+// Contacts that must never be emailed (disposable ones are left to the verification policy)
+const UNUSABLE_VERIFICATION_STATUSES = ["invalid", "bounced"];
+
+/**
+ * Get all contacts for a company
+ * @param {String} companyId - Company ID
+ * @returns {Promise<Array>} - Array of contacts
+ */
+export async function getContactsByCompanyId(companyId) {
+  const { data, error } = await supabase
+    .from("contacts")
+    .select("*")
+    .eq("company_id", companyId)
+    .order("created_at", { ascending: true });
+
+  if (error) {
+    console.error(`Error fetching contacts for company ${companyId}:`, error);
+    throw error;
+  }
+
+  return data;
+}
+
+/**
+ * Create a new contact
+ * @param {Object} contact - Contact data
+ * @returns {Promise<Object>} - Created contact object
+ */
+export async function createContact(contact) {
+  const { data, error } = await supabase
+    .from("contacts")
+    .insert([contact])
+    .select();
+
+  if (error) {
+    console.error("Error creating contact:", error);
+    throw error;
+  }
+
+  return data[0];
+}
+
+/**
+ * Update an existing contact
+ * @param {String} id - Contact ID
+ * @param {Object} updates - Fields to update
+ * @returns {Promise<Object>} - Updated contact object
+ */
+export async function updateContact(id, updates) {
+  const { data, error } = await supabase
+    .from("contacts")
+    .update(updates)
+    .eq("id", id)
+    .select();
+
+  if (error) {
+    console.error(`Error updating contact with ID ${id}:`, error);
+    throw error;
+  }
+
+  return data[0];
+}
+
+/**
+ * Save contacts for a company, updating any that already exist by email
+ * @param {String} companyId - Company ID
+ * @param {Array} contacts - Contacts to save
+ * @returns {Promise<Array>} - Saved contacts
+ */
+export async function saveContacts(companyId, contacts) {
+  if (contacts.length === 0) {
+    return [];
+  }
+
+  const { data, error } = await supabase
+    .from("contacts")
+    .upsert(
+      contacts.map((contact) => ({
+        ...contact,
+        company_id: companyId,
+        email: contact.email.toLowerCase(),
+      })),
+      { onConflict: "company_id,email" }
+    )
+    .select();
+
+  if (error) {
+    console.error(`Error saving contacts for company ${companyId}:`, error);
+    throw error;
+  }
+
+  return data;
+}
+
+/**
+ * Convert email addresses found by Hunter into contact records
+ * @param {Array} emails - Emails returned by findEmailsByDomain
+ * @returns {Array} - Contact records (without company_id)
+ */
+export function contactsFromHunterEmails(emails) {
+  return emails.map((email) => ({
+    email: email.value,
+    first_name: email.firstName || null,
+    last_name: email.lastName || null,
+    position: email.position || null,
+    department: email.department || null,
+    seniority: email.seniority || null,
+    confidence: email.confidence ?? null,
+    source: "hunter",
+    verification_status: "unverified",
+  }));
+}
+
+/**
+ * Mark a contact as bounced so it is never chosen again
+ * @param {String} id - Contact ID
+ * @returns {Promise<Object>} - Updated contact object
+ */
+export async function markContactAsBounced(id) {
+  return updateContact(id, {
+    verification_status: "bounced",
+  });
+}
+
+/**
+ * Retire a bounced contact and reopen the company for its next best contact
+ *
+ * The company only moves on when the bounce is about its latest email and
+ * it is still waiting for an answer ("contacted"). A late or repeated bounce
+ * for an earlier contact, or one arriving after the company replied, only
+ * retires the contact.
+ * @param {String} companyId - Company ID
+ * @param {String} bouncedContactId - ID of the contact that bounced (if known)
+ * @param {String} bouncedEmailId - ID of the email that bounced
+ * @returns {Promise<Object|null>} - Next contact, or null if none is left or the company stays as it is
+ */
+export async function fallBackToNextContact(
+  companyId,
+  bouncedContactId,
+  bouncedEmailId
+) {
+  if (bouncedContactId) {
+    await markContactAsBounced(bouncedContactId);
+  }
+
+  if (!(await isLatestSentEmail(companyId, bouncedEmailId))) {
+    console.log(
+      `Email ${bouncedEmailId} is not the latest sent to company ${companyId}. Keeping its current contact...`
+    );
+    return null;
+  }
+
+  const nextContact = chooseBestContact(
+    await getContactsByCompanyId(companyId)
+  );
+
+  const { data, error } = await supabase
+    .from("companies")
+    .update(
+      nextContact
+        ? {
+            status: "pending",
+            contact_email: nextContact.email,
+            email_verified: nextContact.verification_status === "valid",
+            updated_at: new Date().toISOString(),
+          }
+        : {
+            status: "unreachable",
+            unreachable_reason: "Every contact bounced",
+            email_verified: false,
+            updated_at: new Date().toISOString(),
+          }
+    )
+    .eq("id", companyId)
+    // Checked in the update itself, so a reply recorded meanwhile is kept
+    .eq("status", "contacted")
+    .select();
+
+  if (error) {
+    console.error(`Error updating company with ID ${companyId}:`, error);
+    throw error;
+  }
+
+  if (data.length === 0) {
+    console.log(
+      `Company ${companyId} is no longer waiting for an answer. Keeping its status...`
+    );
+    return null;
+  }
+
+  return nextContact;
+}
+
+/**
+ * Convert a verification result into contact columns
+ * @param {Object} verification - Result of verifyEmail
+ * @returns {Object} - Contact fields (verification_status, verification_score, ...)
+ */
+export function getVerificationFields(verification) {
+  return {
+    verification_status: verification.status,
+    verification_score: verification.score ?? null,
+    is_disposable: verification.isDisposable ?? null,
+    is_webmail: verification.isWebmail ?? null,
+    is_accept_all: verification.isAcceptAll ?? null,
+    verified_at: verification.verifiedAt || new Date().toISOString(),
+    verification_source: verification.source || null,
+  };
+}
+
+/**
+ * Rank a company's contacts from best to worst
+ *
+ * Contacts are ordered by the configured role preference
+ * (CONTACT_ROLE_PREFERENCE), then by verification status, then by
+ * confidence. Bounced and invalid contacts are left out; disposable ones
+ * are kept for the verification policy to decide on.
+ * @param {Array} contacts - Contacts to rank
+ * @param {Array<String>} rolePreference - Roles, most preferred first
+ * @returns {Array} - Usable contacts, best first
+ */
+export function rankContacts(
+  contacts,
+  rolePreference = CONTACT_ROLE_PREFERENCE
+) {
+  return contacts
+    .filter(
+      (contact) =>
+        contact.email &&
+        !UNUSABLE_VERIFICATION_STATUSES.includes(contact.verification_status)
+    )
+    .map((contact) => ({
+      contact,
+      roleRank: getRoleRank(contact, rolePreference),
+      verificationRank: getVerificationRank(contact.verification_status),
+    }))
+    .sort(
+      (a, b) =>
+        a.roleRank - b.roleRank ||
+        a.verificationRank - b.verificationRank ||
+        (b.contact.confidence || 0) - (a.contact.confidence || 0)
+    )
+    .map(({ contact }) => contact);
+}
+
+/**
+ * Choose the best contact for a company
+ * @param {Array} contacts - Contacts to choose from
+ * @param {Array<String>} rolePreference - Roles, most preferred first
+ * @returns {Object|null} - Best contact, or null if none is usable
+ */
+export function chooseBestContact(
+  contacts,
+  rolePreference = CONTACT_ROLE_PREFERENCE
+) {
+  return rankContacts(contacts, rolePreference)[0] || null;
+}
+
+/**
+ * Get the roles a contact's position, department and seniority match
+ * @param {Object} contact - Contact
+ * @returns {Array<String>} - Matching roles
+ */
+export function getContactRoles(contact) {
+  const position = (contact.position || "").toLowerCase();
+  const department = (contact.department || "").toLowerCase();
+  const seniority = (contact.seniority || "").toLowerCase();
+
+  return Object.entries(ROLE_MATCHERS)
+    .filter(([, matcher]) => {
+      const matchesDepartment =
+        (matcher.departments || []).includes(department) &&
+        (!matcher.seniorities || matcher.seniorities.includes(seniority));
+      const matchesPosition = matcher.keywords.some((keyword) =>
+        new RegExp(`\\b${keyword}`, "i").test(position)
+      );
+
+      return matchesDepartment || matchesPosition;
+    })
+    .map(([role]) => role);
+}
+
+/**
+ * Check whether a contact matches any of the given roles
+ * @param {Object} contact - Contact
+ * @param {Array<String>} roles - Roles to look for
+ * @returns {Boolean} - Whether the contact matches one of the roles
+ */
+export function hasAnyRole(contact, roles) {
+  return getContactRoles(contact).some((role) => roles.includes(role));
+}
+
+/**
+ * Get the Hunter departments the given roles are recognised by
+ *
+ * Roles only recognised by position keywords (recruiting, talent) add no
+ * department.
+ * @param {Array<String>} roles - Roles to look for
+ * @returns {Array<String>} - Hunter departments, without duplicates
+ */
+export function getRoleDepartments(roles) {
+  const departments = roles.flatMap(
+    (role) => (ROLE_MATCHERS[role] && ROLE_MATCHERS[role].departments) || []
+  );
+
+  return [...new Set(departments)];
+}
+
+/**
+ * Get the position of a contact's best role in the preference list
+ * @param {Object} contact - Contact
+ * @param {Array<String>} rolePreference - Roles, most preferred first
+ * @returns {Number} - Rank (lower is better)
+ */
+function getRoleRank(contact, rolePreference) {
+  const roles = getContactRoles(contact);
+  const ranks = roles
+    .map((role) => rolePreference.indexOf(role))
+    .filter((rank) => rank !== -1);
+
+  return ranks.length > 0 ? Math.min(...ranks) : rolePreference.length;
+}
+
+/**
+ * Get the rank of a verification status
+ * @param {String} status - Verification status
+ * @returns {Number} - Rank (lower is better)
+ */
+function getVerificationRank(status) {
+  const rank = VERIFICATION_RANK.indexOf(status || "unverified");
+  return rank === -1 ? VERIFICATION_RANK.length : rank;
+}
+
+/**
+ * Check whether an email is the last one sent to a company
+ * @param {String} companyId - Company ID
+ * @param {String} emailId - Email ID
+ * @returns {Promise<Boolean>} - True if no email was sent to the company after it
+ */
+async function isLatestSentEmail(companyId, emailId) {
+  const { data, error } = await supabase
+    .from("emails")
+    .select("id")
+    .eq("company_id", companyId)
+    .not("sent_at", "is", null)
+    .order("sent_at", { ascending: false })
+    .limit(1);
+
+  if (error) {
+    console.error(`Error fetching emails for company ${companyId}:`, error);
+    throw error;
+  }
+
+  return data.length > 0 && data[0].id === emailId;
+}
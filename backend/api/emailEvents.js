@@ -0,0 +1,166 @@
+import supabase from "../supabase/client.js";
+
+/**
+ * Email Events API - Append-only history of what happened to each email
+ *
+ * Every event (sent, delivered, opened, clicked, ...) is stored in the
+ * email_events table and never changed. The email record keeps a summary
+ * derived from them: its status, the first and last open and click, and
+ * how many there were. Events may arrive late or out of order, so the
+ * status only moves up STATUS_PRECEDENCE: an open reported after a click
+ * leaves the email "clicked". The summary is kept by a trigger on
+ * email_events (see schema.sql), in the same statement as the event, so
+ * an open and a click recorded at the same time cannot undo each other.
+ *
+ * Providers resend events they are not sure were received, so an event
+ * carrying the provider's event ID is only recorded once: a second copy is
+ * refused with an EMAIL_EVENT_DUPLICATE error and changes nothing.
+ */
+
+// Error code thrown when a provider's event was already recorded
+export const EMAIL_EVENT_DUPLICATE = "EMAIL_EVENT_DUPLICATE";
+
+// Statuses set by events, lowest first. Engagement counts up to "replied";
+// the failure and opt-out statuses after it end the email's story and win
+// over any engagement. The summarise_email_event trigger has the same list.
+export const STATUS_PRECEDENCE = [
+  "sent",
+  "deferred",
+  "delivered",
+  "opened",
+  "clicked",
+  "replied",
+  "dropped",
+  "bounced",
+  "spam_reported",
+  "unsubscribed",
+];
+
+/**
+ * Record an event and update the email's summary
+ * @param {String} emailId - Email ID
+ * @param {String} type - Event type, one of STATUS_PRECEDENCE
+ * @param {Object} details - Event details
+ * @param {String} details.occurredAt - When it happened (default: now)
+ * @param {String} details.provider - Who reported it: sendgrid, mailgun, smtp, tracking
+ * @param {String} details.providerEventId - Provider's ID for the event, recorded once per provider
+ * @param {String} details.url - Clicked link
+ * @param {String} details.userAgent - Recipient's user agent
+ * @param {String} details.reason - Provider's reason for a deferred, dropped or bounced email
+ * @param {Object} details.payload - Event as received
+ * @param {Object} fields - Other email fields to update, before the event is added
+ * @returns {Promise<Object>} - Updated email object
+ */
+export async function recordEmailEvent(
+  emailId,
+  type,
+  details = {},
+  fields = {}
+) {
+  if (!STATUS_PRECEDENCE.includes(type)) {
+    throw new Error(
+      `Unknown email event "${type}". Use one of: ${STATUS_PRECEDENCE.join(", ")}`
+    );
+  }
+
+  if (Object.keys(fields).length > 0) {
+    const { error: fieldsError } = await supabase
+      .from("emails")
+      .update({ ...fields, updated_at: new Date().toISOString() })
+      .eq("id", emailId);
+
+    if (fieldsError) {
+      console.error(`Error updating email with ID ${emailId}:`, fieldsError);
+      throw fieldsError;
+    }
+  }
+
+  const { error: insertError } = await supabase.from("email_events").insert([
+    {
+      email_id: emailId,
+      type,
+      occurred_at: details.occurredAt || new Date().toISOString(),
+      provider: details.provider || null,
+      provider_event_id: details.providerEventId || null,
+      url: details.url || null,
+      user_agent: details.userAgent || null,
+      reason: details.reason || null,
+      payload: details.payload || null,
+    },
+  ]);
+
+  // 23505 is "unique violation": the provider sent the event again
+  if (insertError && insertError.code === "23505" && details.providerEventId) {
+    const error = new Error(
+      `${details.provider} event ${details.providerEventId} was already recorded`
+    );
+    error.code = EMAIL_EVENT_DUPLICATE;
+    throw error;
+  }
+
+  if (insertError) {
+    console.error(
+      `Error recording ${type} event for email ${emailId}:`,
+      insertError
+    );
+    throw insertError;
+  }
+
+  const { data, error } = await supabase
+    .from("emails")
+    .select("*")
+    .eq("id", emailId)
+    .single();
+
+  if (error) {
+    console.error(`Error fetching email with ID ${emailId}:`, error);
+    throw error;
+  }
+
+  return data;
+}
+
+/**
+ * Check whether a provider's event was already recorded
+ * @param {String} provider - Provider that reported it (sendgrid, mailgun)
+ * @param {String} providerEventId - Provider's ID for the event
+ * @returns {Promise<Boolean>} - True if it is in the history
+ */
+export async function isEmailEventRecorded(provider, providerEventId) {
+  const { data, error } = await supabase
+    .from("email_events")
+    .select("id")
+    .eq("provider", provider)
+    .eq("provider_event_id", providerEventId)
+    .limit(1);
+
+  if (error) {
+    console.error(
+      `Error fetching ${provider} event ${providerEventId}:`,
+      error
+    );
+    throw error;
+  }
+
+  return data.length > 0;
+}
+
+/**
+ * Get the events of an email
+ * @param {String} emailId - Email ID
+ * @returns {Promise<Array>} - Events, oldest first
+ */
+export async function getEmailEvents(emailId) {
+  const { data, error } = await supabase
+    .from("email_events")
+    .select("*")
+    .eq("email_id", emailId)
+    .order("occurred_at", { ascending: true });
+
+  if (error) {
+    console.error(`Error fetching events for email ${emailId}:`, error);
+    throw error;
+  }
+
+  return data;
+}
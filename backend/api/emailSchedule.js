@@ -187,12 +187,20 @@ export async function generateEmailSchedules(days = 30) {
 
 /**
  * Get the remaining email quota for today
+ * @param {Object} options - Additional options
+ * @param {Boolean} options.createIfMissing - Create today's schedule if it does not exist (default true)
  * @returns {Promise<Number>} - Remaining email quota
  */
-export async function getRemainingEmailQuota() {
+export async function getRemainingEmailQuota(options = {}) {
+  const { createIfMissing = true } = options;
   const today = new Date();
   const schedule = await getEmailSchedule(today);
 
+  if (!schedule && !createIfMissing) {
+    // Report the default limit without writing a schedule
+    return DAILY_EMAIL_LIMIT;
+  }
+
   if (!schedule) {
     // No schedule for today, create one
     const newSchedule = await createOrUpdateEmailSchedule(
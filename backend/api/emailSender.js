@@ -1,184 +1,178 @@
-import fetch from "node-fetch";
-import dotenv from "dotenv";
-import path from "path";
-import { fileURLToPath } from "url";
+import { getEmailTransport } from "./emailTransports/index.js";
+import { DEFAULT_TEMPLATE_NAME, getBundledTemplate } from "./emailTemplates.js";
+import { htmlToText, markdownToHtml } from "../utils/html.js";
+import { renderTemplate } from "../utils/template.js";
+import { addUnsubscribeFooter, getUnsubscribeHeaders } from "./unsubscribe.js";
+import { assertNotSuppressed } from "./suppressions.js";
+import { addTracking } from "./tracking.js";
 
-// Get the directory name
-const __dirname = path.dirname(fileURLToPath(import.meta.url));
-
-// Load environment variables from .env file in the config directory
-dotenv.config({ path: path.join(__dirname, "../../config/.env") });
+/**
+ * Send an email with the configured transport (EMAIL_TRANSPORT)
+ *
+ * The message is built and checked by prepareEmail first.
+ * @param {String} to - Recipient email address
+ * @param {String} subject - Email subject
+ * @param {String} body - Email body (HTML)
+ * @param {String} plainText - Plain text version of the email (default: converted from the HTML)
+ * @param {Object} options - Additional options (see prepareEmail)
+ * @param {String} options.transport - Transport to use instead of EMAIL_TRANSPORT
+ * @returns {Promise<Object>} - Send result ({ success, messageId, provider })
+ */
+export async function sendEmail(to, subject, body, plainText, options = {}) {
+  const transport = getEmailTransport(options.transport);
+  const message = await prepareEmail(to, subject, body, plainText, options);
 
-// SendGrid API key and from email
-const SENDGRID_API_KEY = process.env.SENDGRID_API_KEY;
-const SENDGRID_FROM_EMAIL = process.env.SENDGRID_FROM_EMAIL;
+  try {
+    const result = await transport.send(message);
 
-// Check if the required environment variables are set
-if (!SENDGRID_API_KEY || !SENDGRID_FROM_EMAIL) {
-  console.warn(
-    "Warning: SendGrid API key or from email is not set in the .env file. Email sending will not work."
-  );
+    return {
+      success: true,
+      messageId: result.messageId,
+      provider: transport.name,
+    };
+  } catch (error) {
+    console.error(`Error sending email to ${to} via ${transport.name}:`, error);
+    throw error;
+  }
 }
 
 /**
- * Send an email using SendGrid API
+ * Build the message a transport sends, without sending it
+ *
+ * Recipients on the suppression list are refused with an EMAIL_SUPPRESSED
+ * error. List-Unsubscribe headers, and the unsubscribe footer if enabled,
+ * are added for the recipient (see unsubscribe.js).
  * @param {String} to - Recipient email address
  * @param {String} subject - Email subject
  * @param {String} body - Email body (HTML)
- * @param {String} plainText - Plain text version of the email
+ * @param {String} plainText - Plain text version of the email (default: converted from the HTML)
  * @param {Object} options - Additional options
  * @param {String} options.replyTo - Reply-to email address
  * @param {String} options.cc - CC email address
  * @param {String} options.bcc - BCC email address
- * @param {Array} options.attachments - Attachments
- * @returns {Promise<Object>} - SendGrid API response
+ * @param {Array} options.attachments - Attachments ({ filename, content (base64), type })
+ * @param {String} options.emailId - Email record being sent, sent along for webhook events and identifies the recipient's opt-out
+ * @returns {Promise<Object>} - Message for the transport's send()
  */
-export async function sendEmail(to, subject, body, plainText, options = {}) {
-  if (!SENDGRID_API_KEY || !SENDGRID_FROM_EMAIL) {
-    throw new Error(
-      "SendGrid API key or from email is not set in the .env file"
-    );
-  }
-
-  try {
-    // Prepare the email payload
-    const payload = {
-      personalizations: [
-        {
-          to: [{ email: to }],
-          subject: subject,
-        },
-      ],
-      from: { email: SENDGRID_FROM_EMAIL },
-      content: [
-        {
-          type: "text/plain",
-          value: plainText || body.replace(/<[^>]*>/g, ""), // Strip HTML tags for plain text
-        },
-        {
-          type: "text/html",
-          value: body,
-        },
-      ],
-    };
+export async function prepareEmail(to, subject, body, plainText, options = {}) {
+  // Last line of defence: suppressed companies are not even selected
+  await assertNotSuppressed([to, options.cc, options.bcc]);
+
+  const content = addUnsubscribeFooter(
+    { html: body, text: plainText || htmlToText(body) },
+    to,
+    options.emailId
+  );
 
-    // Add optional fields if provided
-    if (options.replyTo) {
-      payload.reply_to = { email: options.replyTo };
-    }
+  return {
+    to,
+    subject,
+    html: content.html,
+    text: content.text,
+    replyTo: options.replyTo,
+    cc: options.cc,
+    bcc: options.bcc,
+    attachments: Array.isArray(options.attachments) ? options.attachments : [],
+    headers: getUnsubscribeHeaders(to, options.emailId),
+    metadata: options.emailId ? { email_id: options.emailId } : {},
+  };
+}
 
-    if (options.cc) {
-      payload.personalizations[0].cc = [{ email: options.cc }];
-    }
+/**
+ * Format the email body with HTML
+ *
+ * The body is converted from Markdown to sanitised HTML (see markdownToHtml)
+ * and rendered into the {{> body}} slot of an email template, with the
+ * applicant as `user` and the company as `company`, escaped. Given the
+ * email record's ID, the tracking pixel and links are added when
+ * EMAIL_TRACKING is on (see tracking.js).
+ * @param {String} body - Email body (plain text or Markdown)
+ * @param {Object} userData - User data (name, signature, etc.)
+ * @param {Object} options - Additional options
+ * @param {Object} options.template - Template from getEmailTemplate (default: the bundled EMAIL_TEMPLATE)
+ * @param {Object} options.company - Company the email is for
+ * @param {String} options.emailId - Email record the body is sent in, for tracking
+ * @returns {String} - HTML formatted email body
+ */
+export function formatEmailBody(body, userData, options = {}) {
+  const template = options.template || getBundledTemplate();
 
-    if (options.bcc) {
-      payload.personalizations[0].bcc = [{ email: options.bcc }];
-    }
+  if (!template) {
+    throw new Error(`Email template "${DEFAULT_TEMPLATE_NAME}" not found`);
+  }
 
-    if (options.attachments && Array.isArray(options.attachments)) {
-      payload.attachments = options.attachments;
+  const html = renderTemplate(
+    template.html,
+    { user: userData, company: options.company || {} },
+    {
+      name: template.name,
+      slots: { body: markdownToHtml(body) },
     }
+  );
 
-    // Call SendGrid API
-    const response = await fetch("https://api.sendgrid.com/v3/mail/send", {
-      method: "POST",
-      headers: {
-        Authorization: `Bearer ${SENDGRID_API_KEY}`,
-        "Content-Type": "application/json",
-      },
-      body: JSON.stringify(payload),
-    });
-
-    if (!response.ok) {
-      const errorText = await response.text();
-      throw new Error(`SendGrid API returned ${response.status}: ${errorText}`);
-    }
+  return addTracking(html, options.emailId);
+}
 
-    return {
-      success: true,
-      messageId: response.headers.get("x-message-id") || null,
-    };
-  } catch (error) {
-    console.error(`Error sending email to ${to}:`, error);
-    throw error;
-  }
+/**
+ * Build a job application email without sending it
+ * @param {Object} company - Company information
+ * @param {Object} emailContent - Generated email content
+ * @param {Object} userData - User data (name, signature, etc.)
+ * @param {Object} options - Additional options
+ * @param {Object} options.template - Template from getEmailTemplate (default: the bundled EMAIL_TEMPLATE)
+ * @param {String} options.emailId - Email record the message is sent in, for tracking
+ * @returns {Object} - Email message (to, subject, html, text, replyTo)
+ */
+export function buildJobApplicationEmail(
+  company,
+  emailContent,
+  userData,
+  options = {}
+) {
+  const formatOptions = { template: options.template, company };
+  const html = formatEmailBody(emailContent.body, userData, formatOptions);
+
+  // The plain text version includes the template's signature too, with the
+  // original links rather than the tracked ones
+  return {
+    to: company.contact_email,
+    subject: emailContent.subject,
+    html: formatEmailBody(emailContent.body, userData, {
+      ...formatOptions,
+      emailId: options.emailId,
+    }),
+    text: htmlToText(html),
+    replyTo: userData.email,
+  };
 }
 
 /**
- * Format the email body with HTML
- * @param {String} body - Plain text email body
+ * Build and check a job application email for its transport (see
+ * prepareEmail), without sending it
+ * @param {Object} company - Company information
+ * @param {Object} emailContent - Generated email content
  * @param {Object} userData - User data (name, signature, etc.)
- * @returns {String} - HTML formatted email body
+ * @param {Object} options - Additional options (see prepareEmail)
+ * @param {Object} options.template - Template from getEmailTemplate
+ * @param {String} options.emailId - Email record being sent, for tracking and opt-outs
+ * @returns {Promise<Object>} - Message for the transport's send()
  */
-export function formatEmailBody(body, userData) {
-  // Create a signature
-  const signature = `
-    <div style="margin-top: 20px; border-top: 1px solid #eee; padding-top: 10px;">
-      <p style="margin: 0;">${userData.name || "Your Name"}</p>
-      ${
-        userData.title
-          ? `<p style="margin: 0; color: #666;">${userData.title}</p>`
-          : ""
-      }
-      ${
-        userData.phone
-          ? `<p style="margin: 0;">Phone: ${userData.phone}</p>`
-          : ""
-      }
-      ${
-        userData.email
-          ? `<p style="margin: 0;">Email: ${userData.email}</p>`
-          : ""
-      }
-      ${
-        userData.linkedin
-          ? `<p style="margin: 0;">LinkedIn: <a href="${userData.linkedin}">${userData.linkedin}</a></p>`
-          : ""
-      }
-      ${
-        userData.portfolio
-          ? `<p style="margin: 0;">Portfolio: <a href="${userData.portfolio}">${userData.portfolio}</a></p>`
-          : ""
-      }
-    </div>
-  `;
-
-  // Format the email body with HTML
-  return `
-    <!DOCTYPE html>
-    <html>
-    <head>
-      <meta charset="UTF-8">
-      <meta name="viewport" content="width=device-width, initial-scale=1.0">
-      <title>${userData.name || "Job Application"}</title>
-      <style>
-        body {
-          font-family: Arial, sans-serif;
-          line-height: 1.6;
-          color: #333;
-          max-width: 600px;
-          margin: 0 auto;
-        }
-        p {
-          margin-bottom: 16px;
-        }
-        a {
-          color: #0366d6;
-          text-decoration: none;
-        }
-        a:hover {
-          text-decoration: underline;
-        }
-      </style>
-    </head>
-    <body>
-      <div>
-        ${body.replace(/\n/g, "<br>")}
-      </div>
-      ${signature}
-    </body>
-    </html>
-  `;
+export async function prepareJobApplicationEmail(
+  company,
+  emailContent,
+  userData,
+  options = {}
+) {
+  const { template, ...prepareOptions } = options;
+  const message = buildJobApplicationEmail(company, emailContent, userData, {
+    template,
+    emailId: options.emailId,
+  });
+
+  return prepareEmail(message.to, message.subject, message.html, message.text, {
+    replyTo: message.replyTo,
+    ...prepareOptions,
+  });
 }
 
 /**
@@ -186,8 +180,10 @@ export function formatEmailBody(body, userData) {
  * @param {Object} company - Company information
  * @param {Object} emailContent - Generated email content
  * @param {Object} userData - User data (name, signature, etc.)
- * @param {Object} options - Additional options
- * @returns {Promise<Object>} - SendGrid API response
+ * @param {Object} options - Additional options (see sendEmail)
+ * @param {Object} options.template - Template from getEmailTemplate
+ * @param {String} options.emailId - Email record being sent, for tracking and opt-outs
+ * @returns {Promise<Object>} - Send result ({ success, messageId, provider })
  */
 export async function sendJobApplicationEmail(
   company,
@@ -195,18 +191,15 @@ export async function sendJobApplicationEmail(
   userData,
   options = {}
 ) {
-  // Format the email body with HTML
-  const htmlBody = formatEmailBody(emailContent.body, userData);
+  const { template, ...sendOptions } = options;
+  const message = buildJobApplicationEmail(company, emailContent, userData, {
+    template,
+    emailId: options.emailId,
+  });
 
   // Send the email
-  return sendEmail(
-    company.contact_email,
-    emailContent.subject,
-    htmlBody,
-    emailContent.body,
-    {
-      replyTo: userData.email,
-      ...options,
-    }
-  );
+  return sendEmail(message.to, message.subject, message.html, message.text, {
+    replyTo: message.replyTo,
+    ...sendOptions,
+  });
 }
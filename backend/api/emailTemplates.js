@@ -0,0 +1,104 @@
+import { readFileSync } from "fs";
+import dotenv from "dotenv";
+import path from "path";
+import { fileURLToPath } from "url";
+import supabase from "../supabase/client.js";
+
+// Get the directory name
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// Load environment variables from .env file in the config directory
+dotenv.config({ path: path.join(__dirname, "../../config/.env") });
+
+/**
+ * Email Templates - Loads the HTML layouts emails are rendered into
+ *
+ * A template is looked up by name in the email_templates table (its
+ * html_template column) and then in the email-templates directory
+ * (<name>.html). The generated body goes into its {{> body}} slot.
+ */
+
+// Template used when none is given
+export const DEFAULT_TEMPLATE_NAME =
+  process.env.EMAIL_TEMPLATE || "job-application";
+
+// Directory with the bundled templates
+const TEMPLATES_DIR = path.join(__dirname, "../../email-templates");
+
+// Loaded templates by name, so a batch loads each template once
+const loadedTemplates = new Map();
+
+/**
+ * Get an email template
+ * @param {String} name - Template name
+ * @returns {Promise<Object>} - Template ({ name, html, source })
+ */
+export async function getEmailTemplate(name = DEFAULT_TEMPLATE_NAME) {
+  if (!loadedTemplates.has(name)) {
+    const template =
+      (await getStoredTemplate(name)) || getBundledTemplate(name);
+
+    if (!template) {
+      throw new Error(
+        `Email template "${name}" was found neither in the email_templates table nor in ${TEMPLATES_DIR}`
+      );
+    }
+
+    loadedTemplates.set(name, template);
+  }
+
+  return loadedTemplates.get(name);
+}
+
+/**
+ * Get an active template with an HTML layout from the email_templates table
+ * @param {String} name - Template name
+ * @returns {Promise<Object|null>} - Template ({ name, html, source }), or null
+ */
+async function getStoredTemplate(name) {
+  const { data, error } = await supabase
+    .from("email_templates")
+    .select("*")
+    .eq("name", name)
+    .eq("is_active", true)
+    .order("updated_at", { ascending: false });
+
+  if (error) {
+    console.error(`Error getting email template ${name}:`, error);
+    throw error;
+  }
+
+  // Rows without a layout only hold prompt guidance for the AI
+  const stored = data.find((template) => template.html_template);
+
+  if (!stored) {
+    return null;
+  }
+
+  return { name, html: stored.html_template, source: "database" };
+}
+
+/**
+ * Read a template from the email-templates directory
+ * @param {String} name - Template name
+ * @returns {Object|null} - Template ({ name, html, source }), or null
+ */
+export function getBundledTemplate(name = DEFAULT_TEMPLATE_NAME) {
+  // Template names never leave the templates directory
+  if (!/^[\w-]+$/.test(name)) {
+    return null;
+  }
+
+  const file = path.join(TEMPLATES_DIR, `${name}.html`);
+
+  try {
+    return { name, html: readFileSync(file, "utf8"), source: file };
+  } catch (error) {
+    if (error.code === "ENOENT") {
+      return null;
+    }
+
+    console.error(`Error reading email template ${file}:`, error);
+    throw error;
+  }
+}
@@ -0,0 +1,65 @@
+import dotenv from "dotenv";
+import path from "path";
+import { fileURLToPath } from "url";
+import * as mailgun from "./mailgun.js";
+import * as sendgrid from "./sendgrid.js";
+import * as smtp from "./smtp.js";
+
+// Get the directory name
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// Load environment variables from .env file in the config directory
+dotenv.config({ path: path.join(__dirname, "../../../config/.env") });
+
+/**
+ * Email Transports - Registry of the services that deliver email
+ *
+ * A transport is a module exporting a `name`, `isConfigured()` and an async
+ * `send(message)` that resolves to { messageId }. Messages are
+ * { to, subject, html, text, replyTo, cc, bcc, attachments, headers,
+ * metadata }, with attachments as { filename, content (base64), type } and
+ * headers as { name: value }. Metadata ({ name: value }, e.g. the email ID)
+ * is attached so that the provider reports it back in its webhook events.
+ * When the provider answers with an error, the thrown error carries its
+ * HTTP status in statusCode (nodemailer sets responseCode for SMTP), which
+ * tells a rejected email apart from one that may have been sent.
+ */
+
+// Available transports by name
+const TRANSPORTS = {
+  [sendgrid.name]: sendgrid,
+  [mailgun.name]: mailgun,
+  [smtp.name]: smtp,
+};
+
+// Transport used unless another one is requested
+export const EMAIL_TRANSPORT = (process.env.EMAIL_TRANSPORT || "sendgrid")
+  .trim()
+  .toLowerCase();
+
+// Check if the configured transport can send
+if (
+  TRANSPORTS[EMAIL_TRANSPORT] &&
+  !TRANSPORTS[EMAIL_TRANSPORT].isConfigured()
+) {
+  console.warn(
+    `Warning: The ${EMAIL_TRANSPORT} email transport is not configured in the .env file. Email sending will not work.`
+  );
+}
+
+/**
+ * Get a transport by name
+ * @param {String} transportName - Transport name (default EMAIL_TRANSPORT)
+ * @returns {Object} - Transport module
+ */
+export function getEmailTransport(transportName = EMAIL_TRANSPORT) {
+  const transport = TRANSPORTS[String(transportName).trim().toLowerCase()];
+
+  if (!transport) {
+    throw new Error(
+      `Unknown email transport "${transportName}". Available transports: ${Object.keys(TRANSPORTS).join(", ")}`
+    );
+  }
+
+  return transport;
+}
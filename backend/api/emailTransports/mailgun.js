@@ -0,0 +1,111 @@
+import fetch, { Blob, FormData } from "node-fetch";
+import dotenv from "dotenv";
+import path from "path";
+import { fileURLToPath } from "url";
+
+// Get the directory name
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// Load environment variables from .env file in the config directory
+dotenv.config({ path: path.join(__dirname, "../../../config/.env") });
+
+/**
+ * Mailgun Transport - Sends email through Mailgun's Messages API
+ */
+
+// Mailgun API key, sending domain and from email
+const MAILGUN_API_KEY = process.env.MAILGUN_API_KEY;
+const MAILGUN_DOMAIN = process.env.MAILGUN_DOMAIN;
+const MAILGUN_FROM_EMAIL = process.env.MAILGUN_FROM_EMAIL;
+
+// API base URL (https://api.eu.mailgun.net for EU domains)
+const MAILGUN_API_URL = (
+  process.env.MAILGUN_API_URL || "https://api.mailgun.net"
+).replace(/\/+$/, "");
+
+// Transport name used in EMAIL_TRANSPORT and stored as email_provider
+export const name = "mailgun";
+
+/**
+ * Check whether the transport has the settings it needs
+ * @returns {Boolean} - True if API key, domain and from email are set
+ */
+export function isConfigured() {
+  return Boolean(MAILGUN_API_KEY && MAILGUN_DOMAIN && MAILGUN_FROM_EMAIL);
+}
+
+/**
+ * Send an email using Mailgun API
+ * @param {Object} message - Message ({ to, subject, html, text, replyTo, cc, bcc, attachments, headers, metadata })
+ * @returns {Promise<Object>} - Send result ({ messageId })
+ */
+export async function send(message) {
+  if (!isConfigured()) {
+    throw new Error(
+      "Mailgun API key, domain or from email is not set in the .env file"
+    );
+  }
+
+  const form = new FormData();
+  form.append("from", MAILGUN_FROM_EMAIL);
+  form.append("to", message.to);
+  form.append("subject", message.subject);
+  form.append("text", message.text);
+  form.append("html", message.html);
+
+  if (message.replyTo) {
+    form.append("h:Reply-To", message.replyTo);
+  }
+
+  if (message.cc) {
+    form.append("cc", message.cc);
+  }
+
+  if (message.bcc) {
+    form.append("bcc", message.bcc);
+  }
+
+  for (const [header, value] of Object.entries(message.headers || {})) {
+    form.append(`h:${header}`, value);
+  }
+
+  // Reported back as user variables in webhook events
+  for (const [key, value] of Object.entries(message.metadata || {})) {
+    form.append(`v:${key}`, String(value));
+  }
+
+  for (const attachment of message.attachments || []) {
+    form.append(
+      "attachment",
+      new Blob([Buffer.from(attachment.content, "base64")], {
+        type: attachment.type,
+      }),
+      attachment.filename
+    );
+  }
+
+  const response = await fetch(
+    `${MAILGUN_API_URL}/v3/${MAILGUN_DOMAIN}/messages`,
+    {
+      method: "POST",
+      headers: {
+        Authorization: `Basic ${Buffer.from(`api:${MAILGUN_API_KEY}`).toString("base64")}`,
+      },
+      body: form,
+    }
+  );
+
+  if (!response.ok) {
+    const errorText = await response.text();
+    const error = new Error(
+      `Mailgun API returned ${response.status}: ${errorText}`
+    );
+    error.statusCode = response.status;
+    throw error;
+  }
+
+  const data = await response.json();
+
+  // Mailgun returns "<id@domain>"; webhooks report the id without brackets
+  return { messageId: data.id ? data.id.replace(/^<|>$/g, "") : null };
+}
@@ -0,0 +1,120 @@
+import fetch from "node-fetch";
+import dotenv from "dotenv";
+import path from "path";
+import { fileURLToPath } from "url";
+
+// Get the directory name
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// Load environment variables from .env file in the config directory
+dotenv.config({ path: path.join(__dirname, "../../../config/.env") });
+
+/**
+ * SendGrid Transport - Sends email through SendGrid's v3 Mail Send API
+ */
+
+// SendGrid API key and from email
+const SENDGRID_API_KEY = process.env.SENDGRID_API_KEY;
+const SENDGRID_FROM_EMAIL = process.env.SENDGRID_FROM_EMAIL;
+
+// Transport name used in EMAIL_TRANSPORT and stored as email_provider
+export const name = "sendgrid";
+
+/**
+ * Check whether the transport has the settings it needs
+ * @returns {Boolean} - True if API key and from email are set
+ */
+export function isConfigured() {
+  return Boolean(SENDGRID_API_KEY && SENDGRID_FROM_EMAIL);
+}
+
+/**
+ * Send an email using SendGrid API
+ * @param {Object} message - Message ({ to, subject, html, text, replyTo, cc, bcc, attachments, headers, metadata })
+ * @returns {Promise<Object>} - Send result ({ messageId })
+ */
+export async function send(message) {
+  if (!isConfigured()) {
+    throw new Error(
+      "SendGrid API key or from email is not set in the .env file"
+    );
+  }
+
+  // Prepare the email payload
+  const payload = {
+    personalizations: [
+      {
+        to: [{ email: message.to }],
+        subject: message.subject,
+      },
+    ],
+    from: { email: SENDGRID_FROM_EMAIL },
+    content: [
+      {
+        type: "text/plain",
+        value: message.text,
+      },
+      {
+        type: "text/html",
+        value: message.html,
+      },
+    ],
+  };
+
+  // Add optional fields if provided
+  if (message.replyTo) {
+    payload.reply_to = { email: message.replyTo };
+  }
+
+  if (message.cc) {
+    payload.personalizations[0].cc = [{ email: message.cc }];
+  }
+
+  if (message.bcc) {
+    payload.personalizations[0].bcc = [{ email: message.bcc }];
+  }
+
+  if (message.headers && Object.keys(message.headers).length > 0) {
+    payload.headers = message.headers;
+  }
+
+  // Reported back as fields of every webhook event
+  if (message.metadata && Object.keys(message.metadata).length > 0) {
+    payload.custom_args = Object.fromEntries(
+      Object.entries(message.metadata).map(([key, value]) => [
+        key,
+        String(value),
+      ])
+    );
+  }
+
+  if (message.attachments && message.attachments.length > 0) {
+    payload.attachments = message.attachments.map((attachment) => ({
+      content: attachment.content,
+      filename: attachment.filename,
+      type: attachment.type,
+      disposition: "attachment",
+    }));
+  }
+
+  // Call SendGrid API
+  const response = await fetch("https://api.sendgrid.com/v3/mail/send", {
+    method: "POST",
+    headers: {
+      Authorization: `Bearer ${SENDGRID_API_KEY}`,
+      "Content-Type": "application/json",
+    },
+    body: JSON.stringify(payload),
+  });
+
+  if (!response.ok) {
+    const errorText = await response.text();
+    const error = new Error(
+      `SendGrid API returned ${response.status}: ${errorText}`
+    );
+    error.statusCode = response.status;
+    throw error;
+  }
+
+  return { messageId: response.headers.get("x-message-id") || null };
+}
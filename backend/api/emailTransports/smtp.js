@@ -0,0 +1,97 @@
+import nodemailer from "nodemailer";
+import dotenv from "dotenv";
+import path from "path";
+import { fileURLToPath } from "url";
+
+// Get the directory name
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// Load environment variables from .env file in the config directory
+dotenv.config({ path: path.join(__dirname, "../../../config/.env") });
+
+/**
+ * SMTP Transport - Sends email through any SMTP server (e.g. MailHog on
+ * localhost:1025 for testing)
+ */
+
+// SMTP server settings and from email
+const SMTP_HOST = process.env.SMTP_HOST;
+const SMTP_PORT = parseInt(process.env.SMTP_PORT || "587", 10);
+const SMTP_SECURE = process.env.SMTP_SECURE === "true";
+const SMTP_USER = process.env.SMTP_USER;
+const SMTP_PASS = process.env.SMTP_PASS;
+const SMTP_FROM_EMAIL = process.env.SMTP_FROM_EMAIL;
+
+// Transport name used in EMAIL_TRANSPORT and stored as email_provider
+export const name = "smtp";
+
+// Nodemailer transporter, created on first use
+let transporter;
+
+/**
+ * Check whether the transport has the settings it needs
+ * @returns {Boolean} - True if host and from email are set
+ */
+export function isConfigured() {
+  return Boolean(SMTP_HOST && SMTP_FROM_EMAIL);
+}
+
+/**
+ * Send an email over SMTP
+ * @param {Object} message - Message ({ to, subject, html, text, replyTo, cc, bcc, attachments, headers, metadata })
+ * @returns {Promise<Object>} - Send result ({ messageId })
+ */
+export async function send(message) {
+  if (!isConfigured()) {
+    throw new Error("SMTP host or from email is not set in the .env file");
+  }
+
+  transporter ||= nodemailer.createTransport({
+    host: SMTP_HOST,
+    port: SMTP_PORT,
+    secure: SMTP_SECURE,
+    auth: SMTP_USER ? { user: SMTP_USER, pass: SMTP_PASS } : undefined,
+  });
+
+  const info = await transporter.sendMail({
+    from: SMTP_FROM_EMAIL,
+    to: message.to,
+    subject: message.subject,
+    text: message.text,
+    html: message.html,
+    replyTo: message.replyTo,
+    cc: message.cc,
+    bcc: message.bcc,
+    headers: { ...message.headers, ...getMetadataHeaders(message.metadata) },
+    attachments: (message.attachments || []).map((attachment) => ({
+      filename: attachment.filename,
+      content: attachment.content,
+      encoding: "base64",
+      contentType: attachment.type,
+    })),
+  });
+
+  return {
+    messageId: info.messageId ? info.messageId.replace(/^<|>$/g, "") : null,
+  };
+}
+
+/**
+ * Turn metadata into headers, e.g. { email_id } into X-Metadata-Email-Id
+ *
+ * SMTP has no webhooks; the headers let bounces and replies that quote the
+ * original message be matched to the email record.
+ * @param {Object} metadata - Metadata ({ name: value })
+ * @returns {Object} - Headers
+ */
+function getMetadataHeaders(metadata = {}) {
+  return Object.fromEntries(
+    Object.entries(metadata).map(([key, value]) => [
+      `X-Metadata-${key
+        .split(/[_\s-]+/)
+        .map((part) => part.charAt(0).toUpperCase() + part.slice(1))
+        .join("-")}`,
+      String(value),
+    ])
+  );
+}
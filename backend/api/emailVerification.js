@@ -1,7 +1,17 @@
-import fetch from "node-fetch";
 import dotenv from "dotenv";
 import path from "path";
 import { fileURLToPath } from "url";
+import {
+  CONTACT_ROLE_PREFERENCE,
+  contactsFromHunterEmails,
+  getRoleDepartments,
+  getVerificationFields,
+  hasAnyRole,
+  rankContacts,
+} from "./contacts.js";
+import { HUNTER_QUOTA_EXCEEDED, hunterRequest } from "./hunterClient.js";
+import { withVerificationCache } from "./verificationCache.js";
+import { verifyWithProviders } from "./verificationProviders/index.js";
 
 // Get the directory name
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
@@ -9,53 +19,42 @@ const __dirname = path.dirname(fileURLToPath(import.meta.url));
 // Load environment variables from .env file in the config directory
 dotenv.config({ path: path.join(__dirname, "../../config/.env") });
 
-// Hunter.io API key
-const HUNTER_API_KEY = process.env.HUNTER_API_KEY;
-
-// Check if the required environment variables are set
-if (!HUNTER_API_KEY) {
-  console.warn(
-    "Warning: Hunter API key is not set in the .env file. Email verification will not work."
-  );
-}
+// Maximum number of addresses returned by a domain search
+const HUNTER_DOMAIN_SEARCH_LIMIT = parseInt(
+  process.env.HUNTER_DOMAIN_SEARCH_LIMIT || "10",
+  10
+);
+
+// Patterns tried, in order, when guessing a person's address
+const COMMON_EMAIL_PATTERNS = ["{first}.{last}", "{first}", "{f}{last}"];
+
+// Pattern names used before Hunter's "{first}.{last}" templates
+const LEGACY_EMAIL_PATTERNS = {
+  first_last: "{first}.{last}",
+  firstlast: "{first}{last}",
+  "first.last": "{first}.{last}",
+  first: "{first}",
+  "last.first": "{last}.{first}",
+  lastfirst: "{last}{first}",
+  "first_initial.last": "{f}.{last}",
+  first_initiallast: "{f}{last}",
+};
 
 /**
- * Verify an email address using Hunter.io API
+ * Verify an email address with the configured providers
+ *
+ * VERIFICATION_PROVIDERS selects and chains the providers (Hunter by
+ * default), e.g. "local,hunter" to run the offline checks first and only
+ * spend Hunter credits on addresses that pass them.
  * @param {String} email - Email address to verify
+ * @param {Object} options - Additional options
+ * @param {Array<String>|String} options.providers - Providers to use instead of VERIFICATION_PROVIDERS
+ * @param {Boolean} options.useCache - Set to false to skip reading the verification cache
+ * @param {Boolean} options.saveToCache - Set to false to leave the verification cache as it is
  * @returns {Promise<Object>} - Verification result
  */
-export async function verifyEmail(email) {
-  if (!HUNTER_API_KEY) {
-    throw new Error("Hunter API key is not set in the .env file");
-  }
-
-  try {
-    const response = await fetch(
-      `https://api.hunter.io/v2/email-verifier?email=${email}&api_key=${HUNTER_API_KEY}`
-    );
-
-    if (!response.ok) {
-      throw new Error(
-        `Hunter API returned ${response.status}: ${response.statusText}`
-      );
-    }
-
-    const data = await response.json();
-
-    return {
-      email,
-      isValid: data.data.status === "valid",
-      status: data.data.status,
-      score: data.data.score,
-      result: data.data.result,
-      isDisposable: data.data.disposable,
-      isWebmail: data.data.webmail,
-      isAcceptAll: data.data.accept_all,
-    };
-  } catch (error) {
-    console.error(`Error verifying email ${email}:`, error);
-    throw error;
-  }
+export async function verifyEmail(email, options = {}) {
+  return verifyWithProviders(email, options);
 }
 
 /**
@@ -63,37 +62,58 @@ export async function verifyEmail(email) {
  * @param {String} domain - Domain to search for email addresses
  * @param {String} firstName - Optional first name of the person
  * @param {String} lastName - Optional last name of the person
+ * @param {Object} options - Additional search options
+ * @param {Number} options.limit - Maximum number of addresses to return
+ * @param {String} options.department - Only return addresses in these Hunter departments (comma-separated)
+ * @param {String} options.seniority - Only return addresses with this seniority
+ * @param {Boolean} options.useCache - Set to false to bypass the verification cache
+ * @param {Boolean} options.saveToCache - Set to false to leave the verification cache as it is
  * @returns {Promise<Array>} - Array of email addresses
  */
 export async function findEmailsByDomain(
   domain,
   firstName = "",
-  lastName = ""
+  lastName = "",
+  options = {}
 ) {
-  if (!HUNTER_API_KEY) {
-    throw new Error("Hunter API key is not set in the .env file");
-  }
+  const key = [
+    domain,
+    firstName,
+    lastName,
+    options.limit,
+    options.department,
+    options.seniority,
+  ]
+    .map((part) => part || "")
+    .join("|");
+
+  return withVerificationCache(
+    "domain_search",
+    key,
+    () => requestDomainSearch(domain, firstName, lastName, options),
+    (emails) => (emails.length > 0 ? "found" : "empty"),
+    options
+  );
+}
 
+/**
+ * Call Hunter's domain search
+ * @param {String} domain - Domain to search for email addresses
+ * @param {String} firstName - Optional first name of the person
+ * @param {String} lastName - Optional last name of the person
+ * @param {Object} options - Additional search options (see findEmailsByDomain)
+ * @returns {Promise<Array>} - Array of email addresses
+ */
+async function requestDomainSearch(domain, firstName, lastName, options) {
   try {
-    let url = `https://api.hunter.io/v2/domain-search?domain=${domain}&api_key=${HUNTER_API_KEY}`;
-
-    if (firstName) {
-      url += `&first_name=${firstName}`;
-    }
-
-    if (lastName) {
-      url += `&last_name=${lastName}`;
-    }
-
-    const response = await fetch(url);
-
-    if (!response.ok) {
-      throw new Error(
-        `Hunter API returned ${response.status}: ${response.statusText}`
-      );
-    }
-
-    const data = await response.json();
+    const data = await hunterRequest("domain-search", {
+      domain,
+      first_name: firstName,
+      last_name: lastName,
+      limit: options.limit,
+      department: options.department,
+      seniority: options.seniority,
+    });
 
     // Extract email addresses from the response
     const emails = data.data.emails.map((email) => ({
@@ -101,6 +121,8 @@ export async function findEmailsByDomain(
       firstName: email.first_name,
       lastName: email.last_name,
       position: email.position,
+      department: email.department,
+      seniority: email.seniority,
       confidence: email.confidence,
       type: email.type,
       sources: email.sources,
@@ -141,42 +163,7 @@ export async function findBestEmailForPerson(domain, firstName, lastName) {
 
     if (patterns.length > 0) {
       // Use the most common pattern to generate an email
-      const pattern = patterns[0];
-      let email = "";
-
-      switch (pattern) {
-        case "first_last":
-          email = `${firstName.toLowerCase()}.${lastName.toLowerCase()}@${domain}`;
-          break;
-        case "firstlast":
-          email = `${firstName.toLowerCase()}${lastName.toLowerCase()}@${domain}`;
-          break;
-        case "first.last":
-          email = `${firstName.toLowerCase()}.${lastName.toLowerCase()}@${domain}`;
-          break;
-        case "first":
-          email = `${firstName.toLowerCase()}@${domain}`;
-          break;
-        case "last.first":
-          email = `${lastName.toLowerCase()}.${firstName.toLowerCase()}@${domain}`;
-          break;
-        case "lastfirst":
-          email = `${lastName.toLowerCase()}${firstName.toLowerCase()}@${domain}`;
-          break;
-        case "first_initial.last":
-          email = `${firstName
-            .charAt(0)
-            .toLowerCase()}.${lastName.toLowerCase()}@${domain}`;
-          break;
-        case "first_initiallast":
-          email = `${firstName
-            .charAt(0)
-            .toLowerCase()}${lastName.toLowerCase()}@${domain}`;
-          break;
-        default:
-          // Default to first.last@domain.com
-          email = `${firstName.toLowerCase()}.${lastName.toLowerCase()}@${domain}`;
-      }
+      const email = applyEmailPattern(patterns[0], firstName, lastName, domain);
 
       // Verify the generated email
       try {
@@ -193,6 +180,10 @@ export async function findBestEmailForPerson(domain, firstName, lastName) {
           };
         }
       } catch (error) {
+        if (error.code === HUNTER_QUOTA_EXCEEDED) {
+          throw error;
+        }
+
         console.warn(`Could not verify generated email ${email}:`, error);
       }
     }
@@ -212,25 +203,29 @@ export async function findBestEmailForPerson(domain, firstName, lastName) {
 /**
  * Get the email pattern for a domain
  * @param {String} domain - Domain to get the email pattern for
+ * @param {Object} options - Additional options
+ * @param {Boolean} options.useCache - Set to false to bypass the verification cache
+ * @param {Boolean} options.saveToCache - Set to false to leave the verification cache as it is
  * @returns {Promise<Array>} - Array of email patterns
  */
-export async function getEmailPattern(domain) {
-  if (!HUNTER_API_KEY) {
-    throw new Error("Hunter API key is not set in the .env file");
-  }
+export async function getEmailPattern(domain, options = {}) {
+  return withVerificationCache(
+    "pattern",
+    domain,
+    () => requestEmailPattern(domain),
+    (patterns) => (patterns.length > 0 ? "found" : "empty"),
+    options
+  );
+}
 
+/**
+ * Call Hunter's email count endpoint for the domain's pattern
+ * @param {String} domain - Domain to get the email pattern for
+ * @returns {Promise<Array>} - Array of email patterns
+ */
+async function requestEmailPattern(domain) {
   try {
-    const response = await fetch(
-      `https://api.hunter.io/v2/email-count?domain=${domain}&api_key=${HUNTER_API_KEY}`
-    );
-
-    if (!response.ok) {
-      throw new Error(
-        `Hunter API returned ${response.status}: ${response.statusText}`
-      );
-    }
-
-    const data = await response.json();
+    const data = await hunterRequest("email-count", { domain });
 
     // Extract email patterns from the response
     if (data.data && data.data.pattern) {
@@ -243,3 +238,184 @@ export async function getEmailPattern(domain) {
     throw error;
   }
 }
+
+/**
+ * Discover contacts at a domain, targeting specific departments
+ *
+ * The domain search is restricted to the Hunter departments of the target
+ * roles (HR, recruiting, talent, engineering leadership by default), and
+ * only falls back to every department when none of them has an address.
+ * Addresses are ranked so that people in the target roles come first, most
+ * relevant role and highest confidence first. Pattern-based guessing is
+ * only used when Hunter has no address and a real person's name is known.
+ * @param {String} domain - Company domain
+ * @param {Object} options - Discovery options
+ * @param {Array<String>} options.roles - Target roles, most relevant first
+ * @param {Object} options.person - Known person to guess an address for ({ firstName, lastName })
+ * @param {Boolean} options.saveToCache - Set to false to leave the verification cache as it is
+ * @returns {Promise<Array>} - Contact records, most relevant first
+ */
+export async function discoverContacts(domain, options = {}) {
+  const roles = options.roles || CONTACT_ROLE_PREFERENCE;
+
+  const searchOptions = {
+    limit: HUNTER_DOMAIN_SEARCH_LIMIT,
+    saveToCache: options.saveToCache,
+  };
+  const departments = getRoleDepartments(roles);
+  let emails = [];
+
+  // Hunter accepts several comma-separated departments
+  if (departments.length > 0) {
+    emails = await findEmailsByDomain(domain, "", "", {
+      ...searchOptions,
+      department: departments.join(","),
+    });
+  }
+
+  // Empty searches cost no credits
+  if (emails.length === 0) {
+    emails = await findEmailsByDomain(domain, "", "", searchOptions);
+  }
+
+  if (emails.length > 0) {
+    const contacts = rankContacts(contactsFromHunterEmails(emails), roles);
+    const targeted = contacts.filter((contact) => hasAnyRole(contact, roles));
+
+    console.log(
+      `Found ${contacts.length} contacts at ${domain}, ${targeted.length} in target roles (${roles.join(", ")}).`
+    );
+    return contacts;
+  }
+
+  const { firstName, lastName } = options.person || {};
+
+  if (!firstName || !lastName) {
+    return [];
+  }
+
+  const guessed = await guessEmailForPerson(domain, firstName, lastName, {
+    saveToCache: options.saveToCache,
+  });
+  return guessed ? [guessed] : [];
+}
+
+/**
+ * Guess and verify a person's address from the domain's email pattern
+ * @param {String} domain - Company domain
+ * @param {String} firstName - First name of the person
+ * @param {String} lastName - Last name of the person
+ * @param {Object} options - Additional options
+ * @param {Boolean} options.saveToCache - Set to false to leave the verification cache as it is
+ * @returns {Promise<Object|null>} - Verified contact record, or null
+ */
+export async function guessEmailForPerson(
+  domain,
+  firstName,
+  lastName,
+  options = {}
+) {
+  let patterns = [];
+
+  try {
+    patterns = await getEmailPattern(domain, {
+      saveToCache: options.saveToCache,
+    });
+  } catch (error) {
+    if (error.code === HUNTER_QUOTA_EXCEEDED) {
+      throw error;
+    }
+
+    console.warn(`Could not get email pattern for ${domain}:`, error);
+  }
+
+  const candidates = [
+    ...new Set(
+      [...patterns, ...COMMON_EMAIL_PATTERNS].map((pattern) =>
+        applyEmailPattern(pattern, firstName, lastName, domain)
+      )
+    ),
+  ];
+
+  for (const email of candidates) {
+    try {
+      const verification = await verifyEmail(email, {
+        saveToCache: options.saveToCache,
+      });
+
+      if (verification.isValid) {
+        return {
+          email,
+          first_name: firstName,
+          last_name: lastName,
+          source: "pattern",
+          confidence: verification.score ?? null,
+          ...getVerificationFields(verification),
+        };
+      }
+    } catch (error) {
+      if (error.code === HUNTER_QUOTA_EXCEEDED) {
+        throw error;
+      }
+
+      console.warn(`Could not verify generated email ${email}:`, error);
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Build an email address from a pattern
+ * @param {String} pattern - Hunter pattern (e.g. "{first}.{last}") or legacy name (e.g. "first.last")
+ * @param {String} firstName - First name of the person
+ * @param {String} lastName - Last name of the person
+ * @param {String} domain - Company domain
+ * @returns {String} - Email address
+ */
+export function applyEmailPattern(pattern, firstName, lastName, domain) {
+  const first = normalizeNamePart(firstName);
+  const last = normalizeNamePart(lastName);
+  const template =
+    LEGACY_EMAIL_PATTERNS[pattern] ||
+    (pattern && pattern.includes("{") ? pattern : "{first}.{last}");
+
+  const localPart = template
+    .replace(/\{first\}/g, first)
+    .replace(/\{last\}/g, last)
+    .replace(/\{f\}/g, first.charAt(0))
+    .replace(/\{l\}/g, last.charAt(0));
+
+  return `${localPart}@${domain}`;
+}
+
+/**
+ * Split a full name into first and last name
+ * @param {String} fullName - Full name, e.g. "Jane van Doe"
+ * @returns {Object|null} - Name parts ({ firstName, lastName }), or null without both
+ */
+export function parsePersonName(fullName) {
+  const parts = String(fullName || "")
+    .trim()
+    .split(/\s+/)
+    .filter(Boolean);
+
+  if (parts.length < 2) {
+    return null;
+  }
+
+  return { firstName: parts[0], lastName: parts[parts.length - 1] };
+}
+
+/**
+ * Normalise a name for use in an email address
+ * @param {String} name - Name
+ * @returns {String} - Lowercase ASCII letters and digits only
+ */
+function normalizeNamePart(name) {
+  return String(name || "")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]/g, "");
+}
@@ -1,9 +1,22 @@
 import supabase from "../supabase/client.js";
+import { countEmailStatistics } from "../utils/emailStatistics.js";
+import { recordEmailEvent } from "./emailEvents.js";
 
 /**
  * Emails API - Functions to interact with the emails table in Supabase
  */
 
+// Statuses of drafts that are still waiting to be reviewed or sent
+export const OPEN_DRAFT_STATUSES = ["pending_approval", "approved"];
+
+// Shape of an email ID, checked before querying with a value from a webhook
+const EMAIL_ID_PATTERN =
+  /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Rows read per request for the statistics (PostgREST caps a response at
+// 1000 rows by default)
+const STATISTICS_PAGE_SIZE = 1000;
+
 /**
  * Create a new email record
  * @param {Object} email - Email data
@@ -44,6 +57,48 @@ export async function updateEmail(id, updates) {
   return data[0];
 }
 
+/**
+ * Get all emails with optional filtering
+ * @param {Object} filters - Optional filters for the query
+ * @param {String|Array<String>} filters.status - Filter by status (or any of several statuses)
+ * @param {String} filters.companyId - Filter by company ID
+ * @param {Number} filters.limit - Limit the number of results
+ * @param {Number} filters.offset - Offset for pagination
+ * @returns {Promise<Array>} - Array of emails
+ */
+export async function getEmails(filters = {}) {
+  let query = supabase.from("emails").select("*");
+
+  // Apply filters if provided
+  if (Array.isArray(filters.status)) {
+    query = query.in("status", filters.status);
+  } else if (filters.status) {
+    query = query.eq("status", filters.status);
+  }
+
+  if (filters.companyId) {
+    query = query.eq("company_id", filters.companyId);
+  }
+
+  // Apply sorting - most recent first
+  query = query.order("created_at", { ascending: false });
+
+  // Apply pagination if provided
+  if (filters.limit) {
+    const offset = filters.offset || 0;
+    query = query.range(offset, offset + filters.limit - 1);
+  }
+
+  const { data, error } = await query;
+
+  if (error) {
+    console.error("Error fetching emails:", error);
+    throw error;
+  }
+
+  return data;
+}
+
 /**
  * Get all emails for a specific company
  * @param {String} companyId - Company ID
@@ -85,142 +140,215 @@ export async function getEmailById(id) {
 }
 
 /**
- * Mark an email as sent
+ * Find the email a provider event is about
+ *
+ * Every email carries its ID to the provider (see sendEmail), so events are
+ * matched on it first. Otherwise the provider's message ID is used, which
+ * may extend the stored one: SendGrid's sg_message_id is the x-message-id
+ * followed by ".filter..." segments.
+ * @param {Object} ids - Identifiers from the event
+ * @param {String} ids.emailId - Email ID sent along with the email
+ * @param {String} ids.messageId - Provider's message ID
+ * @returns {Promise<Object|null>} - Email, or null if none matches
+ */
+export async function findEmailForEvent({ emailId, messageId }) {
+  if (emailId && EMAIL_ID_PATTERN.test(emailId)) {
+    const { data, error } = await supabase
+      .from("emails")
+      .select("*")
+      .eq("id", emailId)
+      .limit(1);
+
+    if (error) {
+      console.error(`Error fetching email with ID ${emailId}:`, error);
+      throw error;
+    }
+
+    if (data[0]) {
+      return data[0];
+    }
+  }
+
+  if (!messageId) {
+    return null;
+  }
+
+  // The message ID itself and every prefix ending before a "."
+  const id = messageId.trim().replace(/^<|>$/g, "");
+  const parts = id.split(".");
+  const candidates = parts.map((_, index) =>
+    parts.slice(0, index + 1).join(".")
+  );
+
+  const { data, error } = await supabase
+    .from("emails")
+    .select("*")
+    .in("message_id", candidates);
+
+  if (error) {
+    console.error(`Error fetching email with message ID ${id}:`, error);
+    throw error;
+  }
+
+  // The longest match is the most specific one
+  return (
+    data.sort((a, b) => b.message_id.length - a.message_id.length)[0] || null
+  );
+}
+
+/**
+ * Mark a draft as approved for sending
  * @param {String} id - Email ID
- * @param {String} messageId - Provider's message ID for tracking
  * @returns {Promise<Object>} - Updated email object
  */
-export async function markEmailAsSent(id, messageId) {
+export async function markEmailAsApproved(id) {
   return updateEmail(id, {
-    status: "sent",
-    sent_at: new Date().toISOString(),
-    message_id: messageId,
+    status: "approved",
+    reviewed_at: new Date().toISOString(),
   });
 }
 
 /**
- * Mark an email as opened
+ * Mark a draft as rejected
  * @param {String} id - Email ID
+ * @param {String} notes - Optional reason for the rejection
  * @returns {Promise<Object>} - Updated email object
  */
-export async function markEmailAsOpened(id) {
+export async function markEmailAsRejected(id, notes) {
   return updateEmail(id, {
-    status: "opened",
-    opened_at: new Date().toISOString(),
+    status: "rejected",
+    reviewed_at: new Date().toISOString(),
+    review_notes: notes || null,
   });
 }
 
 /**
- * Mark an email as clicked
+ * Mark an email as sent
  * @param {String} id - Email ID
+ * @param {String} messageId - Provider's message ID for tracking
+ * @param {Object} details - Event details (see recordEmailEvent)
  * @returns {Promise<Object>} - Updated email object
  */
-export async function markEmailAsClicked(id) {
-  return updateEmail(id, {
-    status: "clicked",
-    clicked_at: new Date().toISOString(),
-  });
+export async function markEmailAsSent(id, messageId, details = {}) {
+  return recordEmailEvent(id, "sent", details, { message_id: messageId });
 }
 
 /**
- * Mark an email as replied
+ * Mark an email as delivered to the recipient's mail server
  * @param {String} id - Email ID
+ * @param {Object} details - Event details (see recordEmailEvent)
  * @returns {Promise<Object>} - Updated email object
  */
-export async function markEmailAsReplied(id) {
-  return updateEmail(id, {
-    status: "replied",
-    replied_at: new Date().toISOString(),
-  });
+export async function markEmailAsDelivered(id, details = {}) {
+  return recordEmailEvent(id, "delivered", details);
 }
 
 /**
- * Mark an email as bounced
+ * Mark an email as deferred: delivery failed for now and is being retried
  * @param {String} id - Email ID
+ * @param {String} reason - Provider's reason
+ * @param {Object} details - Event details (see recordEmailEvent)
  * @returns {Promise<Object>} - Updated email object
  */
-export async function markEmailAsBounced(id) {
-  return updateEmail(id, {
-    status: "bounced",
-  });
+export async function markEmailAsDeferred(id, reason, details = {}) {
+  return recordEmailEvent(id, "deferred", { ...details, reason });
 }
 
 /**
- * Get email statistics
- * @returns {Promise<Object>} - Email statistics
+ * Mark an email as dropped: the provider refused to deliver it
+ * @param {String} id - Email ID
+ * @param {String} reason - Provider's reason
+ * @param {Object} details - Event details (see recordEmailEvent)
+ * @returns {Promise<Object>} - Updated email object
  */
-export async function getEmailStatistics() {
-  const { data: total, error: totalError } = await supabase
-    .from("emails")
-    .select("count", { count: "exact" });
+export async function markEmailAsDropped(id, reason, details = {}) {
+  return recordEmailEvent(id, "dropped", { ...details, reason });
+}
 
-  if (totalError) {
-    console.error("Error fetching total email count:", totalError);
-    throw totalError;
-  }
+/**
+ * Mark an email as opened (again, if it already was)
+ * @param {String} id - Email ID
+ * @param {Object} details - Event details (see recordEmailEvent)
+ * @returns {Promise<Object>} - Updated email object
+ */
+export async function markEmailAsOpened(id, details = {}) {
+  return recordEmailEvent(id, "opened", details);
+}
 
-  const { data: sent, error: sentError } = await supabase
-    .from("emails")
-    .select("count", { count: "exact" })
-    .eq("status", "sent");
+/**
+ * Mark an email as clicked (again, if it already was)
+ * @param {String} id - Email ID
+ * @param {Object} details - Event details (see recordEmailEvent)
+ * @returns {Promise<Object>} - Updated email object
+ */
+export async function markEmailAsClicked(id, details = {}) {
+  return recordEmailEvent(id, "clicked", details);
+}
 
-  if (sentError) {
-    console.error("Error fetching sent email count:", sentError);
-    throw sentError;
-  }
+/**
+ * Mark an email as replied
+ * @param {String} id - Email ID
+ * @param {Object} details - Event details (see recordEmailEvent)
+ * @returns {Promise<Object>} - Updated email object
+ */
+export async function markEmailAsReplied(id, details = {}) {
+  return recordEmailEvent(id, "replied", details);
+}
 
-  const { data: opened, error: openedError } = await supabase
-    .from("emails")
-    .select("count", { count: "exact" })
-    .eq("status", "opened");
+/**
+ * Mark an email as bounced
+ * @param {String} id - Email ID
+ * @param {String} reason - Provider's reason
+ * @param {Object} details - Event details (see recordEmailEvent)
+ * @returns {Promise<Object>} - Updated email object
+ */
+export async function markEmailAsBounced(id, reason, details = {}) {
+  return recordEmailEvent(id, "bounced", { ...details, reason });
+}
 
-  if (openedError) {
-    console.error("Error fetching opened email count:", openedError);
-    throw openedError;
-  }
+/**
+ * Mark an email as reported as spam by the recipient
+ * @param {String} id - Email ID
+ * @param {Object} details - Event details (see recordEmailEvent)
+ * @returns {Promise<Object>} - Updated email object
+ */
+export async function markEmailAsSpamReported(id, details = {}) {
+  return recordEmailEvent(id, "spam_reported", details);
+}
 
-  const { data: clicked, error: clickedError } = await supabase
-    .from("emails")
-    .select("count", { count: "exact" })
-    .eq("status", "clicked");
+/**
+ * Mark an email as the one the recipient unsubscribed from
+ * @param {String} id - Email ID
+ * @param {Object} details - Event details (see recordEmailEvent)
+ * @returns {Promise<Object>} - Updated email object
+ */
+export async function markEmailAsUnsubscribed(id, details = {}) {
+  return recordEmailEvent(id, "unsubscribed", details);
+}
 
-  if (clickedError) {
-    console.error("Error fetching clicked email count:", clickedError);
-    throw clickedError;
-  }
+/**
+ * Get email statistics
+ * @returns {Promise<Object>} - Email statistics (see countEmailStatistics)
+ */
+export async function getEmailStatistics() {
+  const emails = [];
 
-  const { data: replied, error: repliedError } = await supabase
-    .from("emails")
-    .select("count", { count: "exact" })
-    .eq("status", "replied");
+  for (let offset = 0; ; offset += STATISTICS_PAGE_SIZE) {
+    const { data, error } = await supabase
+      .from("emails")
+      .select("id, sent_at, opened_at, clicked_at, replied_at, bounced_at")
+      .order("id", { ascending: true })
+      .range(offset, offset + STATISTICS_PAGE_SIZE - 1);
 
-  if (repliedError) {
-    console.error("Error fetching replied email count:", repliedError);
-    throw repliedError;
-  }
+    if (error) {
+      console.error("Error fetching emails for statistics:", error);
+      throw error;
+    }
 
-  const { data: bounced, error: bouncedError } = await supabase
-    .from("emails")
-    .select("count", { count: "exact" })
-    .eq("status", "bounced");
+    emails.push(...data);
 
-  if (bouncedError) {
-    console.error("Error fetching bounced email count:", bouncedError);
-    throw bouncedError;
+    if (data.length < STATISTICS_PAGE_SIZE) {
+      return countEmailStatistics(emails);
+    }
   }
-
-  return {
-    total: total[0].count,
-    sent: sent[0].count,
-    opened: opened[0].count,
-    clicked: clicked[0].count,
-    replied: replied[0].count,
-    bounced: bounced[0].count,
-    openRate: sent[0].count > 0 ? (opened[0].count / sent[0].count) * 100 : 0,
-    clickRate:
-      opened[0].count > 0 ? (clicked[0].count / opened[0].count) * 100 : 0,
-    replyRate: sent[0].count > 0 ? (replied[0].count / sent[0].count) * 100 : 0,
-    bounceRate:
-      sent[0].count > 0 ? (bounced[0].count / sent[0].count) * 100 : 0,
-  };
 }
@@ -0,0 +1,285 @@
+import fetch from "node-fetch";
+import dotenv from "dotenv";
+import path from "path";
+import { fileURLToPath } from "url";
+
+// Get the directory name
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// Load environment variables from .env file in the config directory
+dotenv.config({ path: path.join(__dirname, "../../config/.env") });
+
+/**
+ * Hunter Client - Shared access to the Hunter.io API with throttling,
+ * retries and credit accounting
+ *
+ * Hunter answers 403 when the per-second rate limit is hit (retried after a
+ * backoff) and 429 when the plan's monthly usage is exhausted. After a 429
+ * every further request fails immediately with HUNTER_QUOTA_EXCEEDED, so a
+ * run can stop cleanly instead of failing company after company. The email
+ * verifier answers 202 while a verification is still running: the request
+ * is retried, then fails with HUNTER_VERIFICATION_PENDING.
+ */
+
+// Hunter.io API key
+const HUNTER_API_KEY = process.env.HUNTER_API_KEY;
+
+// Hunter.io API base URL (a proxy or stand-in with the same API also works)
+const HUNTER_API_URL = (
+  process.env.HUNTER_API_URL || "https://api.hunter.io/v2"
+).replace(/\/+$/, "");
+
+// Maximum requests per second (Hunter allows 15 for searches, 10 for verifications)
+const HUNTER_REQUESTS_PER_SECOND = parseFloat(
+  process.env.HUNTER_REQUESTS_PER_SECOND || "5"
+);
+
+// Retries for rate-limited, pending, server-side and network failures
+const HUNTER_MAX_RETRIES = parseInt(process.env.HUNTER_MAX_RETRIES || "3", 10);
+
+// Milliseconds before the first retry, doubled for each further retry
+const HUNTER_RETRY_BASE_DELAY = parseInt(
+  process.env.HUNTER_RETRY_BASE_DELAY || "1000",
+  10
+);
+
+// Error code of the error thrown once the monthly quota is used up
+export const HUNTER_QUOTA_EXCEEDED = "HUNTER_QUOTA_EXCEEDED";
+
+// Error code of the error thrown when a verification is still running after
+// every retry
+export const HUNTER_VERIFICATION_PENDING = "HUNTER_VERIFICATION_PENDING";
+
+// Credits charged per request, by endpoint (domain searches: per 10 emails returned)
+export const HUNTER_CREDIT_COSTS = {
+  "domain-search": 1,
+  "email-verifier": 0.5,
+  "email-count": 0,
+  account: 0,
+};
+
+// Usage since the last resetHunterUsage()
+let usage = createUsage();
+
+// Earliest time the next request may start
+let nextRequestAt = 0;
+
+// Set once Hunter reports the monthly quota as exhausted
+let quotaExceeded = false;
+
+// Check if the required environment variables are set
+if (!HUNTER_API_KEY) {
+  console.warn(
+    "Warning: Hunter API key is not set in the .env file. Hunter lookups will not work."
+  );
+}
+
+/**
+ * Call a Hunter.io API endpoint
+ * @param {String} endpoint - Endpoint name (e.g. "email-verifier")
+ * @param {Object} params - Query parameters (empty values are left out)
+ * @returns {Promise<Object>} - Response body
+ */
+export async function hunterRequest(endpoint, params = {}) {
+  if (!HUNTER_API_KEY) {
+    throw new Error("Hunter API key is not set in the .env file");
+  }
+
+  if (quotaExceeded) {
+    throw createQuotaError();
+  }
+
+  const query = new URLSearchParams();
+
+  for (const [key, value] of Object.entries(params)) {
+    if (value !== undefined && value !== null && value !== "") {
+      query.set(key, value);
+    }
+  }
+
+  query.set("api_key", HUNTER_API_KEY);
+  const url = `${HUNTER_API_URL}/${endpoint}?${query}`;
+
+  for (let attempt = 0; ; attempt++) {
+    await waitForRateLimit();
+    usage.requests++;
+
+    let response;
+
+    try {
+      response = await fetch(url);
+    } catch (error) {
+      if (attempt < HUNTER_MAX_RETRIES) {
+        await retryAfter(endpoint, attempt, null, error.message);
+        continue;
+      }
+
+      throw error;
+    }
+
+    if (response.status === 429) {
+      quotaExceeded = true;
+      throw createQuotaError();
+    }
+
+    if (
+      (response.status === 403 || response.status >= 500) &&
+      attempt < HUNTER_MAX_RETRIES
+    ) {
+      await retryAfter(
+        endpoint,
+        attempt,
+        response.headers.get("retry-after"),
+        `HTTP ${response.status}`
+      );
+      continue;
+    }
+
+    // 202 means the verification is still running and nothing was charged
+    if (response.status === 202) {
+      if (attempt < HUNTER_MAX_RETRIES) {
+        await retryAfter(
+          endpoint,
+          attempt,
+          response.headers.get("retry-after"),
+          "verification still in progress"
+        );
+        continue;
+      }
+
+      const error = new Error(`Hunter ${endpoint} result is still pending`);
+      error.code = HUNTER_VERIFICATION_PENDING;
+      throw error;
+    }
+
+    if (!response.ok) {
+      throw new Error(
+        `Hunter API returned ${response.status}: ${response.statusText}`
+      );
+    }
+
+    const data = await response.json();
+    recordCredits(endpoint, data);
+    return data;
+  }
+}
+
+/**
+ * Get Hunter usage since the last reset
+ * @returns {Object} - Usage ({ requests, retries, credits, byEndpoint, quotaExceeded })
+ */
+export function getHunterUsage() {
+  return {
+    ...usage,
+    byEndpoint: { ...usage.byEndpoint },
+    quotaExceeded,
+  };
+}
+
+/**
+ * Reset the usage counters, e.g. at the start of a run
+ */
+export function resetHunterUsage() {
+  usage = createUsage();
+}
+
+/**
+ * Get the account's plan usage from Hunter
+ * @returns {Promise<Object>} - Plan name, reset date and requests used/available
+ */
+export async function getHunterAccount() {
+  const { data } = await hunterRequest("account");
+
+  return {
+    plan: data.plan_name,
+    resetDate: data.reset_date,
+    requests: data.requests,
+  };
+}
+
+/**
+ * Add the credits a response cost to the usage counters
+ * @param {String} endpoint - Endpoint name
+ * @param {Object} data - Response body
+ */
+function recordCredits(endpoint, data) {
+  let credits = HUNTER_CREDIT_COSTS[endpoint] || 0;
+
+  // Searches are charged per 10 emails returned, and not at all when empty
+  if (endpoint === "domain-search") {
+    const emails = (data.data && data.data.emails) || [];
+    credits = Math.ceil(emails.length / 10) * HUNTER_CREDIT_COSTS[endpoint];
+  }
+
+  const byEndpoint = (usage.byEndpoint[endpoint] ||= {
+    requests: 0,
+    credits: 0,
+  });
+
+  byEndpoint.requests++;
+  byEndpoint.credits += credits;
+  usage.credits += credits;
+}
+
+/**
+ * Wait for a free slot under the requests-per-second limit
+ * @returns {Promise<void>}
+ */
+async function waitForRateLimit() {
+  const now = Date.now();
+  const startAt = Math.max(now, nextRequestAt);
+
+  nextRequestAt = startAt + 1000 / HUNTER_REQUESTS_PER_SECOND;
+
+  if (startAt > now) {
+    await sleep(startAt - now);
+  }
+}
+
+/**
+ * Wait before retrying a failed request
+ * @param {String} endpoint - Endpoint name
+ * @param {Number} attempt - Number of the failed attempt (0 for the first)
+ * @param {String} retryAfterHeader - Retry-After header, in seconds
+ * @param {String} reason - Why the request failed
+ * @returns {Promise<void>}
+ */
+async function retryAfter(endpoint, attempt, retryAfterHeader, reason) {
+  const retryAfterSeconds = parseInt(retryAfterHeader, 10);
+  const delay = Number.isNaN(retryAfterSeconds)
+    ? HUNTER_RETRY_BASE_DELAY * 2 ** attempt
+    : retryAfterSeconds * 1000;
+
+  usage.retries++;
+  console.warn(
+    `Hunter ${endpoint} request failed (${reason}). Retrying in ${delay}ms...`
+  );
+  await sleep(delay);
+}
+
+/**
+ * Create the error thrown once the monthly quota is used up
+ * @returns {Error} - Error with code HUNTER_QUOTA_EXCEEDED
+ */
+function createQuotaError() {
+  const error = new Error("Hunter monthly usage limit reached");
+  error.code = HUNTER_QUOTA_EXCEEDED;
+  return error;
+}
+
+/**
+ * Create empty usage counters
+ * @returns {Object} - Usage counters
+ */
+function createUsage() {
+  return { requests: 0, retries: 0, credits: 0, byEndpoint: {} };
+}
+
+/**
+ * Wait for a number of milliseconds
+ * @param {Number} ms - Milliseconds
+ * @returns {Promise<void>}
+ */
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
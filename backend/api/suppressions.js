@@ -0,0 +1,366 @@
+import dotenv from "dotenv";
+import path from "path";
+import { fileURLToPath } from "url";
+import supabase from "../supabase/client.js";
+import { getEmailDomain } from "../utils/domain.js";
+import {
+  WEBMAIL_DOMAINS,
+  isListedDomain,
+} from "./verificationProviders/domainLists.js";
+
+// Get the directory name
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// Load environment variables from .env file in the config directory
+dotenv.config({ path: path.join(__dirname, "../../config/.env") });
+
+/**
+ * Suppressions API - Addresses and domains that must never be emailed again
+ *
+ * An entry with an `email` suppresses that address (its `domain` is only
+ * recorded for reference); an entry with only a `domain` suppresses
+ * everyone at that domain. Domains may use "*" wildcards: "*.acme.com"
+ * covers every subdomain of acme.com. Entries with an `expires_at` stop
+ * applying once it has passed. Webmail domains (gmail.com, outlook.com,
+ * ...) can only be suppressed address by address.
+ */
+
+// Error code thrown when sending to a suppressed address
+export const EMAIL_SUPPRESSED = "EMAIL_SUPPRESSED";
+
+// Why an address or domain can be suppressed
+export const SUPPRESSION_REASONS = [
+  "unsubscribed",
+  "hard_bounce",
+  "spam_report",
+  "manual",
+];
+
+// Days until a suppression expires, per reason, from SUPPRESSION_TTLS
+// (e.g. "hard_bounce:365"); reasons without one never expire
+const SUPPRESSION_TTL_DAYS = parseTtls(process.env.SUPPRESSION_TTLS);
+
+/**
+ * Add an address or domain to the suppression list
+ *
+ * Adding something that is already suppressed keeps the existing entry,
+ * extended if the new one lasts longer.
+ * @param {Object} suppression - Suppression ({ email, domain, reason, source, note, email_id, company_id })
+ * @param {Object} options - Additional options
+ * @param {Number} options.days - Days until the entry expires (default: SUPPRESSION_TTLS for the reason, else never)
+ * @returns {Promise<Object>} - Created or existing suppression
+ */
+export async function addSuppression(suppression, options = {}) {
+  const email = suppression.email
+    ? suppression.email.trim().toLowerCase()
+    : null;
+  const domain =
+    (suppression.domain || "").trim().toLowerCase() ||
+    getEmailDomain(email) ||
+    null;
+
+  if (!email && !domain) {
+    throw new Error("A suppression needs an email address or a domain");
+  }
+
+  if (!email && !canSuppressDomain(domain)) {
+    throw new Error(
+      `${domain} is a webmail domain; suppress individual addresses instead`
+    );
+  }
+
+  if (!SUPPRESSION_REASONS.includes(suppression.reason)) {
+    throw new Error(
+      `Unknown suppression reason "${suppression.reason}". Use one of: ${SUPPRESSION_REASONS.join(", ")}`
+    );
+  }
+
+  const days = options.days ?? SUPPRESSION_TTL_DAYS[suppression.reason];
+  const expiresAt =
+    days === undefined
+      ? null
+      : new Date(Date.now() + days * 24 * 60 * 60 * 1000).toISOString();
+  const existing = await getSuppressionEntry(email, domain);
+
+  if (existing) {
+    if (isActive(existing) && !outlasts(expiresAt, existing.expires_at)) {
+      return existing;
+    }
+
+    return updateSuppression(existing.id, {
+      ...suppression,
+      email,
+      domain,
+      expires_at: expiresAt,
+    });
+  }
+
+  const { data, error } = await supabase
+    .from("suppressions")
+    .insert([{ ...suppression, email, domain, expires_at: expiresAt }])
+    .select();
+
+  if (error) {
+    console.error(`Error suppressing ${email || domain}:`, error);
+    throw error;
+  }
+
+  return data[0];
+}
+
+/**
+ * Check whether a whole domain may be suppressed
+ *
+ * Suppressing a webmail domain would suppress everyone using that
+ * provider.
+ * @param {String} domain - Domain, possibly with a "*." wildcard
+ * @returns {Boolean} - False for webmail domains
+ */
+export function canSuppressDomain(domain) {
+  const name = String(domain || "")
+    .trim()
+    .toLowerCase()
+    .replace(/^\*\./, "");
+  return Boolean(name) && !isListedDomain(WEBMAIL_DOMAINS, name);
+}
+
+/**
+ * Remove an entry from the suppression list
+ * @param {String} value - Suppression ID, address or domain
+ * @returns {Promise<Array>} - Removed suppressions
+ */
+export async function removeSuppression(value) {
+  const target = value.trim().toLowerCase();
+  let query = supabase.from("suppressions").delete();
+
+  if (/^[0-9a-f-]{36}$/.test(target)) {
+    query = query.eq("id", target);
+  } else if (target.includes("@")) {
+    query = query.eq("email", target);
+  } else {
+    query = query.eq("domain", target).is("email", null);
+  }
+
+  const { data, error } = await query.select();
+
+  if (error) {
+    console.error(`Error removing suppression ${value}:`, error);
+    throw error;
+  }
+
+  return data;
+}
+
+/**
+ * Get the suppression list
+ * @param {Object} options - Additional options
+ * @param {Boolean} options.includeExpired - Also return expired entries
+ * @param {String} options.reason - Only return entries with this reason
+ * @returns {Promise<Array>} - Suppressions, newest first
+ */
+export async function getSuppressions(options = {}) {
+  let query = supabase
+    .from("suppressions")
+    .select("*")
+    .order("created_at", { ascending: false });
+
+  if (!options.includeExpired) {
+    query = query.or(
+      `expires_at.is.null,expires_at.gt.${new Date().toISOString()}`
+    );
+  }
+
+  if (options.reason) {
+    query = query.eq("reason", options.reason);
+  }
+
+  const { data, error } = await query;
+
+  if (error) {
+    console.error("Error fetching suppressions:", error);
+    throw error;
+  }
+
+  return data;
+}
+
+/**
+ * Find the suppression that applies to an address, if any
+ * @param {String} email - Email address
+ * @returns {Promise<Object|null>} - Active suppression of the address or its domain, or null
+ */
+export async function findSuppression(email) {
+  const matcher = createSuppressionMatcher(await getSuppressions());
+  return matcher(email);
+}
+
+/**
+ * Throw if any of the recipients is suppressed
+ * @param {Array<String>} addresses - Recipient addresses (empty values are ignored)
+ * @returns {Promise<void>}
+ */
+export async function assertNotSuppressed(addresses) {
+  const recipients = addresses.filter(Boolean);
+
+  if (recipients.length === 0) {
+    return;
+  }
+
+  const matcher = createSuppressionMatcher(await getSuppressions());
+
+  for (const address of recipients) {
+    const suppression = matcher(address);
+
+    if (suppression) {
+      const error = new Error(
+        `${address} is suppressed (${suppression.reason}: ${suppression.email || suppression.domain})`
+      );
+      error.code = EMAIL_SUPPRESSED;
+      error.suppression = suppression;
+      throw error;
+    }
+  }
+}
+
+/**
+ * Build a function that finds the suppression applying to an address
+ *
+ * Used to check a whole batch against one read of the suppression list.
+ * @param {Array} suppressions - Suppressions from getSuppressions
+ * @returns {Function} - (email, domain) => suppression or null
+ */
+export function createSuppressionMatcher(suppressions) {
+  const active = suppressions.filter(isActive);
+  const byEmail = new Map();
+  const byDomain = new Map();
+  const wildcards = [];
+
+  for (const suppression of active) {
+    if (suppression.email) {
+      byEmail.set(suppression.email, suppression);
+    } else if (suppression.domain && suppression.domain.includes("*")) {
+      wildcards.push({
+        pattern: wildcardToRegExp(suppression.domain),
+        suppression,
+      });
+    } else if (suppression.domain) {
+      byDomain.set(suppression.domain, suppression);
+    }
+  }
+
+  return (email, domain) => {
+    const address = (email || "").trim().toLowerCase();
+    const domains = [getEmailDomain(address), domain]
+      .filter(Boolean)
+      .map((value) => value.toLowerCase());
+
+    return (
+      byEmail.get(address) ||
+      domains.map((value) => byDomain.get(value)).find(Boolean) ||
+      wildcards.find(({ pattern }) =>
+        domains.some((value) => pattern.test(value))
+      )?.suppression ||
+      null
+    );
+  };
+}
+
+/**
+ * Update a suppression
+ * @param {String} id - Suppression ID
+ * @param {Object} updates - Fields to update
+ * @returns {Promise<Object>} - Updated suppression
+ */
+async function updateSuppression(id, updates) {
+  const { data, error } = await supabase
+    .from("suppressions")
+    .update({ ...updates, updated_at: new Date().toISOString() })
+    .eq("id", id)
+    .select();
+
+  if (error) {
+    console.error(`Error updating suppression with ID ${id}:`, error);
+    throw error;
+  }
+
+  return data[0];
+}
+
+/**
+ * Get the entry for exactly this address or domain, expired or not
+ * @param {String|null} email - Lowercase address
+ * @param {String|null} domain - Lowercase domain (when there is no address)
+ * @returns {Promise<Object|null>} - Suppression, or null
+ */
+async function getSuppressionEntry(email, domain) {
+  let query = supabase.from("suppressions").select("*").limit(1);
+  query = email
+    ? query.eq("email", email)
+    : query.eq("domain", domain).is("email", null);
+
+  const { data, error } = await query;
+
+  if (error) {
+    console.error(`Error fetching suppression for ${email || domain}:`, error);
+    throw error;
+  }
+
+  return data[0] || null;
+}
+
+/**
+ * Check whether a suppression still applies
+ * @param {Object} suppression - Suppression
+ * @returns {Boolean} - True if it has no expiry or has not expired yet
+ */
+function isActive(suppression) {
+  return (
+    !suppression.expires_at || new Date(suppression.expires_at) > new Date()
+  );
+}
+
+/**
+ * Check whether an expiry lasts longer than another
+ * @param {String|null} expiresAt - Expiry (null for never)
+ * @param {String|null} otherExpiresAt - Expiry to compare with (null for never)
+ * @returns {Boolean} - True if expiresAt is later
+ */
+function outlasts(expiresAt, otherExpiresAt) {
+  if (!otherExpiresAt) {
+    return false;
+  }
+
+  return !expiresAt || new Date(expiresAt) > new Date(otherExpiresAt);
+}
+
+/**
+ * Turn a wildcard domain into a regular expression
+ * @param {String} domain - Domain with "*" wildcards, e.g. "*.acme.com"
+ * @returns {RegExp} - Pattern matching whole domains
+ */
+function wildcardToRegExp(domain) {
+  const pattern = domain
+    .split("*")
+    .map((part) => part.replace(/[.+?^${}()|[\]\\]/g, "\\$&"))
+    .join("[^@]*");
+  return new RegExp(`^${pattern}$`);
+}
+
+/**
+ * Parse per-reason expiry days, e.g. "hard_bounce:365,spam_report:730"
+ * @param {String} value - Comma-separated reason:days pairs
+ * @returns {Object} - Days by reason
+ */
+function parseTtls(value) {
+  if (!value) {
+    return {};
+  }
+
+  return Object.fromEntries(
+    value
+      .split(",")
+      .map((pair) => pair.split(":").map((part) => part.trim()))
+      .filter(([reason, days]) => reason && !Number.isNaN(Number(days)))
+      .map(([reason, days]) => [reason, Number(days)])
+  );
+}
@@ -0,0 +1,153 @@
+import dotenv from "dotenv";
+import path from "path";
+import { fileURLToPath } from "url";
+import { markEmailAsClicked, markEmailAsOpened } from "./emails.js";
+import { decodeEntities, escapeHtml } from "../utils/html.js";
+import { createSignedToken, readSignedToken } from "../utils/signing.js";
+
+// Get the directory name
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// Load environment variables from .env file in the config directory
+dotenv.config({ path: path.join(__dirname, "../../config/.env") });
+
+/**
+ * Tracking - Self-hosted open and click tracking
+ *
+ * With EMAIL_TRACKING=true, every email gets a tracking pixel and its links
+ * go through signed redirects on the local server (/track/open and
+ * /track/click), which record the open or click against the email record.
+ * This works with every transport, independently of the provider's own
+ * tracking and webhooks.
+ */
+
+// Public URL of the local server (see `node index.js serve`)
+const PUBLIC_BASE_URL = (process.env.PUBLIC_BASE_URL || "").replace(/\/+$/, "");
+
+// Add the pixel and redirect links to outgoing emails
+const EMAIL_TRACKING = process.env.EMAIL_TRACKING === "true";
+
+// Purposes the tracking tokens are signed for
+const OPEN_PURPOSE = "track-open";
+const CLICK_PURPOSE = "track-click";
+
+/**
+ * Check whether emails are tracked
+ * @returns {Boolean} - True if EMAIL_TRACKING is on and links can be built and signed
+ */
+export function isTrackingEnabled() {
+  return (
+    EMAIL_TRACKING &&
+    Boolean(PUBLIC_BASE_URL) &&
+    Boolean(process.env.LINK_SIGNING_SECRET)
+  );
+}
+
+/**
+ * Add the tracking pixel and redirect links to an email
+ *
+ * Every http(s) link is sent through /track/click; mailto links are left
+ * alone. The pixel goes at the end of the body.
+ * @param {String} html - Email HTML
+ * @param {String} emailId - Email record the HTML is sent in
+ * @returns {String} - Tracked HTML (unchanged when tracking is off or there is no email ID)
+ */
+export function addTracking(html, emailId) {
+  if (!emailId || !isTrackingEnabled()) {
+    return html;
+  }
+
+  const tracked = html.replace(
+    /(<a\b[^>]*?\bhref\s*=\s*)(["'])(.*?)\2/gi,
+    (match, prefix, quote, href) => {
+      const url = decodeEntities(href).trim();
+
+      if (!/^https?:\/\//i.test(url)) {
+        return match;
+      }
+
+      return `${prefix}${quote}${escapeHtml(getClickUrl(emailId, url))}${quote}`;
+    }
+  );
+  const token = createSignedToken({ e: emailId }, OPEN_PURPOSE);
+  const pixel = `<img src="${PUBLIC_BASE_URL}/track/open?token=${token}" width="1" height="1" alt="" style="display: block; border: 0;" />`;
+
+  return /<\/body>/i.test(tracked)
+    ? tracked.replace(/<\/body>/i, `${pixel}\n</body>`)
+    : `${tracked}\n${pixel}`;
+}
+
+/**
+ * Get the signed redirect link for a link in an email
+ * @param {String} emailId - Email record the link is sent in
+ * @param {String} url - Link target
+ * @returns {String} - URL on the local server
+ */
+export function getClickUrl(emailId, url) {
+  const token = createSignedToken({ e: emailId, u: url }, CLICK_PURPOSE);
+  return `${PUBLIC_BASE_URL}/track/click?token=${token}`;
+}
+
+/**
+ * Read a click token
+ * @param {String} token - Token from a tracked link
+ * @returns {Object|null} - Click ({ emailId, url }), or null if invalid
+ */
+export function readClickToken(token) {
+  const data = readSignedToken(token, CLICK_PURPOSE);
+
+  if (!data || !data.e || !/^https?:\/\//i.test(data.u || "")) {
+    return null;
+  }
+
+  return { emailId: data.e, url: data.u };
+}
+
+/**
+ * Record an open from a tracking pixel
+ *
+ * Every hit is recorded in the email's event history; the email keeps
+ * the first and last open and counts them.
+ * @param {String} token - Token from a tracking pixel
+ * @param {Object} request - Request details
+ * @param {String} request.userAgent - Recipient's user agent
+ * @returns {Promise<Object|null>} - Email, or null if the token is invalid
+ */
+export async function recordOpen(token, request = {}) {
+  const data = readSignedToken(token, OPEN_PURPOSE);
+
+  if (!data || !data.e) {
+    return null;
+  }
+
+  return markEmailAsOpened(data.e, {
+    provider: "tracking",
+    userAgent: request.userAgent,
+  });
+}
+
+/**
+ * Record a click from a tracked link
+ *
+ * Every click is recorded in the email's event history. A click also
+ * counts as an open, for mail clients that block the pixel.
+ * @param {String} token - Token from a tracked link
+ * @param {Object} request - Request details
+ * @param {String} request.userAgent - Recipient's user agent
+ * @returns {Promise<Object|null>} - Click ({ emailId, url }), or null if the token is invalid
+ */
+export async function recordClick(token, request = {}) {
+  const click = readClickToken(token);
+
+  if (!click) {
+    return null;
+  }
+
+  await markEmailAsClicked(click.emailId, {
+    provider: "tracking",
+    url: click.url,
+    userAgent: request.userAgent,
+  });
+
+  return click;
+}
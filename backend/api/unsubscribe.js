@@ -0,0 +1,185 @@
+import dotenv from "dotenv";
+import path from "path";
+import { fileURLToPath } from "url";
+import { markCompaniesAsUnsubscribed } from "./companies.js";
+import { getEmailById } from "./emails.js";
+import { addSuppression, canSuppressDomain } from "./suppressions.js";
+import { getEmailDomain } from "../utils/domain.js";
+import { escapeHtml } from "../utils/html.js";
+import { createSignedToken, readSignedToken } from "../utils/signing.js";
+
+// Get the directory name
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// Load environment variables from .env file in the config directory
+dotenv.config({ path: path.join(__dirname, "../../config/.env") });
+
+/**
+ * Unsubscribe - Opt-out links and headers for outgoing emails, and
+ * recording the opt-outs
+ *
+ * Every email gets a List-Unsubscribe header with a signed link to the
+ * local server's /unsubscribe endpoint (when PUBLIC_BASE_URL and
+ * LINK_SIGNING_SECRET are set) and/or a mailto address (UNSUBSCRIBE_EMAIL).
+ * With UNSUBSCRIBE_FOOTER=true the link is also added to the email itself.
+ */
+
+// Public URL of the local server (see `node index.js serve`)
+const PUBLIC_BASE_URL = (process.env.PUBLIC_BASE_URL || "").replace(/\/+$/, "");
+
+// Mailbox that receives "unsubscribe" emails
+const UNSUBSCRIBE_EMAIL = process.env.UNSUBSCRIBE_EMAIL;
+
+// Add a footer with the unsubscribe link to every email
+const UNSUBSCRIBE_FOOTER = process.env.UNSUBSCRIBE_FOOTER === "true";
+
+// Purpose the unsubscribe tokens are signed for
+const TOKEN_PURPOSE = "unsubscribe";
+
+/**
+ * Get the signed unsubscribe link for a recipient
+ * @param {String} address - Recipient email address
+ * @param {String} emailId - Email record the link is sent in
+ * @returns {String|null} - URL, or null without PUBLIC_BASE_URL or LINK_SIGNING_SECRET
+ */
+export function getUnsubscribeUrl(address, emailId) {
+  if (!PUBLIC_BASE_URL || !process.env.LINK_SIGNING_SECRET) {
+    return null;
+  }
+
+  const token = createSignedToken(
+    { a: address.trim().toLowerCase(), e: emailId || null },
+    TOKEN_PURPOSE
+  );
+  return `${PUBLIC_BASE_URL}/unsubscribe?token=${token}`;
+}
+
+/**
+ * Get the List-Unsubscribe headers for a recipient
+ * @param {String} address - Recipient email address
+ * @param {String} emailId - Email record the headers are sent with
+ * @returns {Object} - Headers (empty when no unsubscribe method is configured)
+ */
+export function getUnsubscribeHeaders(address, emailId) {
+  const url = getUnsubscribeUrl(address, emailId);
+  const methods = [
+    url && `<${url}>`,
+    UNSUBSCRIBE_EMAIL && `<mailto:${UNSUBSCRIBE_EMAIL}?subject=unsubscribe>`,
+  ].filter(Boolean);
+
+  if (methods.length === 0) {
+    return {};
+  }
+
+  return {
+    "List-Unsubscribe": methods.join(", "),
+    // One-click unsubscribe (RFC 8058) needs the https link
+    ...(url ? { "List-Unsubscribe-Post": "List-Unsubscribe=One-Click" } : {}),
+  };
+}
+
+/**
+ * Add the unsubscribe footer to an email, if UNSUBSCRIBE_FOOTER is on
+ * @param {Object} content - Email content ({ html, text })
+ * @param {String} address - Recipient email address
+ * @param {String} emailId - Email record the content is sent in
+ * @returns {Object} - Content with the footer ({ html, text })
+ */
+export function addUnsubscribeFooter(content, address, emailId) {
+  const url = UNSUBSCRIBE_FOOTER && getUnsubscribeUrl(address, emailId);
+
+  if (!url) {
+    return content;
+  }
+
+  const message = "Don't want to hear from me again?";
+  const footer = `<p style="margin-top: 24px; font-size: 12px; color: #999;">${message} <a href="${escapeHtml(url)}" style="color: #999;">Unsubscribe</a></p>`;
+  const html = /<\/body>/i.test(content.html)
+    ? content.html.replace(/<\/body>/i, `${footer}\n</body>`)
+    : `${content.html}\n${footer}`;
+
+  return {
+    html,
+    text: `${content.text}\n\n--\n${message} Unsubscribe: ${url}`,
+  };
+}
+
+/**
+ * Read an unsubscribe token
+ * @param {String} token - Token from an unsubscribe link
+ * @returns {Object|null} - Recipient ({ address, domain, emailId, canUnsubscribeDomain }), or null if invalid
+ */
+export function readUnsubscribeToken(token) {
+  const data = readSignedToken(token, TOKEN_PURPOSE);
+
+  if (!data || !data.a) {
+    return null;
+  }
+
+  const domain = getEmailDomain(data.a);
+
+  return {
+    address: data.a,
+    domain,
+    emailId: data.e || null,
+    // Webmail domains are shared by everyone using that provider
+    canUnsubscribeDomain: canSuppressDomain(domain),
+  };
+}
+
+/**
+ * Record an opt-out from an unsubscribe link
+ *
+ * The address (or, with scope "domain", its whole domain) is added to the
+ * suppression list and the companies behind it are marked unsubscribed.
+ * For a webmail address, scope "domain" only unsubscribes the address.
+ * @param {String} token - Token from an unsubscribe link
+ * @param {Object} options - Opt-out options
+ * @param {String} options.scope - "address" (default) or "domain"
+ * @param {String} options.source - How the opt-out arrived (unsubscribe_link, one_click)
+ * @returns {Promise<Object>} - Suppression created or found
+ */
+export async function unsubscribe(token, options = {}) {
+  const recipient = readUnsubscribeToken(token);
+
+  if (!recipient) {
+    throw new Error("Invalid unsubscribe link");
+  }
+
+  const scope =
+    options.scope === "domain" && recipient.canUnsubscribeDomain
+      ? "domain"
+      : "address";
+  let companyId = null;
+
+  if (recipient.emailId) {
+    try {
+      companyId = (await getEmailById(recipient.emailId)).company_id;
+    } catch (error) {
+      console.warn(
+        `Could not find email ${recipient.emailId} for an unsubscribe:`,
+        error
+      );
+    }
+  }
+
+  const suppression = await addSuppression({
+    email: scope === "address" ? recipient.address : null,
+    domain: recipient.domain,
+    reason: "unsubscribed",
+    source: options.source || "unsubscribe_link",
+    email_id: recipient.emailId,
+    company_id: companyId,
+  });
+
+  await markCompaniesAsUnsubscribed({
+    email: recipient.address,
+    domain: scope === "domain" ? recipient.domain : null,
+    companyId,
+  });
+
+  console.log(
+    `${scope === "domain" ? recipient.domain : recipient.address} unsubscribed.`
+  );
+  return suppression;
+}
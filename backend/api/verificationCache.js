@@ -0,0 +1,264 @@
+import supabase from "../supabase/client.js";
+import dotenv from "dotenv";
+import path from "path";
+import { fileURLToPath } from "url";
+import { HUNTER_CREDIT_COSTS as ENDPOINT_CREDIT_COSTS } from "./hunterClient.js";
+
+// Get the directory name
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// Load environment variables from .env file in the config directory
+dotenv.config({ path: path.join(__dirname, "../../config/.env") });
+
+/**
+ * Verification Cache API - Caches Hunter lookups in the verification_cache
+ * table so addresses and domains are not checked (and paid for) twice
+ */
+
+// Days to keep a result, by verification status or lookup type
+const DEFAULT_TTL_DAYS = {
+  valid: 90,
+  invalid: 180,
+  accept_all: 30,
+  webmail: 90,
+  disposable: 365,
+  unknown: 3,
+  domain_search: 30,
+  pattern: 90,
+};
+
+// Overrides from VERIFICATION_CACHE_TTLS, e.g. "valid:60,unknown:1"
+const CACHE_TTL_DAYS = {
+  ...DEFAULT_TTL_DAYS,
+  ...parseTtlOverrides(process.env.VERIFICATION_CACHE_TTLS),
+};
+
+// Days to keep a result whose status has no configured TTL
+const FALLBACK_TTL_DAYS = 7;
+
+// Hunter credits charged per lookup type
+const HUNTER_CREDIT_COSTS = {
+  email: ENDPOINT_CREDIT_COSTS["email-verifier"],
+  domain_search: ENDPOINT_CREDIT_COSTS["domain-search"],
+  pattern: ENDPOINT_CREDIT_COSTS["email-count"],
+};
+
+/**
+ * Run a lookup through the cache
+ * @param {String} lookupType - Lookup type (email, domain_search, pattern)
+ * @param {String} key - Lookup key (email address, domain, ...)
+ * @param {Function} fetcher - Async function performing the real lookup
+ * @param {Function} getStatus - Returns the status used to pick the TTL from a result
+ * @param {Object} options - Additional options
+ * @param {Boolean} options.useCache - Set to false to skip reading the cache; the fresh result is still stored
+ * @param {Boolean} options.saveToCache - Set to false to leave the cache as it is: the fresh result is not stored and hits are not counted
+ * @returns {Promise<*>} - Cached or fresh lookup result
+ */
+export async function withVerificationCache(
+  lookupType,
+  key,
+  fetcher,
+  getStatus,
+  options = {}
+) {
+  const cacheKey = `${lookupType}:${key.toLowerCase()}`;
+  const saveToCache = options.saveToCache !== false;
+
+  if (options.useCache !== false) {
+    const cached = await getCachedLookup(cacheKey, { countHit: saveToCache });
+
+    if (cached) {
+      return cached;
+    }
+  }
+
+  const result = await fetcher();
+
+  if (saveToCache) {
+    await setCachedLookup(cacheKey, lookupType, getStatus(result), result);
+  }
+
+  return result;
+}
+
+/**
+ * Get a cached lookup result that has not expired, counting the hit
+ * @param {String} cacheKey - Cache key ("<lookupType>:<key>")
+ * @param {Object} options - Additional options
+ * @param {Boolean} options.countHit - Set to false to leave the hit count as it is
+ * @returns {Promise<*>} - Cached result, or null on a miss
+ */
+export async function getCachedLookup(cacheKey, options = {}) {
+  try {
+    const entry = await getCacheEntry(cacheKey);
+
+    if (!entry || new Date(entry.expires_at) <= new Date()) {
+      return null;
+    }
+
+    if (options.countHit === false) {
+      return entry.result;
+    }
+
+    const { error } = await supabase
+      .from("verification_cache")
+      .update({
+        hit_count: (entry.hit_count || 0) + 1,
+        last_hit_at: new Date().toISOString(),
+      })
+      .eq("id", entry.id);
+
+    if (error) {
+      throw error;
+    }
+
+    return entry.result;
+  } catch (error) {
+    // A broken cache must never stop verification
+    console.warn(`Could not read verification cache for ${cacheKey}:`, error);
+    return null;
+  }
+}
+
+/**
+ * Store a lookup result, counting the API call it took
+ * @param {String} cacheKey - Cache key ("<lookupType>:<key>")
+ * @param {String} lookupType - Lookup type (email, domain_search, pattern)
+ * @param {String} status - Result status used to pick the TTL
+ * @param {*} result - Lookup result
+ * @returns {Promise<void>}
+ */
+export async function setCachedLookup(cacheKey, lookupType, status, result) {
+  try {
+    const entry = await getCacheEntry(cacheKey);
+    const ttlDays = getCacheTtlDays(lookupType, status);
+    const expiresAt = new Date(Date.now() + ttlDays * 24 * 60 * 60 * 1000);
+
+    const { error } = await supabase.from("verification_cache").upsert(
+      {
+        cache_key: cacheKey,
+        lookup_type: lookupType,
+        status,
+        result,
+        expires_at: expiresAt.toISOString(),
+        miss_count: ((entry && entry.miss_count) || 0) + 1,
+      },
+      { onConflict: "cache_key" }
+    );
+
+    if (error) {
+      throw error;
+    }
+  } catch (error) {
+    console.warn(`Could not write verification cache for ${cacheKey}:`, error);
+  }
+}
+
+/**
+ * Get the number of days a result is cached for
+ * @param {String} lookupType - Lookup type (email, domain_search, pattern)
+ * @param {String} status - Result status
+ * @returns {Number} - TTL in days
+ */
+export function getCacheTtlDays(lookupType, status) {
+  const ttl =
+    lookupType === "email"
+      ? CACHE_TTL_DAYS[status]
+      : CACHE_TTL_DAYS[lookupType];
+
+  return ttl ?? FALLBACK_TTL_DAYS;
+}
+
+/**
+ * Get verification cache statistics
+ * @returns {Promise<Object>} - Hits, misses, hit rate and Hunter credits saved
+ */
+export async function getVerificationCacheStatistics() {
+  const { data, error } = await supabase
+    .from("verification_cache")
+    .select("lookup_type, hit_count, miss_count, expires_at");
+
+  if (error) {
+    console.error("Error fetching verification cache statistics:", error);
+    throw error;
+  }
+
+  const now = new Date();
+  const stats = {
+    entries: data.length,
+    expired: 0,
+    hits: 0,
+    misses: 0,
+    hitRate: 0,
+    creditsSaved: 0,
+    creditsSpent: 0,
+    byType: {},
+  };
+
+  for (const entry of data) {
+    const hits = entry.hit_count || 0;
+    const misses = entry.miss_count || 0;
+    const cost = HUNTER_CREDIT_COSTS[entry.lookup_type] || 0;
+    const byType = (stats.byType[entry.lookup_type] ||= {
+      entries: 0,
+      hits: 0,
+      misses: 0,
+    });
+
+    byType.entries++;
+    byType.hits += hits;
+    byType.misses += misses;
+
+    stats.hits += hits;
+    stats.misses += misses;
+    stats.creditsSaved += hits * cost;
+    stats.creditsSpent += misses * cost;
+
+    if (new Date(entry.expires_at) <= now) {
+      stats.expired++;
+    }
+  }
+
+  const lookups = stats.hits + stats.misses;
+  stats.hitRate = lookups > 0 ? (stats.hits / lookups) * 100 : 0;
+
+  return stats;
+}
+
+/**
+ * Get a cache entry by key, expired or not
+ * @param {String} cacheKey - Cache key
+ * @returns {Promise<Object|null>} - Cache entry
+ */
+async function getCacheEntry(cacheKey) {
+  const { data, error } = await supabase
+    .from("verification_cache")
+    .select("*")
+    .eq("cache_key", cacheKey)
+    .limit(1);
+
+  if (error) {
+    throw error;
+  }
+
+  return data.length > 0 ? data[0] : null;
+}
+
+/**
+ * Parse TTL overrides such as "valid:60,unknown:1"
+ * @param {String} value - Overrides
+ * @returns {Object} - TTL in days by status or lookup type
+ */
+function parseTtlOverrides(value) {
+  if (!value) {
+    return {};
+  }
+
+  return Object.fromEntries(
+    value
+      .split(",")
+      .map((pair) => pair.split(":").map((part) => part.trim()))
+      .filter(([name, days]) => name && !Number.isNaN(Number(days)))
+      .map(([name, days]) => [name, Number(days)])
+  );
+}
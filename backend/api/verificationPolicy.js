@@ -0,0 +1,195 @@
+import fs from "fs";
+import dotenv from "dotenv";
+import path from "path";
+import { fileURLToPath } from "url";
+
+// Get the directory name
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// Load environment variables from .env file in the config directory
+dotenv.config({ path: path.join(__dirname, "../../config/.env") });
+
+/**
+ * Verification Policy - Decides which verified addresses may be emailed
+ *
+ * The base policy comes from VERIFICATION_* settings and can be replaced,
+ * and tuned per industry, by the JSON file in VERIFICATION_POLICY_FILE:
+ *
+ *   {
+ *     "minScore": 70,
+ *     "industries": {
+ *       "Startup": { "allowAcceptAll": true, "minScore": 50 }
+ *     }
+ *   }
+ */
+
+// Base policy from the environment
+const ENV_POLICY = {
+  minScore: parseInt(process.env.VERIFICATION_MIN_SCORE || "0", 10),
+  allowAcceptAll: parseBoolean(
+    process.env.VERIFICATION_ALLOW_ACCEPT_ALL,
+    false
+  ),
+  allowWebmail: parseBoolean(process.env.VERIFICATION_ALLOW_WEBMAIL, false),
+  allowUnknown: parseBoolean(process.env.VERIFICATION_ALLOW_UNKNOWN, false),
+  rejectDisposable: parseBoolean(
+    process.env.VERIFICATION_REJECT_DISPOSABLE,
+    true
+  ),
+};
+
+// Policy file settings, if any
+const POLICY_FILE = readPolicyFile(process.env.VERIFICATION_POLICY_FILE);
+
+// Policy settings that can be configured
+const POLICY_KEYS = Object.keys(ENV_POLICY);
+
+/**
+ * Get the policy that applies to a company
+ * @param {String} industry - Company industry, for per-industry overrides
+ * @returns {Object} - Policy ({ minScore, allowAcceptAll, allowWebmail, allowUnknown, rejectDisposable, industry })
+ */
+export function getVerificationPolicy(industry) {
+  const policy = { ...ENV_POLICY, ...pickPolicyKeys(POLICY_FILE) };
+  const match = findIndustryOverrides(industry);
+
+  return {
+    ...policy,
+    ...pickPolicyKeys(match && match.overrides),
+    industry: match ? match.industry : null,
+  };
+}
+
+/**
+ * Decide whether a verified contact may be emailed
+ * @param {Object} contact - Contact with verification fields (verification_status, verification_score, is_disposable, is_webmail, is_accept_all)
+ * @param {Object} policy - Policy from getVerificationPolicy
+ * @returns {Object} - Decision ({ accepted, decision, reason, permanent }); permanent rejections no policy change can lift
+ */
+export function evaluateVerification(
+  contact,
+  policy = getVerificationPolicy()
+) {
+  const status = contact.verification_status || "unverified";
+  const score = contact.verification_score;
+  const scope = policy.industry ? ` (${policy.industry} policy)` : "";
+
+  const reject = (reason, permanent = false) => ({
+    accepted: false,
+    decision: "rejected",
+    reason: `${reason}${scope}`,
+    permanent,
+  });
+
+  if (status === "invalid" || status === "bounced") {
+    return reject(`Address is ${status}`, true);
+  }
+
+  if (
+    policy.rejectDisposable &&
+    (status === "disposable" || contact.is_disposable)
+  ) {
+    return reject("Disposable address", true);
+  }
+
+  if (!policy.allowWebmail && (status === "webmail" || contact.is_webmail)) {
+    return reject("Webmail address not allowed");
+  }
+
+  if (
+    !policy.allowAcceptAll &&
+    (status === "accept_all" || contact.is_accept_all)
+  ) {
+    return reject("Accept-all domain not allowed");
+  }
+
+  if (
+    !policy.allowUnknown &&
+    (status === "unknown" || status === "unverified")
+  ) {
+    return reject(`Verification result is ${status}`);
+  }
+
+  if (score !== null && score !== undefined && score < policy.minScore) {
+    return reject(`Score ${score} is below the minimum of ${policy.minScore}`);
+  }
+
+  return {
+    accepted: true,
+    decision: "accepted",
+    permanent: false,
+    reason: `Status ${status}${score !== null && score !== undefined ? `, score ${score}` : ""}${scope}`,
+  };
+}
+
+/**
+ * Find the per-industry overrides for an industry
+ * @param {String} industry - Company industry
+ * @returns {Object|null} - Industry name as configured and its overrides ({ industry, overrides }), or null
+ */
+function findIndustryOverrides(industry) {
+  const industries = (POLICY_FILE && POLICY_FILE.industries) || {};
+  const wanted = String(industry || "")
+    .trim()
+    .toLowerCase();
+
+  if (!wanted) {
+    return null;
+  }
+
+  const match = Object.keys(industries).find(
+    (name) => name.trim().toLowerCase() === wanted
+  );
+
+  return match ? { industry: match, overrides: industries[match] } : null;
+}
+
+/**
+ * Keep only known policy settings
+ * @param {Object} settings - Settings
+ * @returns {Object} - Policy settings
+ */
+function pickPolicyKeys(settings) {
+  if (!settings) {
+    return {};
+  }
+
+  return Object.fromEntries(
+    POLICY_KEYS.filter((key) => settings[key] !== undefined).map((key) => [
+      key,
+      settings[key],
+    ])
+  );
+}
+
+/**
+ * Read the policy file
+ * @param {String} file - Path to the JSON file
+ * @returns {Object|null} - Policy file settings
+ */
+function readPolicyFile(file) {
+  if (!file) {
+    return null;
+  }
+
+  try {
+    return JSON.parse(fs.readFileSync(path.resolve(file), "utf8"));
+  } catch (error) {
+    console.error(`Error reading verification policy from ${file}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Parse a boolean setting
+ * @param {String} value - Setting value ("true", "false", "1", "0", ...)
+ * @param {Boolean} defaultValue - Value when unset
+ * @returns {Boolean} - Parsed value
+ */
+function parseBoolean(value, defaultValue) {
+  if (value === undefined || value === "") {
+    return defaultValue;
+  }
+
+  return ["true", "1", "yes"].includes(value.trim().toLowerCase());
+}
@@ -0,0 +1,87 @@
+import fetch from "node-fetch";
+import dotenv from "dotenv";
+import path from "path";
+import { fileURLToPath } from "url";
+
+// Get the directory name
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// Load environment variables from .env file in the config directory
+dotenv.config({ path: path.join(__dirname, "../../../config/.env") });
+
+/**
+ * Clearbit Provider - Checks addresses against Clearbit's person lookup
+ *
+ * A person record for the address means a real mailbox; no record only
+ * means Clearbit does not know it, so the result is "unknown" rather than
+ * "invalid". Any service exposing the same API can be used through
+ * CLEARBIT_API_URL.
+ */
+
+// Clearbit API key
+const CLEARBIT_API_KEY = process.env.CLEARBIT_API_KEY;
+
+// Base URL of the person lookup API
+const CLEARBIT_API_URL = (
+  process.env.CLEARBIT_API_URL || "https://person.clearbit.com"
+).replace(/\/+$/, "");
+
+// Provider name used in VERIFICATION_PROVIDERS
+export const name = "clearbit";
+
+/**
+ * Verify an email address using Clearbit's person lookup
+ * @param {String} email - Email address to verify
+ * @returns {Promise<Object>} - Verification result
+ */
+export async function verify(email) {
+  if (!CLEARBIT_API_KEY) {
+    throw new Error("Clearbit API key is not set in the .env file");
+  }
+
+  try {
+    const response = await fetch(
+      `${CLEARBIT_API_URL}/v2/people/find?email=${encodeURIComponent(email)}`,
+      {
+        headers: {
+          Authorization: `Bearer ${CLEARBIT_API_KEY}`,
+        },
+      }
+    );
+
+    // 404: no person record, 202: lookup queued, try again later
+    if (response.status === 404 || response.status === 202) {
+      return {
+        email,
+        isValid: false,
+        status: "unknown",
+        score: null,
+        result: "risky",
+        source: name,
+        verifiedAt: new Date().toISOString(),
+      };
+    }
+
+    if (!response.ok) {
+      throw new Error(
+        `Clearbit API returned ${response.status}: ${response.statusText}`
+      );
+    }
+
+    const person = await response.json();
+
+    return {
+      email,
+      isValid: true,
+      status: "valid",
+      score: person.fuzzy ? 60 : 90,
+      result: "deliverable",
+      isWebmail: Boolean(person.emailProvider),
+      source: name,
+      verifiedAt: new Date().toISOString(),
+    };
+  } catch (error) {
+    console.error(`Error verifying email ${email} with Clearbit:`, error);
+    throw error;
+  }
+}
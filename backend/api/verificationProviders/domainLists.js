@@ -0,0 +1,136 @@
+import fs from "fs";
+import dotenv from "dotenv";
+import path from "path";
+import { fileURLToPath } from "url";
+
+// Get the directory name
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// Load environment variables from .env file in the config directory
+dotenv.config({ path: path.join(__dirname, "../../../config/.env") });
+
+/**
+ * Domain Lists - Disposable and webmail domains, and role account names,
+ * used by the local verification provider
+ */
+
+// Throwaway inbox services
+const BUILT_IN_DISPOSABLE_DOMAINS = [
+  "10minutemail.com",
+  "burnermail.io",
+  "dispostable.com",
+  "emailondeck.com",
+  "fakeinbox.com",
+  "getnada.com",
+  "guerrillamail.com",
+  "guerrillamail.net",
+  "maildrop.cc",
+  "mailinator.com",
+  "mailnesia.com",
+  "mintemail.com",
+  "mohmal.com",
+  "sharklasers.com",
+  "spamgourmet.com",
+  "temp-mail.org",
+  "tempmail.com",
+  "throwawaymail.com",
+  "trashmail.com",
+  "yopmail.com",
+];
+
+// Free personal mailbox providers
+export const WEBMAIL_DOMAINS = new Set([
+  "aol.com",
+  "gmail.com",
+  "gmx.com",
+  "gmx.net",
+  "googlemail.com",
+  "hotmail.com",
+  "icloud.com",
+  "live.com",
+  "mail.com",
+  "me.com",
+  "outlook.com",
+  "proton.me",
+  "protonmail.com",
+  "yahoo.com",
+  "yandex.com",
+  "zoho.com",
+]);
+
+// Shared mailboxes that do not belong to a person
+export const ROLE_ACCOUNTS = new Set([
+  "admin",
+  "billing",
+  "careers",
+  "contact",
+  "hello",
+  "help",
+  "hr",
+  "info",
+  "jobs",
+  "marketing",
+  "office",
+  "press",
+  "recruiting",
+  "sales",
+  "support",
+  "team",
+]);
+
+// Mailboxes that never accept mail from people
+export const UNDELIVERABLE_ACCOUNTS = new Set([
+  "abuse",
+  "donotreply",
+  "do-not-reply",
+  "mailer-daemon",
+  "no-reply",
+  "noreply",
+  "postmaster",
+]);
+
+// Built-in list plus one domain per line from DISPOSABLE_DOMAINS_FILE
+export const DISPOSABLE_DOMAINS = new Set([
+  ...BUILT_IN_DISPOSABLE_DOMAINS,
+  ...readDomainFile(process.env.DISPOSABLE_DOMAINS_FILE),
+]);
+
+/**
+ * Check whether a domain, or a domain it belongs to, is in a list
+ * @param {Set<String>} list - Domain list
+ * @param {String} domain - Domain to check (e.g. "eu.mailinator.com")
+ * @returns {Boolean} - True if the domain or a parent domain is listed
+ */
+export function isListedDomain(list, domain) {
+  const labels = domain.toLowerCase().split(".");
+
+  for (let i = 0; i < labels.length - 1; i++) {
+    if (list.has(labels.slice(i).join("."))) {
+      return true;
+    }
+  }
+
+  return false;
+}
+
+/**
+ * Read a domain list file, one domain per line, "#" for comments
+ * @param {String} file - Path to the file
+ * @returns {Array<String>} - Domains
+ */
+function readDomainFile(file) {
+  if (!file) {
+    return [];
+  }
+
+  try {
+    return fs
+      .readFileSync(path.resolve(file), "utf8")
+      .split(/\r?\n/)
+      .map((line) => line.replace(/#.*/, "").trim().toLowerCase())
+      .filter(Boolean);
+  } catch (error) {
+    console.warn(`Could not read disposable domains from ${file}:`, error);
+    return [];
+  }
+}
@@ -0,0 +1,77 @@
+import { HUNTER_VERIFICATION_PENDING, hunterRequest } from "../hunterClient.js";
+import { withVerificationCache } from "../verificationCache.js";
+
+/**
+ * Hunter Provider - Verifies addresses with Hunter.io's email verifier
+ */
+
+// Provider name used in VERIFICATION_PROVIDERS
+export const name = "hunter";
+
+/**
+ * Verify an email address using Hunter.io API
+ *
+ * Results are cached in the verification_cache table. A verification Hunter
+ * has not finished after every retry is "unknown" and is not cached, so it
+ * is requested again next time.
+ * @param {String} email - Email address to verify
+ * @param {Object} options - Additional options
+ * @param {Boolean} options.useCache - Set to false to skip reading the verification cache
+ * @param {Boolean} options.saveToCache - Set to false to leave the verification cache as it is
+ * @returns {Promise<Object>} - Verification result
+ */
+export async function verify(email, options = {}) {
+  try {
+    return await withVerificationCache(
+      "email",
+      email,
+      () => requestEmailVerification(email),
+      (result) => result.status,
+      options
+    );
+  } catch (error) {
+    if (error.code !== HUNTER_VERIFICATION_PENDING) {
+      throw error;
+    }
+
+    console.warn(`Hunter is still verifying ${email}. Treating it as unknown.`);
+    return {
+      email,
+      isValid: false,
+      status: "unknown",
+      result: "pending",
+      source: name,
+      verifiedAt: new Date().toISOString(),
+    };
+  }
+}
+
+/**
+ * Call Hunter's email verifier
+ * @param {String} email - Email address to verify
+ * @returns {Promise<Object>} - Verification result
+ */
+async function requestEmailVerification(email) {
+  try {
+    const data = await hunterRequest("email-verifier", { email });
+
+    return {
+      email,
+      isValid: data.data.status === "valid",
+      status: data.data.status,
+      score: data.data.score,
+      result: data.data.result,
+      isDisposable: data.data.disposable,
+      isWebmail: data.data.webmail,
+      isAcceptAll: data.data.accept_all,
+      source: name,
+      verifiedAt: new Date().toISOString(),
+    };
+  } catch (error) {
+    if (error.code !== HUNTER_VERIFICATION_PENDING) {
+      console.error(`Error verifying email ${email}:`, error);
+    }
+
+    throw error;
+  }
+}
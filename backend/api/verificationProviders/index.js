@@ -0,0 +1,125 @@
+import dotenv from "dotenv";
+import path from "path";
+import { fileURLToPath } from "url";
+import * as clearbit from "./clearbit.js";
+import * as hunter from "./hunter.js";
+import * as local from "./local.js";
+
+// Get the directory name
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// Load environment variables from .env file in the config directory
+dotenv.config({ path: path.join(__dirname, "../../../config/.env") });
+
+/**
+ * Verification Providers - Registry and chaining of email verifiers
+ *
+ * A provider is a module exporting a `name` and an async
+ * `verify(email, options)` that resolves to a verification result
+ * ({ email, isValid, status, score, result, isDisposable, isWebmail,
+ * isAcceptAll, source, verifiedAt }).
+ */
+
+// Available providers by name
+const PROVIDERS = {
+  [hunter.name]: hunter,
+  [clearbit.name]: clearbit,
+  [local.name]: local,
+};
+
+// Providers to run, in order, e.g. "local,hunter"
+export const VERIFICATION_PROVIDERS = parseProviderNames(
+  process.env.VERIFICATION_PROVIDERS || "hunter"
+);
+
+// Results that end the chain: later providers cannot make them deliverable
+const FINAL_STATUSES = ["invalid", "disposable"];
+
+/**
+ * Get providers by name
+ * @param {Array<String>|String} names - Provider names, or a comma-separated list
+ * @returns {Array<Object>} - Provider modules, in order
+ */
+export function getVerificationProviders(names = VERIFICATION_PROVIDERS) {
+  return parseProviderNames(names).map((providerName) => {
+    const provider = PROVIDERS[providerName];
+
+    if (!provider) {
+      throw new Error(
+        `Unknown verification provider "${providerName}". Available providers: ${Object.keys(PROVIDERS).join(", ")}`
+      );
+    }
+
+    return provider;
+  });
+}
+
+/**
+ * Verify an email address with a chain of providers
+ *
+ * Providers run in order and each one refines the result of the previous
+ * one. The chain stops at the first invalid or disposable result, so with
+ * "local,hunter" Hunter is only called for addresses passing the local
+ * checks.
+ * @param {String} email - Email address to verify
+ * @param {Object} options - Verification options, also passed to each provider
+ * @param {Array<String>|String} options.providers - Providers to use (default VERIFICATION_PROVIDERS)
+ * @returns {Promise<Object>} - Combined verification result, with the providers that ran
+ */
+export async function verifyWithProviders(email, options = {}) {
+  const providers = getVerificationProviders(
+    options.providers || VERIFICATION_PROVIDERS
+  );
+  const ran = [];
+  let result = null;
+
+  for (const provider of providers) {
+    const next = await provider.verify(email, options);
+    ran.push(provider.name);
+    result = mergeResults(result, next);
+
+    if (FINAL_STATUSES.includes(next.status)) {
+      break;
+    }
+  }
+
+  return { ...result, providers: ran };
+}
+
+/**
+ * Combine a provider's result with the results before it
+ * @param {Object|null} previous - Result so far
+ * @param {Object} next - Result of the provider that just ran
+ * @returns {Object} - Combined result
+ */
+function mergeResults(previous, next) {
+  if (!previous) {
+    return { ...next };
+  }
+
+  const merged = { ...previous };
+
+  for (const [key, value] of Object.entries(next)) {
+    if (value !== undefined && value !== null) {
+      merged[key] = value;
+    }
+  }
+
+  // Flags found by any provider stay set
+  for (const flag of ["isDisposable", "isWebmail", "isRole"]) {
+    merged[flag] = Boolean(previous[flag] || next[flag]);
+  }
+
+  merged.isValid = merged.status === "valid";
+  return merged;
+}
+
+/**
+ * Parse provider names
+ * @param {Array<String>|String} names - Provider names, or a comma-separated list
+ * @returns {Array<String>} - Lowercase provider names
+ */
+function parseProviderNames(names) {
+  const list = Array.isArray(names) ? names : String(names).split(",");
+  return list.map((name) => name.trim().toLowerCase()).filter(Boolean);
+}
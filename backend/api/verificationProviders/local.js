@@ -0,0 +1,184 @@
+import { Resolver } from "dns/promises";
+import dotenv from "dotenv";
+import path from "path";
+import { fileURLToPath } from "url";
+import {
+  DISPOSABLE_DOMAINS,
+  ROLE_ACCOUNTS,
+  UNDELIVERABLE_ACCOUNTS,
+  WEBMAIL_DOMAINS,
+  isListedDomain,
+} from "./domainLists.js";
+
+// Get the directory name
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// Load environment variables from .env file in the config directory
+dotenv.config({ path: path.join(__dirname, "../../../config/.env") });
+
+/**
+ * Local Provider - Offline checks that cost no API credits: syntax,
+ * disposable and webmail domains, role accounts and DNS MX records
+ *
+ * The mailbox itself is never contacted, so an address passing every check
+ * is "valid" with a modest score; chain a paid provider after this one for
+ * a mailbox-level answer.
+ */
+
+// DNS servers to query, e.g. "127.0.0.1:5353" (system resolvers when unset)
+const VERIFICATION_DNS_SERVERS = (process.env.VERIFICATION_DNS_SERVERS || "")
+  .split(",")
+  .map((server) => server.trim())
+  .filter(Boolean);
+
+// Milliseconds to wait for a DNS answer
+const VERIFICATION_DNS_TIMEOUT = parseInt(
+  process.env.VERIFICATION_DNS_TIMEOUT || "5000",
+  10
+);
+
+// Score given to an address that passes every local check
+const LOCAL_PASS_SCORE = 50;
+
+// Practical address syntax: local part, "@", dotted domain with a TLD
+const EMAIL_SYNTAX =
+  /^[a-z0-9!#$%&'*+/=?^_`{|}~-]+(\.[a-z0-9!#$%&'*+/=?^_`{|}~-]+)*@([a-z0-9]([a-z0-9-]*[a-z0-9])?\.)+[a-z]{2,}$/i;
+
+// DNS errors meaning the domain or record does not exist
+const MISSING_RECORD_CODES = ["ENOTFOUND", "ENODATA", "ENONAME"];
+
+// Provider name used in VERIFICATION_PROVIDERS
+export const name = "local";
+
+/**
+ * Verify an email address without calling any paid API
+ * @param {String} email - Email address to verify
+ * @returns {Promise<Object>} - Verification result
+ */
+export async function verify(email) {
+  const address = String(email || "").trim();
+  const [localPart, domain] = address.toLowerCase().split("@");
+  const result = {
+    email: address,
+    isValid: false,
+    status: "invalid",
+    score: 0,
+    result: "undeliverable",
+    reason: null,
+    isDisposable: false,
+    isWebmail: false,
+    isRole: false,
+    source: name,
+    verifiedAt: new Date().toISOString(),
+  };
+
+  if (address.length > 254 || !EMAIL_SYNTAX.test(address)) {
+    return { ...result, reason: "invalid_syntax" };
+  }
+
+  if (UNDELIVERABLE_ACCOUNTS.has(localPart)) {
+    return { ...result, reason: "undeliverable_account" };
+  }
+
+  result.isRole = ROLE_ACCOUNTS.has(localPart);
+  result.isWebmail = isListedDomain(WEBMAIL_DOMAINS, domain);
+
+  if (isListedDomain(DISPOSABLE_DOMAINS, domain)) {
+    return {
+      ...result,
+      status: "disposable",
+      isDisposable: true,
+      reason: "disposable_domain",
+    };
+  }
+
+  const mail = await checkMailServer(domain);
+
+  if (mail === "unknown") {
+    return {
+      ...result,
+      status: "unknown",
+      score: null,
+      result: "risky",
+      reason: "dns_error",
+    };
+  }
+
+  if (mail === "none") {
+    return { ...result, reason: "no_mx_records" };
+  }
+
+  return {
+    ...result,
+    isValid: !result.isWebmail,
+    status: result.isWebmail ? "webmail" : "valid",
+    score: LOCAL_PASS_SCORE,
+    result: "risky",
+  };
+}
+
+/**
+ * Check whether a domain can receive mail
+ *
+ * A domain without MX records still receives mail at its A/AAAA address
+ * (RFC 5321), unless it publishes a null MX (RFC 7505).
+ * @param {String} domain - Domain to check
+ * @returns {Promise<String>} - "ok", "none", or "unknown" when DNS failed
+ */
+export async function checkMailServer(domain) {
+  const resolver = createResolver();
+
+  try {
+    const records = await resolver.resolveMx(domain);
+
+    if (records.length > 0) {
+      const isNullMx = records.every(
+        (record) => record.exchange === "" || record.exchange === "."
+      );
+      return isNullMx ? "none" : "ok";
+    }
+  } catch (error) {
+    if (!MISSING_RECORD_CODES.includes(error.code)) {
+      console.warn(`Could not look up MX records for ${domain}:`, error);
+      return "unknown";
+    }
+
+    if (error.code !== "ENODATA") {
+      return "none";
+    }
+  }
+
+  for (const lookup of ["resolve4", "resolve6"]) {
+    try {
+      const addresses = await resolver[lookup](domain);
+
+      if (addresses.length > 0) {
+        return "ok";
+      }
+    } catch (error) {
+      if (!MISSING_RECORD_CODES.includes(error.code)) {
+        console.warn(`Could not look up addresses for ${domain}:`, error);
+        return "unknown";
+      }
+    }
+  }
+
+  return "none";
+}
+
+/**
+ * Create a DNS resolver using the configured servers
+ * @returns {Resolver} - DNS resolver
+ */
+function createResolver() {
+  const resolver = new Resolver({
+    timeout: VERIFICATION_DNS_TIMEOUT,
+    tries: 2,
+  });
+
+  if (VERIFICATION_DNS_SERVERS.length > 0) {
+    resolver.setServers(VERIFICATION_DNS_SERVERS);
+  }
+
+  return resolver;
+}
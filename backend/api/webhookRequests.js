@@ -0,0 +1,62 @@
+import supabase from "../supabase/client.js";
+
+/**
+ * Webhook Requests API - Functions to interact with the webhook_requests
+ * table in Supabase, which holds the replay keys of signed webhook requests
+ * being or already processed
+ */
+
+/**
+ * Reserve a webhook request's replay key
+ *
+ * The key is unique, so when two copies of a request arrive together only
+ * one reserves it. Expired keys are deleted first.
+ * @param {String} key - Replay key (provider and request digest or token)
+ * @param {Date} expiresAt - When the key can be forgotten
+ * @returns {Promise<Boolean>} - False if the key is already reserved
+ */
+export async function reserveWebhookRequest(key, expiresAt) {
+  const { error: deleteError } = await supabase
+    .from("webhook_requests")
+    .delete()
+    .lt("expires_at", new Date().toISOString());
+
+  if (deleteError) {
+    console.error("Error deleting expired webhook requests:", deleteError);
+    throw deleteError;
+  }
+
+  const { error } = await supabase
+    .from("webhook_requests")
+    .insert([{ replay_key: key, expires_at: expiresAt.toISOString() }]);
+
+  if (error) {
+    // 23505 is "unique violation": the request was already received
+    if (error.code === "23505") {
+      return false;
+    }
+
+    console.error(`Error reserving webhook request ${key}:`, error);
+    throw error;
+  }
+
+  return true;
+}
+
+/**
+ * Release a webhook request's replay key, so the provider's retry is
+ * accepted
+ * @param {String} key - Replay key returned by the verification
+ * @returns {Promise<void>}
+ */
+export async function releaseWebhookRequest(key) {
+  const { error } = await supabase
+    .from("webhook_requests")
+    .delete()
+    .eq("replay_key", key);
+
+  if (error) {
+    console.error(`Error releasing webhook request ${key}:`, error);
+    throw error;
+  }
+}
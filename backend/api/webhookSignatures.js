@@ -0,0 +1,198 @@
+import crypto from "crypto";
+import dotenv from "dotenv";
+import path from "path";
+import { fileURLToPath } from "url";
+import { reserveWebhookRequest } from "./webhookRequests.js";
+
+// Get the directory name
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// Load environment variables from .env file in the config directory
+dotenv.config({ path: path.join(__dirname, "../../config/.env") });
+
+/**
+ * Webhook Signatures - Checks that tracking events really come from the
+ * email provider
+ *
+ * SendGrid signs each request with ECDSA: the signature covers the
+ * timestamp header followed by the raw body, and is checked against the
+ * public key from the Mail Settings page. Mailgun signs a timestamp and a
+ * random token with HMAC-SHA256 and the webhook signing key. Requests that
+ * are unsigned, too old or already processed are rejected, and so is
+ * everything while the key is not configured.
+ *
+ * SendGrid signs every delivery anew, so its requests may be
+ * WEBHOOK_TOLERANCE_SECONDS old. Mailgun's retries keep the timestamp and
+ * token of the first attempt and come for about eight hours, so its
+ * requests may be MAILGUN_WEBHOOK_TOLERANCE_SECONDS old; the token, kept
+ * for as long, is what stops a replay within that window.
+ *
+ * A verified request's replay key is reserved in the webhook_requests table
+ * (see webhookRequests.js), so a copy arriving at the same time or after a
+ * restart is rejected too. If the request then fails to process, the key
+ * must be released with releaseWebhookRequest, so the provider's retry is
+ * accepted. SendGrid requests are keyed by what was signed, not by the
+ * signature: ECDSA signatures are malleable, so the same request can carry
+ * several valid signatures.
+ */
+
+// Error code thrown when a webhook request fails verification
+export const WEBHOOK_SIGNATURE_INVALID = "WEBHOOK_SIGNATURE_INVALID";
+
+// SendGrid's verification key (base64 DER) and Mailgun's signing key
+const SENDGRID_WEBHOOK_PUBLIC_KEY = process.env.SENDGRID_WEBHOOK_PUBLIC_KEY;
+const MAILGUN_WEBHOOK_SIGNING_KEY = process.env.MAILGUN_WEBHOOK_SIGNING_KEY;
+
+// How far a request's timestamp may be from now
+const WEBHOOK_TOLERANCE_SECONDS = parseInt(
+  process.env.WEBHOOK_TOLERANCE_SECONDS || "300",
+  10
+);
+
+// The same for Mailgun, whose last retry comes 8 hours after the first
+// attempt (after 10, 10, 15 and 30 minutes, then 1, 2 and 4 hours)
+const MAILGUN_WEBHOOK_TOLERANCE_SECONDS = parseInt(
+  process.env.MAILGUN_WEBHOOK_TOLERANCE_SECONDS || "32400",
+  10
+);
+
+/**
+ * Verify a SendGrid event webhook request
+ * @param {String} rawBody - Request body exactly as received
+ * @param {Object} headers - Request headers (lowercase names)
+ * @returns {Promise<String>} - Reserved replay key, for releaseWebhookRequest
+ */
+export async function verifySendGridWebhook(rawBody, headers) {
+  if (!SENDGRID_WEBHOOK_PUBLIC_KEY) {
+    throw signatureError(
+      "SENDGRID_WEBHOOK_PUBLIC_KEY is not set in the .env file"
+    );
+  }
+
+  const signature = headers["x-twilio-email-event-webhook-signature"];
+  const timestamp = headers["x-twilio-email-event-webhook-timestamp"];
+
+  if (!signature || !timestamp) {
+    throw signatureError("SendGrid webhook request is not signed");
+  }
+
+  checkTimestamp(timestamp, WEBHOOK_TOLERANCE_SECONDS);
+
+  let valid;
+
+  try {
+    const publicKey = crypto.createPublicKey({
+      key: Buffer.from(SENDGRID_WEBHOOK_PUBLIC_KEY, "base64"),
+      format: "der",
+      type: "spki",
+    });
+    valid = crypto.verify(
+      "sha256",
+      Buffer.from(timestamp + rawBody, "utf8"),
+      publicKey,
+      Buffer.from(signature, "base64")
+    );
+  } catch (error) {
+    console.error("Error verifying a SendGrid webhook signature:", error);
+    valid = false;
+  }
+
+  if (!valid) {
+    throw signatureError("SendGrid webhook signature is invalid");
+  }
+
+  const digest = crypto
+    .createHash("sha256")
+    .update(timestamp + rawBody, "utf8")
+    .digest("hex");
+
+  return checkReplay(`sendgrid:${digest}`, WEBHOOK_TOLERANCE_SECONDS);
+}
+
+/**
+ * Verify a Mailgun webhook request
+ * @param {Object} payload - Parsed body: { signature: { timestamp, token, signature }, ... }, or the legacy form fields
+ * @returns {Promise<String>} - Reserved replay key, for releaseWebhookRequest
+ */
+export async function verifyMailgunWebhook(payload) {
+  if (!MAILGUN_WEBHOOK_SIGNING_KEY) {
+    throw signatureError(
+      "MAILGUN_WEBHOOK_SIGNING_KEY is not set in the .env file"
+    );
+  }
+
+  const { timestamp, token, signature } =
+    payload && typeof payload.signature === "object"
+      ? payload.signature
+      : payload || {};
+
+  if (!timestamp || !token || typeof signature !== "string") {
+    throw signatureError("Mailgun webhook request is not signed");
+  }
+
+  checkTimestamp(timestamp, MAILGUN_WEBHOOK_TOLERANCE_SECONDS);
+
+  const expected = Buffer.from(
+    crypto
+      .createHmac("sha256", MAILGUN_WEBHOOK_SIGNING_KEY)
+      .update(`${timestamp}${token}`)
+      .digest("hex")
+  );
+  const actual = Buffer.from(signature.toLowerCase());
+
+  if (
+    expected.length !== actual.length ||
+    !crypto.timingSafeEqual(expected, actual)
+  ) {
+    throw signatureError("Mailgun webhook signature is invalid");
+  }
+
+  // The token is part of what was signed
+  return checkReplay(`mailgun:${token}`, MAILGUN_WEBHOOK_TOLERANCE_SECONDS);
+}
+
+/**
+ * Reject a timestamp outside the provider's tolerance
+ * @param {String|Number} timestamp - Unix timestamp in seconds
+ * @param {Number} toleranceSeconds - How far it may be from now
+ * @returns {void}
+ */
+function checkTimestamp(timestamp, toleranceSeconds) {
+  const age = Math.abs(Date.now() / 1000 - Number(timestamp));
+
+  if (!Number.isFinite(age) || age > toleranceSeconds) {
+    throw signatureError("Webhook request timestamp is outside the tolerance");
+  }
+}
+
+/**
+ * Reserve a request's replay key, rejecting the request if it was already
+ * received
+ *
+ * The key is kept for twice the tolerance: older requests need no
+ * remembering, checkTimestamp rejects them.
+ * @param {String} key - Provider and request digest or token
+ * @param {Number} toleranceSeconds - Tolerance checkTimestamp applied
+ * @returns {Promise<String>} - The key
+ */
+async function checkReplay(key, toleranceSeconds) {
+  const expiresAt = new Date(Date.now() + 2 * toleranceSeconds * 1000);
+
+  if (!(await reserveWebhookRequest(key, expiresAt))) {
+    throw signatureError("Webhook request was already received");
+  }
+
+  return key;
+}
+
+/**
+ * Create a webhook verification error
+ * @param {String} message - Error message
+ * @returns {Error} - Error with code WEBHOOK_SIGNATURE_INVALID and status 401
+ */
+function signatureError(message) {
+  const error = new Error(message);
+  error.code = WEBHOOK_SIGNATURE_INVALID;
+  error.statusCode = 401;
+  return error;
+}
@@ -0,0 +1,334 @@
+import { markCompaniesAsUnsubscribed } from "./companies.js";
+import { fallBackToNextContact } from "./contacts.js";
+import {
+  findEmailForEvent,
+  markEmailAsBounced,
+  markEmailAsClicked,
+  markEmailAsDeferred,
+  markEmailAsDelivered,
+  markEmailAsDropped,
+  markEmailAsOpened,
+  markEmailAsSpamReported,
+  markEmailAsUnsubscribed,
+} from "./emails.js";
+import { EMAIL_EVENT_DUPLICATE, isEmailEventRecorded } from "./emailEvents.js";
+import { addSuppression } from "./suppressions.js";
+
+/**
+ * Webhooks API - Applies the email providers' tracking events to the
+ * email records
+ *
+ * Used by the local server's /webhooks routes. The n8n Function node in
+ * n8n-workflows/email-tracking-webhook.js does the same inside n8n.
+ * Events from both providers are first normalised to
+ * { provider, name, type, eventId, timestamp, emailId, messageId,
+ * recipient, url, userAgent, reason, bounceType, payload }, where name is
+ * the provider's event name, type the SendGrid name for it, eventId the
+ * provider's ID for the event and payload the event as received. Every
+ * event is added to the email's history (see emailEvents.js), which also
+ * works out the email's status. An event whose ID is already in the
+ * history was received before, so it is skipped with its side effects.
+ *
+ * Besides the email's status, events have side effects: hard bounces,
+ * spam reports and unsubscribes suppress the recipient, bounces move the
+ * company on to its next contact, and spam reports and unsubscribes mark
+ * the company unsubscribed. They come before the event is recorded, so
+ * when one fails the provider's retry is not skipped; each of them can be
+ * repeated without changing anything.
+ */
+
+// SendGrid names for Mailgun's events ("failed" depends on its severity)
+const MAILGUN_EVENT_TYPES = {
+  accepted: "processed",
+  delivered: "delivered",
+  dropped: "dropped",
+  opened: "open",
+  clicked: "click",
+  bounced: "bounce",
+  complained: "spamreport",
+  unsubscribed: "unsubscribe",
+};
+
+// Suppression reasons for SendGrid's drop reasons that mean the address is
+// on its suppression list
+const DROP_REASONS = {
+  "Bounced Address": "hard_bounce",
+  "Spam Reporting Address": "spam_report",
+  "Unsubscribed Address": "unsubscribed",
+};
+
+/**
+ * Process a SendGrid event webhook request
+ * @param {Array} events - SendGrid events
+ * @returns {Promise<Array>} - Result per event ({ event, messageId, emailId, status, ... })
+ */
+export async function processSendGridEvents(events) {
+  if (!Array.isArray(events)) {
+    throw new Error("Invalid SendGrid webhook payload");
+  }
+
+  const results = [];
+
+  for (const event of events) {
+    results.push(
+      await processEvent({
+        provider: "sendgrid",
+        name: event.event,
+        type: event.event,
+        eventId: event.sg_event_id,
+        timestamp: event.timestamp,
+        emailId: event.email_id,
+        messageId: event.sg_message_id,
+        recipient: event.email,
+        url: event.url,
+        userAgent: event.useragent,
+        reason: event.reason,
+        bounceType: event.type,
+        payload: event,
+      })
+    );
+  }
+
+  return results;
+}
+
+/**
+ * Process a Mailgun webhook request
+ * @param {Object} payload - Mailgun webhook body: { signature, "event-data" }, or the legacy form fields
+ * @returns {Promise<Object>} - Result ({ event, messageId, emailId, status, ... })
+ */
+export async function processMailgunEvent(payload) {
+  const data = payload["event-data"];
+
+  // Legacy webhooks post the event as flat form fields
+  const event = data
+    ? {
+        type: data.event,
+        severity: data.severity,
+        eventId: data.id,
+        timestamp: data.timestamp,
+        emailId: data["user-variables"]?.email_id,
+        messageId: data.message?.headers?.["message-id"],
+        recipient: data.recipient,
+        url: data.url,
+        userAgent: data["client-info"]?.["user-agent"],
+        reason: data.reason || data["delivery-status"]?.description,
+        payload: data,
+      }
+    : {
+        type: payload.event,
+        timestamp: payload.timestamp,
+        emailId: payload.email_id,
+        messageId: payload["message-id"],
+        recipient: payload.recipient,
+        url: payload.url,
+        userAgent: payload["user-agent"],
+        reason: payload.reason,
+        payload,
+      };
+
+  let type = MAILGUN_EVENT_TYPES[event.type] || event.type;
+
+  if (event.type === "failed") {
+    type = event.severity === "temporary" ? "deferred" : "bounce";
+  }
+
+  return processEvent({
+    ...event,
+    provider: "mailgun",
+    name: event.type,
+    type,
+  });
+}
+
+/**
+ * Apply a normalised event to its email record
+ * @param {Object} event - Normalised event
+ * @returns {Promise<Object>} - Result
+ */
+async function processEvent(event) {
+  const result = { event: event.name, messageId: event.messageId };
+
+  try {
+    const email = await findEmailForEvent(event);
+
+    if (!email) {
+      return { ...result, status: "skipped", reason: "Email not found" };
+    }
+
+    result.emailId = email.id;
+
+    if (
+      event.eventId &&
+      (await isEmailEventRecorded(event.provider, event.eventId))
+    ) {
+      return { ...result, status: "skipped", reason: "Already recorded" };
+    }
+
+    const details = getEventDetails(event);
+
+    switch (event.type) {
+      case "processed":
+        // Already recorded as sent when the provider accepted it
+        return { ...result, status: "success" };
+
+      case "delivered":
+        await markEmailAsDelivered(email.id, details);
+        return { ...result, status: "success" };
+
+      case "deferred":
+        await markEmailAsDeferred(email.id, event.reason, details);
+        return { ...result, status: "success", reason: event.reason };
+
+      case "dropped": {
+        const reason = DROP_REASONS[event.reason];
+
+        // A previously bounced address is handled like a new bounce
+        if (reason === "hard_bounce") {
+          await suppressRecipient(email, event, reason);
+          const nextContact = await moveToNextContact(email);
+          await markEmailAsDropped(email.id, event.reason, details);
+
+          return {
+            ...result,
+            status: "success",
+            reason: event.reason,
+            nextContact,
+          };
+        }
+
+        if (reason) {
+          await optOutRecipient(email, event, reason);
+        }
+
+        await markEmailAsDropped(email.id, event.reason, details);
+        return { ...result, status: "success", reason: event.reason };
+      }
+
+      case "open":
+        await markEmailAsOpened(email.id, details);
+        return { ...result, status: "success" };
+
+      case "click":
+        await markEmailAsClicked(email.id, details);
+        return { ...result, status: "success", url: event.url };
+
+      case "bounce": {
+        // A block (e.g. the sending IP on a blocklist) says nothing about the
+        // address, so the email is deferred and the contact kept
+        if (event.bounceType === "blocked") {
+          await markEmailAsDeferred(email.id, event.reason, details);
+          return { ...result, status: "success", reason: event.reason };
+        }
+
+        await suppressRecipient(email, event, "hard_bounce");
+        const nextContact = await moveToNextContact(email);
+        await markEmailAsBounced(email.id, event.reason, details);
+
+        return {
+          ...result,
+          status: "success",
+          reason: event.reason,
+          nextContact,
+        };
+      }
+
+      case "spamreport":
+        await optOutRecipient(email, event, "spam_report");
+        await markEmailAsSpamReported(email.id, details);
+        return { ...result, status: "success" };
+
+      case "unsubscribe":
+      case "group_unsubscribe":
+        await optOutRecipient(email, event, "unsubscribed");
+        await markEmailAsUnsubscribed(email.id, details);
+        return { ...result, status: "success" };
+
+      default:
+        return {
+          ...result,
+          status: "skipped",
+          reason: "Unsupported event type",
+        };
+    }
+  } catch (error) {
+    if (error.code === EMAIL_EVENT_DUPLICATE) {
+      return { ...result, status: "skipped", reason: "Already recorded" };
+    }
+
+    console.error(
+      `Error processing ${event.provider} event ${event.name}:`,
+      error
+    );
+    return { ...result, status: "error", error: error.message };
+  }
+}
+
+/**
+ * Get the details of a normalised event for the email's history
+ * @param {Object} event - Normalised event
+ * @returns {Object} - Event details (see recordEmailEvent)
+ */
+function getEventDetails(event) {
+  const timestamp = Number(event.timestamp);
+
+  return {
+    // Unix seconds; events without one are dated when they arrive
+    occurredAt:
+      timestamp > 0 ? new Date(timestamp * 1000).toISOString() : undefined,
+    provider: event.provider,
+    providerEventId: event.eventId,
+    url: event.url,
+    userAgent: event.userAgent,
+    payload: event.payload,
+  };
+}
+
+/**
+ * Fall back to the company's next contact after a bounce
+ * @param {Object} email - Bounced email record
+ * @returns {Promise<String|null>} - Next contact's address, or null if none is left or the company stays as it is
+ */
+async function moveToNextContact(email) {
+  const nextContact = await fallBackToNextContact(
+    email.company_id,
+    email.contact_id,
+    email.id
+  );
+  return nextContact ? nextContact.email : null;
+}
+
+/**
+ * Suppress the recipient of an email and mark the company unsubscribed
+ * @param {Object} email - Email record
+ * @param {Object} event - Normalised event
+ * @param {String} reason - Suppression reason (spam_report, unsubscribed)
+ * @returns {Promise<Object>} - Suppression
+ */
+async function optOutRecipient(email, event, reason) {
+  const suppression = await suppressRecipient(email, event, reason);
+
+  await markCompaniesAsUnsubscribed({
+    email: suppression.email,
+    companyId: email.company_id,
+  });
+
+  return suppression;
+}
+
+/**
+ * Add the recipient of an email to the suppression list
+ * @param {Object} email - Email record
+ * @param {Object} event - Normalised event
+ * @param {String} reason - Suppression reason
+ * @returns {Promise<Object>} - Suppression
+ */
+async function suppressRecipient(email, event, reason) {
+  return addSuppression({
+    email: event.recipient || email.to_email,
+    reason,
+    source: event.provider,
+    email_id: email.id,
+    company_id: email.company_id,
+  });
+}
@@ -0,0 +1,259 @@
+import supabase from "../supabase/client.js";
+
+/**
+ * Workflow Runs API - Functions to interact with the workflow_runs and
+ * send_attempts tables in Supabase
+ */
+
+// Send attempt statuses that mean the provider may have accepted the email
+export const UNRESOLVED_ATTEMPT_STATUSES = ["sending", "sent", "uncertain"];
+
+/**
+ * Start today's workflow run, or resume it if it did not finish
+ * @param {Date} date - Date of the run
+ * @returns {Promise<Object>} - Workflow run and whether it was resumed ({ run, resumed })
+ */
+export async function startWorkflowRun(date) {
+  const dateString = date.toISOString().split("T")[0];
+
+  // Resume an unfinished run for the same day
+  const { data: existingRuns, error: existingError } = await supabase
+    .from("workflow_runs")
+    .select("*")
+    .eq("run_date", dateString)
+    .eq("status", "running")
+    .order("started_at", { ascending: false })
+    .limit(1);
+
+  if (existingError) {
+    console.error(
+      `Error fetching workflow run for ${dateString}:`,
+      existingError
+    );
+    throw existingError;
+  }
+
+  if (existingRuns && existingRuns.length > 0) {
+    return { run: existingRuns[0], resumed: true };
+  }
+
+  // Runs from previous days that never finished were interrupted
+  const { error: interruptError } = await supabase
+    .from("workflow_runs")
+    .update({
+      status: "interrupted",
+      finished_at: new Date().toISOString(),
+    })
+    .eq("status", "running")
+    .lt("run_date", dateString);
+
+  if (interruptError) {
+    console.error("Error closing interrupted workflow runs:", interruptError);
+    throw interruptError;
+  }
+
+  const { data, error } = await supabase
+    .from("workflow_runs")
+    .insert([
+      {
+        run_date: dateString,
+        status: "running",
+        started_at: new Date().toISOString(),
+      },
+    ])
+    .select();
+
+  if (error) {
+    console.error(`Error creating workflow run for ${dateString}:`, error);
+    throw error;
+  }
+
+  return { run: data[0], resumed: false };
+}
+
+/**
+ * Finish a workflow run
+ * @param {String} id - Workflow run ID
+ * @param {String} status - Final status (completed, failed)
+ * @param {Object} summary - Summary of the run (counts, etc.)
+ * @param {Object} fields - Additional columns to set (e.g. hunter_credits)
+ * @returns {Promise<Object>} - Updated workflow run
+ */
+export async function finishWorkflowRun(id, status, summary = {}, fields = {}) {
+  const { data, error } = await supabase
+    .from("workflow_runs")
+    .update({
+      ...fields,
+      status,
+      summary,
+      finished_at: new Date().toISOString(),
+    })
+    .eq("id", id)
+    .select();
+
+  if (error) {
+    console.error(`Error finishing workflow run with ID ${id}:`, error);
+    throw error;
+  }
+
+  return data[0];
+}
+
+/**
+ * Get the most recent workflow runs
+ * @param {Number} limit - Maximum number of runs to return
+ * @returns {Promise<Array>} - Workflow runs, most recent first
+ */
+export async function getWorkflowRuns(limit = 10) {
+  const { data, error } = await supabase
+    .from("workflow_runs")
+    .select("*")
+    .order("started_at", { ascending: false })
+    .limit(limit);
+
+  if (error) {
+    console.error("Error fetching workflow runs:", error);
+    throw error;
+  }
+
+  return data;
+}
+
+/**
+ * Build the idempotency key for sending to a company within a run
+ * @param {String} runId - Workflow run ID
+ * @param {String} companyId - Company ID
+ * @returns {String} - Idempotency key
+ */
+export function getIdempotencyKey(runId, companyId) {
+  return `${runId}:${companyId}`;
+}
+
+/**
+ * Get the send attempt for a company within a run, creating it if needed
+ * @param {String} runId - Workflow run ID
+ * @param {String} companyId - Company ID
+ * @param {String} recipient - Recipient email address
+ * @returns {Promise<Object>} - Send attempt
+ */
+export async function claimSendAttempt(runId, companyId, recipient) {
+  const idempotencyKey = getIdempotencyKey(runId, companyId);
+
+  const existingAttempt = await getSendAttemptByKey(idempotencyKey);
+
+  if (existingAttempt) {
+    return existingAttempt;
+  }
+
+  const { data, error } = await supabase
+    .from("send_attempts")
+    .insert([
+      {
+        run_id: runId,
+        company_id: companyId,
+        idempotency_key: idempotencyKey,
+        recipient,
+        status: "pending",
+      },
+    ])
+    .select();
+
+  if (error) {
+    // 23505 is "unique violation": another process claimed the key first
+    if (error.code === "23505") {
+      return getSendAttemptByKey(idempotencyKey);
+    }
+
+    console.error(`Error creating send attempt ${idempotencyKey}:`, error);
+    throw error;
+  }
+
+  return data[0];
+}
+
+/**
+ * Get a send attempt by its idempotency key
+ * @param {String} idempotencyKey - Idempotency key
+ * @returns {Promise<Object|null>} - Send attempt
+ */
+export async function getSendAttemptByKey(idempotencyKey) {
+  const { data, error } = await supabase
+    .from("send_attempts")
+    .select("*")
+    .eq("idempotency_key", idempotencyKey)
+    .limit(1);
+
+  if (error) {
+    console.error(`Error fetching send attempt ${idempotencyKey}:`, error);
+    throw error;
+  }
+
+  return data.length > 0 ? data[0] : null;
+}
+
+/**
+ * Get a send attempt by its ID
+ * @param {String} id - Send attempt ID
+ * @returns {Promise<Object|null>} - Send attempt
+ */
+export async function getSendAttemptById(id) {
+  const { data, error } = await supabase
+    .from("send_attempts")
+    .select("*")
+    .eq("id", id)
+    .limit(1);
+
+  if (error) {
+    console.error(`Error fetching send attempt with ID ${id}:`, error);
+    throw error;
+  }
+
+  return data.length > 0 ? data[0] : null;
+}
+
+/**
+ * Update a send attempt
+ * @param {String} id - Send attempt ID
+ * @param {Object} updates - Fields to update
+ * @returns {Promise<Object>} - Updated send attempt
+ */
+export async function updateSendAttempt(id, updates) {
+  const { data, error } = await supabase
+    .from("send_attempts")
+    .update(updates)
+    .eq("id", id)
+    .select();
+
+  if (error) {
+    console.error(`Error updating send attempt with ID ${id}:`, error);
+    throw error;
+  }
+
+  return data[0];
+}
+
+/**
+ * Get send attempts that may have reached the provider but never completed
+ * @param {String} companyId - Optional company ID to restrict the lookup to
+ * @returns {Promise<Array>} - Array of send attempts
+ */
+export async function getUnresolvedSendAttempts(companyId) {
+  let query = supabase
+    .from("send_attempts")
+    .select("*")
+    .in("status", UNRESOLVED_ATTEMPT_STATUSES)
+    .order("created_at", { ascending: true });
+
+  if (companyId) {
+    query = query.eq("company_id", companyId);
+  }
+
+  const { data, error } = await query;
+
+  if (error) {
+    console.error("Error fetching unresolved send attempts:", error);
+    throw error;
+  }
+
+  return data;
+}
@@ -0,0 +1,64 @@
+/**
+ * CLI Arguments - Minimal parser for command-line arguments
+ */
+
+/**
+ * Parse command-line arguments into positionals and flags
+ *
+ * Supports `--flag`, `--no-flag`, `--key=value` and `--key value`. Flags
+ * listed in `booleanFlags` never consume the following argument.
+ * @param {Array<String>} argv - Arguments (without the node and script paths)
+ * @param {Object} options - Parser options
+ * @param {Array<String>} options.booleanFlags - Flags that take no value
+ * @returns {Object} - Parsed arguments ({ positionals, flags })
+ */
+export function parseArgs(argv, options = {}) {
+  const booleanFlags = new Set(options.booleanFlags || []);
+  const positionals = [];
+  const flags = {};
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+
+    // Everything after "--" is positional
+    if (arg === "--") {
+      positionals.push(...argv.slice(i + 1));
+      break;
+    }
+
+    if (!arg.startsWith("--")) {
+      positionals.push(arg);
+      continue;
+    }
+
+    const flag = arg.slice(2);
+    const equalsIndex = flag.indexOf("=");
+
+    if (equalsIndex !== -1) {
+      flags[toCamelCase(flag.slice(0, equalsIndex))] = flag.slice(
+        equalsIndex + 1
+      );
+    } else if (flag.startsWith("no-") && booleanFlags.has(flag.slice(3))) {
+      flags[toCamelCase(flag.slice(3))] = false;
+    } else if (
+      !booleanFlags.has(flag) &&
+      i + 1 < argv.length &&
+      !argv[i + 1].startsWith("--")
+    ) {
+      flags[toCamelCase(flag)] = argv[++i];
+    } else {
+      flags[toCamelCase(flag)] = true;
+    }
+  }
+
+  return { positionals, flags };
+}
+
+/**
+ * Convert a kebab-case flag name to camelCase
+ * @param {String} name - Flag name (e.g. "dry-run")
+ * @returns {String} - camelCase name (e.g. "dryRun")
+ */
+function toCamelCase(name) {
+  return name.replace(/-([a-z])/g, (_, letter) => letter.toUpperCase());
+}
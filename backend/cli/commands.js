@@ -0,0 +1,796 @@
+import fs from "fs/promises";
+import {
+  getCompanies,
+  getCompanyById,
+  reopenUnreachableCompany,
+} from "../api/companies.js";
+import { getEmailById, getEmailStatistics, getEmails } from "../api/emails.js";
+import { getEmailEvents } from "../api/emailEvents.js";
+import {
+  generateEmailSchedules,
+  getEmailSchedule,
+} from "../api/emailSchedule.js";
+import { verifyEmail } from "../api/emailVerification.js";
+import {
+  evaluateVerification,
+  getVerificationPolicy,
+} from "../api/verificationPolicy.js";
+import { getVerificationCacheStatistics } from "../api/verificationCache.js";
+import { getHunterAccount } from "../api/hunterClient.js";
+import {
+  getUnresolvedSendAttempts,
+  getWorkflowRuns,
+} from "../api/workflowRuns.js";
+import {
+  describeAttachments,
+  getAttachmentsForCompany,
+} from "../api/attachments.js";
+import {
+  createContact,
+  getContactsByCompanyId,
+  getVerificationFields,
+  rankContacts,
+} from "../api/contacts.js";
+import { generateEmailContent } from "../api/aiContentGenerator.js";
+import { formatEmailBody, sendEmail } from "../api/emailSender.js";
+import { getEmailTemplate } from "../api/emailTemplates.js";
+import {
+  DEFAULT_EMAIL_TEMPLATE,
+  runDailyWorkflow,
+  sendApprovedDrafts,
+} from "../workflow/dailyWorkflow.js";
+import { resolveSendAttempt } from "../workflow/sendPipeline.js";
+import {
+  approveDraft,
+  editDraft,
+  getReviewableDraft,
+  regenerateDraft,
+  rejectDraft,
+} from "../workflow/drafts.js";
+import { getUserData } from "../workflow/userData.js";
+import {
+  importCompanies,
+  parseColumnMapping,
+  readCompanyFile,
+} from "../import/companyImporter.js";
+import {
+  SUPPRESSION_REASONS,
+  addSuppression,
+  findSuppression,
+  getSuppressions,
+  removeSuppression,
+} from "../api/suppressions.js";
+import { startServer } from "../server/index.js";
+import { parseArgs } from "./args.js";
+import { printJson, printRecord, printTable } from "./output.js";
+
+/**
+ * CLI Commands - Subcommands exposed by `node index.js <command>`
+ */
+
+// Flags that never take a value
+const BOOLEAN_FLAGS = [
+  "json",
+  "help",
+  "verified",
+  "html",
+  "dry-run",
+  "verify",
+  "draft",
+  "approve",
+  "upsert",
+  "cache",
+  "all",
+  "sent",
+];
+
+// Columns shown when listing records as a table
+const COMPANY_COLUMNS = ["id", "name", "website", "status", "priority"];
+const CONTACT_COLUMNS = [
+  "id",
+  "email",
+  "first_name",
+  "last_name",
+  "position",
+  "verification_status",
+  "confidence",
+];
+const EMAIL_COLUMNS = ["id", "company_id", "subject", "status", "sent_at"];
+const EMAIL_EVENT_COLUMNS = [
+  "occurred_at",
+  "type",
+  "provider",
+  "url",
+  "reason",
+  "user_agent",
+];
+const SUPPRESSION_COLUMNS = [
+  "email",
+  "domain",
+  "reason",
+  "source",
+  "expires_at",
+  "created_at",
+];
+const ATTEMPT_COLUMNS = [
+  "id",
+  "company_id",
+  "recipient",
+  "status",
+  "error",
+  "created_at",
+];
+const SCHEDULE_COLUMNS = [
+  "scheduled_date",
+  "emails_limit",
+  "emails_sent",
+  "is_completed",
+];
+
+const COMMANDS = [
+  {
+    name: "run",
+    usage: "run [--dry-run] [--output <dir>] [--verify] [--draft]",
+    description:
+      "Run the daily email workflow (--dry-run renders emails to disk without sending or updating Supabase; --verify also runs verification lookups; --draft stores the emails for approval instead of sending them)",
+    // The workflow reports a failed run in its result instead of throwing
+    failed: (summary) => Boolean(summary.error),
+    handler: async ({ flags }) =>
+      runDailyWorkflow({
+        dryRun: flags.dryRun,
+        outputDir: flags.output,
+        verify: flags.verify,
+        draft: flags.draft,
+      }),
+    print: (summary) => {
+      if (summary.dryRun && summary.outputDir) {
+        console.log(`\nDry run output: ${summary.outputDir}`);
+      }
+
+      printTable(summary.results, ["company", "email", "status", "reason"]);
+    },
+  },
+  {
+    name: "companies import",
+    usage:
+      "companies import <file.csv|file.json> [--format csv|json] [--map <column=field,...>] [--upsert]",
+    description:
+      "Import companies with validation and de-duplication by domain/name (--upsert updates duplicates instead of skipping them)",
+    handler: async ({ positionals, flags }) => {
+      const file = requireArgument(positionals[0], "file");
+      const records = await readCompanyFile(file, flags.format);
+
+      return importCompanies(records, {
+        upsert: flags.upsert,
+        mapping: parseColumnMapping(flags.map),
+      });
+    },
+    print: (report) => {
+      console.log(
+        `Inserted ${report.inserted.length}, updated ${report.updated.length}, skipped ${report.skipped.length}.`
+      );
+
+      for (const [label, rows] of Object.entries(report)) {
+        if (rows.length > 0) {
+          console.log(`\n${label[0].toUpperCase()}${label.slice(1)}:`);
+          printTable(rows, Object.keys(rows[0]));
+        }
+      }
+    },
+  },
+  {
+    name: "companies list",
+    usage:
+      "companies list [--status <status>] [--priority <n>] [--verified] [--limit <n>] [--offset <n>]",
+    description: "List companies",
+    handler: async ({ flags }) =>
+      getCompanies({
+        status: flags.status,
+        priority: toNumber(flags.priority),
+        emailVerified: flags.verified,
+        limit: toNumber(flags.limit),
+        offset: toNumber(flags.offset),
+      }),
+    print: (companies) => printTable(companies, COMPANY_COLUMNS),
+  },
+  {
+    name: "companies show",
+    usage: "companies show <companyId>",
+    description: "Show a single company",
+    handler: async ({ positionals }) =>
+      getCompanyById(requireArgument(positionals[0], "companyId")),
+    print: printRecord,
+  },
+  {
+    name: "contacts list",
+    usage: "contacts list <companyId>",
+    description:
+      "List a company's usable contacts, best first, followed by unusable ones",
+    handler: async ({ positionals }) => {
+      const contacts = await getContactsByCompanyId(
+        requireArgument(positionals[0], "companyId")
+      );
+      const ranked = rankContacts(contacts);
+
+      return [
+        ...ranked,
+        ...contacts.filter((contact) => !ranked.includes(contact)),
+      ];
+    },
+    print: (contacts) => printTable(contacts, CONTACT_COLUMNS),
+  },
+  {
+    name: "contacts add",
+    usage:
+      "contacts add <companyId> <email> [--first-name <name>] [--last-name <name>] [--position <title>] [--department <name>]",
+    description:
+      "Add a contact to a company (an unreachable company goes back to pending)",
+    handler: async ({ positionals, flags }) => {
+      const companyId = requireArgument(positionals[0], "companyId");
+      const contact = await createContact({
+        company_id: companyId,
+        email: requireArgument(positionals[1], "email").toLowerCase(),
+        first_name: flags.firstName || null,
+        last_name: flags.lastName || null,
+        position: flags.position || null,
+        department: flags.department || null,
+        source: "manual",
+        verification_status: "unverified",
+      });
+
+      await reopenUnreachableCompany(companyId);
+      return contact;
+    },
+    print: printRecord,
+  },
+  {
+    name: "emails list",
+    usage:
+      "emails list [--status <status>] [--company <companyId>] [--limit <n>] [--offset <n>]",
+    description: "List email records",
+    handler: async ({ flags }) =>
+      getEmails({
+        status: flags.status,
+        companyId: flags.company,
+        limit: toNumber(flags.limit),
+        offset: toNumber(flags.offset),
+      }),
+    print: (emails) => printTable(emails, EMAIL_COLUMNS),
+  },
+  {
+    name: "emails show",
+    usage: "emails show <emailId>",
+    description: "Show a single email record",
+    handler: async ({ positionals }) =>
+      getEmailById(requireArgument(positionals[0], "emailId")),
+    print: printRecord,
+  },
+  {
+    name: "emails events",
+    usage: "emails events <emailId>",
+    description:
+      "Show the event history of an email (sent, delivered, opened, clicked, ...), oldest first",
+    handler: async ({ positionals }) =>
+      getEmailEvents(requireArgument(positionals[0], "emailId")),
+    print: (events) => printTable(events, EMAIL_EVENT_COLUMNS),
+  },
+  {
+    name: "emails test",
+    usage: "emails test <to> [--transport <name>]",
+    description:
+      "Send a test email to check the transport settings (--transport overrides EMAIL_TRANSPORT: sendgrid, mailgun, smtp)",
+    handler: async ({ positionals, flags }) => {
+      const to = requireArgument(positionals[0], "to");
+      const userData = getUserData();
+      const body = "This is a test email from the AI email workflow.";
+
+      return sendEmail(
+        to,
+        "Test email",
+        formatEmailBody(body, userData, {
+          template: await getEmailTemplate(),
+        }),
+        null,
+        { transport: flags.transport }
+      );
+    },
+    print: printRecord,
+  },
+  {
+    name: "drafts list",
+    usage: "drafts list [--status <status>]",
+    description: "List drafts (default: pending_approval)",
+    handler: async ({ flags }) =>
+      getEmails({ status: flags.status || "pending_approval" }),
+    print: (emails) => printTable(emails, EMAIL_COLUMNS),
+  },
+  {
+    name: "drafts show",
+    usage: "drafts show <emailId>",
+    description: "Show a draft with its full body",
+    handler: async ({ positionals }) =>
+      getReviewableDraft(requireArgument(positionals[0], "emailId")),
+    print: printDraft,
+  },
+  {
+    name: "drafts approve",
+    usage: "drafts approve <emailId>",
+    description: "Approve a draft for sending",
+    handler: async ({ positionals }) =>
+      approveDraft(requireArgument(positionals[0], "emailId")),
+    print: (email) => console.log(`Approved draft ${email.id}.`),
+  },
+  {
+    name: "drafts edit",
+    usage:
+      "drafts edit <emailId> [--subject <subject>] [--body-file <path>] [--approve]",
+    description: "Edit a draft's subject and/or body",
+    handler: async ({ positionals, flags }) => {
+      const id = requireArgument(positionals[0], "emailId");
+      const email = await editDraft(id, {
+        subject: flags.subject,
+        body: flags.bodyFile
+          ? await fs.readFile(flags.bodyFile, "utf8")
+          : undefined,
+      });
+
+      return flags.approve ? approveDraft(id) : email;
+    },
+    print: printDraft,
+  },
+  {
+    name: "drafts regenerate",
+    usage: "drafts regenerate <emailId>",
+    description: "Regenerate a draft with the AI and send it back for review",
+    handler: async ({ positionals }) =>
+      regenerateDraft(requireArgument(positionals[0], "emailId")),
+    print: printDraft,
+  },
+  {
+    name: "drafts reject",
+    usage: "drafts reject <emailId> [--reason <text>]",
+    description: "Reject a draft so it is never sent",
+    handler: async ({ positionals, flags }) =>
+      rejectDraft(requireArgument(positionals[0], "emailId"), flags.reason),
+    print: (email) => console.log(`Rejected draft ${email.id}.`),
+  },
+  {
+    name: "drafts send",
+    usage: "drafts send",
+    description: "Send approved drafts within today's remaining quota",
+    failed: (summary) => Boolean(summary.error),
+    handler: async () => sendApprovedDrafts(),
+    print: (summary) =>
+      printTable(summary.results, ["company", "email", "status", "reason"]),
+  },
+  {
+    name: "attempts list",
+    usage: "attempts list",
+    description:
+      "List send attempts that may have reached the provider but were never completed",
+    handler: async () => getUnresolvedSendAttempts(),
+    print: (attempts) => printTable(attempts, ATTEMPT_COLUMNS),
+  },
+  {
+    name: "attempts resolve",
+    usage:
+      "attempts resolve <attemptId> --sent [--message-id <id>] | --no-sent",
+    description:
+      "Settle a send attempt with an unknown outcome after checking the provider's logs (--sent records the email as sent; --no-sent lets a later run email the company again)",
+    handler: async ({ positionals, flags }) => {
+      const id = requireArgument(positionals[0], "attemptId");
+
+      if (flags.sent === undefined) {
+        throw new Error("Pass --sent or --no-sent");
+      }
+
+      return resolveSendAttempt(id, {
+        sent: flags.sent,
+        messageId: flags.messageId,
+      });
+    },
+    print: printRecord,
+  },
+  {
+    name: "stats",
+    usage: "stats",
+    description: "Show email statistics",
+    handler: async () => getEmailStatistics(),
+    print: printRecord,
+  },
+  {
+    name: "schedule generate",
+    usage: "schedule generate [--days <n>]",
+    description: "Generate warmup schedules for the next N days (default 30)",
+    handler: async ({ flags }) =>
+      generateEmailSchedules(toNumber(flags.days) || 30),
+    print: (schedules) => printTable(schedules, SCHEDULE_COLUMNS),
+  },
+  {
+    name: "schedule show",
+    usage: "schedule show [--date <YYYY-MM-DD>]",
+    description: "Show the schedule for a date (default today)",
+    handler: async ({ flags }) =>
+      getEmailSchedule(flags.date ? toDate(flags.date) : new Date()),
+    print: printRecord,
+  },
+  {
+    name: "verify",
+    usage:
+      "verify <email> [--providers <list>] [--industry <name>] [--no-cache]",
+    description:
+      "Verify an email address and show the verification policy's decision (--providers overrides VERIFICATION_PROVIDERS, e.g. local,hunter; --industry applies that industry's policy; --no-cache always asks Hunter instead of using a cached result)",
+    handler: async ({ positionals, flags }) => {
+      const verification = await verifyEmail(
+        requireArgument(positionals[0], "email"),
+        { providers: flags.providers, useCache: flags.cache }
+      );
+      const decision = evaluateVerification(
+        getVerificationFields(verification),
+        getVerificationPolicy(flags.industry)
+      );
+
+      return {
+        ...verification,
+        decision: decision.decision,
+        decisionReason: decision.reason,
+      };
+    },
+    print: printRecord,
+  },
+  {
+    name: "cache stats",
+    usage: "cache stats",
+    description: "Show verification cache hit rate and Hunter credits saved",
+    handler: async () => getVerificationCacheStatistics(),
+    print: (stats) => {
+      printRecord({
+        entries: stats.entries,
+        expired: stats.expired,
+        hits: stats.hits,
+        misses: stats.misses,
+        hitRate: `${stats.hitRate.toFixed(1)}%`,
+        creditsSaved: stats.creditsSaved,
+        creditsSpent: stats.creditsSpent,
+      });
+      console.log("");
+      printTable(
+        Object.entries(stats.byType).map(([lookupType, counts]) => ({
+          lookup_type: lookupType,
+          ...counts,
+        })),
+        ["lookup_type", "entries", "hits", "misses"]
+      );
+    },
+  },
+  {
+    name: "hunter usage",
+    usage: "hunter usage [--runs <n>]",
+    description:
+      "Show this month's Hunter plan usage and the credits spent by recent runs (default 10)",
+    handler: async ({ flags }) => {
+      const [account, runs] = await Promise.all([
+        getHunterAccount(),
+        getWorkflowRuns(toNumber(flags.runs) || 10),
+      ]);
+
+      return {
+        account,
+        runs: runs.map((run) => ({
+          id: run.id,
+          run_date: run.run_date,
+          status: run.status,
+          hunter_credits: Number(run.hunter_credits || 0),
+          hunter_requests: run.summary?.hunter?.requests ?? null,
+        })),
+      };
+    },
+    print: ({ account, runs }) => {
+      printRecord({
+        plan: account.plan,
+        resetDate: account.resetDate,
+        ...Object.fromEntries(
+          Object.entries(account.requests || {}).map(([type, counts]) => [
+            type,
+            `${counts.used} used of ${counts.available}`,
+          ])
+        ),
+      });
+      console.log("");
+      printTable(runs, [
+        "run_date",
+        "status",
+        "hunter_credits",
+        "hunter_requests",
+      ]);
+    },
+  },
+  {
+    name: "suppressions list",
+    usage: "suppressions list [--reason <reason>] [--all]",
+    description:
+      "List suppressed addresses and domains (--all includes expired entries)",
+    handler: async ({ flags }) =>
+      getSuppressions({ reason: flags.reason, includeExpired: flags.all }),
+    print: (suppressions) => printTable(suppressions, SUPPRESSION_COLUMNS),
+  },
+  {
+    name: "suppressions add",
+    usage:
+      "suppressions add <email|domain|*.domain> [--reason <reason>] [--days <n>] [--note <text>]",
+    description: `Never email an address or domain again (reasons: ${SUPPRESSION_REASONS.join(", ")}; default manual; --days makes the entry expire)`,
+    handler: async ({ positionals, flags }) => {
+      const value = requireArgument(positionals[0], "email|domain");
+
+      return addSuppression(
+        {
+          email: value.includes("@") ? value : null,
+          domain: value.includes("@") ? null : value,
+          reason: flags.reason || "manual",
+          source: "cli",
+          note: flags.note || null,
+        },
+        { days: toNumber(flags.days) }
+      );
+    },
+    print: printRecord,
+  },
+  {
+    name: "suppressions remove",
+    usage: "suppressions remove <email|domain|id>",
+    description: "Remove an address or domain from the suppression list",
+    handler: async ({ positionals }) =>
+      removeSuppression(requireArgument(positionals[0], "email|domain|id")),
+    print: (removed) =>
+      console.log(`Removed ${removed.length} suppression(s).`),
+  },
+  {
+    name: "suppressions check",
+    usage: "suppressions check <email>",
+    description: "Show whether an address may be emailed",
+    handler: async ({ positionals }) => {
+      const email = requireArgument(positionals[0], "email");
+      return { email, suppression: await findSuppression(email) };
+    },
+    print: ({ email, suppression }) => {
+      if (!suppression) {
+        console.log(`${email} is not suppressed.`);
+        return;
+      }
+
+      console.log(`${email} is suppressed:`);
+      printRecord(suppression);
+    },
+  },
+  {
+    name: "attachments show",
+    usage: "attachments show [companyId]",
+    description:
+      "Check and list the files attached to emails (for one company, or the default)",
+    handler: async ({ positionals }) => {
+      const company = positionals[0]
+        ? await getCompanyById(positionals[0])
+        : {};
+
+      return describeAttachments(await getAttachmentsForCompany(company));
+    },
+    print: (attachments) =>
+      printTable(attachments, ["name", "filename", "type", "size", "version"]),
+  },
+  {
+    name: "preview",
+    usage: "preview <companyId> [--html] [--template <name>]",
+    description:
+      "Generate the email for a company without sending it (--template overrides EMAIL_TEMPLATE)",
+    handler: async ({ positionals, flags }) => {
+      const company = await getCompanyById(
+        requireArgument(positionals[0], "companyId")
+      );
+      const userData = getUserData();
+      const emailContent = await generateEmailContent(
+        company,
+        DEFAULT_EMAIL_TEMPLATE,
+        userData
+      );
+
+      return {
+        to: company.contact_email,
+        subject: emailContent.subject,
+        body: emailContent.body,
+        html: formatEmailBody(emailContent.body, userData, {
+          template: await getEmailTemplate(flags.template),
+          company,
+        }),
+      };
+    },
+    print: (preview, { flags }) => {
+      if (flags.html) {
+        console.log(preview.html);
+        return;
+      }
+
+      console.log(`To: ${preview.to || "(no contact email)"}`);
+      console.log(`Subject: ${preview.subject}`);
+      console.log("");
+      console.log(preview.body);
+    },
+  },
+  {
+    name: "serve",
+    usage: "serve [--port <port>]",
+    description:
+      "Start the local server for unsubscribe and tracking links and the SendGrid and Mailgun webhooks (default port: SERVER_PORT or 3000) and keep it running until Ctrl+C",
+    handler: async ({ flags }) => {
+      const server = await startServer({ port: toNumber(flags.port) });
+
+      await new Promise((resolve) => {
+        const stop = () => server.close(resolve);
+        process.once("SIGINT", stop);
+        process.once("SIGTERM", stop);
+      });
+
+      console.log("Server stopped.");
+    },
+  },
+];
+
+/**
+ * Run the CLI with the given arguments
+ * @param {Array<String>} argv - Arguments (without the node and script paths)
+ * @returns {Promise<Number>} - Process exit code
+ */
+export async function runCli(argv) {
+  const { positionals, flags } = parseArgs(argv, {
+    booleanFlags: BOOLEAN_FLAGS,
+  });
+  const command = findCommand(positionals);
+
+  if (!command || flags.help) {
+    if (!command && positionals.length > 0) {
+      console.error(`Unknown command: ${positionals.join(" ")}\n`);
+    }
+
+    printUsage(command);
+    return command || flags.help || positionals.length === 0 ? 0 : 1;
+  }
+
+  const args = {
+    positionals: positionals.slice(command.name.split(" ").length),
+    flags,
+  };
+
+  try {
+    // With --json, stdout carries nothing but the result
+    const result = flags.json
+      ? await withLogsOnStderr(() => command.handler(args))
+      : await command.handler(args);
+
+    if (flags.json) {
+      printJson(result ?? null);
+    } else if (command.print) {
+      command.print(result, args);
+    }
+
+    return command.failed && command.failed(result) ? 1 : 0;
+  } catch (error) {
+    if (flags.json) {
+      printJson({ error: error.message });
+    } else {
+      console.error(`Error: ${error.message}`);
+    }
+
+    return 1;
+  }
+}
+
+/**
+ * Run a function with console.log and console.info writing to stderr
+ * @param {Function} fn - Async function to run
+ * @returns {Promise<*>} - What the function returns
+ */
+async function withLogsOnStderr(fn) {
+  const { log, info } = console;
+  console.log = console.error;
+  console.info = console.error;
+
+  try {
+    return await fn();
+  } finally {
+    console.log = log;
+    console.info = info;
+  }
+}
+
+/**
+ * Find the command matching the leading positional arguments
+ * @param {Array<String>} positionals - Positional arguments
+ * @returns {Object|undefined} - Matching command
+ */
+function findCommand(positionals) {
+  const twoWords = positionals.slice(0, 2).join(" ");
+  return (
+    COMMANDS.find((command) => command.name === twoWords) ||
+    COMMANDS.find((command) => command.name === positionals[0])
+  );
+}
+
+/**
+ * Print usage for one command, or for every command
+ * @param {Object} command - Optional command to print usage for
+ */
+function printUsage(command) {
+  if (command) {
+    console.log(`Usage: node index.js ${command.usage} [--json]`);
+    console.log(`\n${command.description}`);
+    return;
+  }
+
+  console.log("Usage: node index.js <command> [options] [--json]\n");
+  console.log("Commands:");
+
+  for (const { usage, description } of COMMANDS) {
+    console.log(`  ${usage}`);
+    console.log(`      ${description}`);
+  }
+}
+
+/**
+ * Print a draft for review
+ * @param {Object} email - Email object
+ */
+function printDraft(email) {
+  console.log(`ID: ${email.id}`);
+  console.log(`Company: ${email.company_id}`);
+  console.log(`Status: ${email.status}`);
+  console.log(`Subject: ${email.subject}`);
+  console.log("");
+  console.log(email.body);
+}
+
+/**
+ * Ensure a required positional argument was provided
+ * @param {String} value - Argument value
+ * @param {String} name - Argument name for the error message
+ * @returns {String} - Argument value
+ */
+function requireArgument(value, name) {
+  if (!value) {
+    throw new Error(`Missing required argument <${name}>`);
+  }
+
+  return value;
+}
+
+/**
+ * Parse a numeric flag value
+ * @param {String} value - Flag value
+ * @returns {Number|undefined} - Parsed number
+ */
+function toNumber(value) {
+  if (value === undefined) {
+    return undefined;
+  }
+
+  const number = Number(value);
+
+  if (Number.isNaN(number)) {
+    throw new Error(`Expected a number but got "${value}"`);
+  }
+
+  return number;
+}
+
+/**
+ * Parse a date flag value
+ * @param {String} value - Date in YYYY-MM-DD format
+ * @returns {Date} - Parsed date
+ */
+function toDate(value) {
+  const date = new Date(`${value}T00:00:00Z`);
+
+  if (Number.isNaN(date.getTime())) {
+    throw new Error(`Expected a date (YYYY-MM-DD) but got "${value}"`);
+  }
+
+  return date;
+}
@@ -0,0 +1,71 @@
+/**
+ * CLI Output - Helpers to print command results for humans or scripts
+ */
+
+/**
+ * Print a value as pretty JSON
+ * @param {*} value - Value to print
+ */
+export function printJson(value) {
+  console.log(JSON.stringify(value, null, 2));
+}
+
+/**
+ * Print an array of objects as an aligned text table
+ * @param {Array<Object>} rows - Rows to print
+ * @param {Array<String>} columns - Keys to print as columns
+ */
+export function printTable(rows, columns) {
+  if (!rows || rows.length === 0) {
+    console.log("No results.");
+    return;
+  }
+
+  const cells = rows.map((row) =>
+    columns.map((column) => formatCell(row[column]))
+  );
+  const widths = columns.map((column, index) =>
+    Math.max(column.length, ...cells.map((row) => row[index].length))
+  );
+
+  const formatRow = (values) =>
+    values.map((value, index) => value.padEnd(widths[index])).join("  ");
+
+  console.log(formatRow(columns));
+  console.log(formatRow(widths.map((width) => "-".repeat(width))));
+  cells.forEach((row) => console.log(formatRow(row)));
+}
+
+/**
+ * Print an object as "key: value" lines
+ * @param {Object} record - Object to print
+ */
+export function printRecord(record) {
+  if (!record) {
+    console.log("Not found.");
+    return;
+  }
+
+  const width = Math.max(...Object.keys(record).map((key) => key.length));
+
+  for (const [key, value] of Object.entries(record)) {
+    console.log(`${key.padEnd(width)}  ${formatCell(value)}`);
+  }
+}
+
+/**
+ * Format a single value for text output
+ * @param {*} value - Value to format
+ * @returns {String} - Printable value
+ */
+function formatCell(value) {
+  if (value === null || value === undefined) {
+    return "";
+  }
+
+  if (typeof value === "object") {
+    return JSON.stringify(value);
+  }
+
+  return String(value);
+}
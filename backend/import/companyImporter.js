@@ -0,0 +1,339 @@
+import fs from "fs/promises";
+import path from "path";
+import {
+  bulkImportCompanies,
+  getCompanies,
+  updateCompany,
+} from "../api/companies.js";
+import { normalizeDomain } from "../utils/domain.js";
+import { parseCsv } from "./csv.js";
+
+/**
+ * Company Importer - Imports companies from CSV or JSON files with
+ * validation and de-duplication against existing rows
+ */
+
+// Column names (lowercase, spaces/dashes as underscores) mapped to company fields
+const COLUMN_ALIASES = {
+  name: "name",
+  company: "name",
+  company_name: "name",
+  website: "website",
+  url: "website",
+  site: "website",
+  domain: "website",
+  industry: "industry",
+  sector: "industry",
+  location: "location",
+  city: "location",
+  company_size: "company_size",
+  size: "company_size",
+  employees: "company_size",
+  contact_email: "contact_email",
+  email: "contact_email",
+  contact_name: "contact_name",
+  contact: "contact_name",
+  notes: "notes",
+  priority: "priority",
+};
+
+// Fields that can be imported
+const COMPANY_FIELDS = [
+  "name",
+  "website",
+  "industry",
+  "location",
+  "company_size",
+  "contact_email",
+  "contact_name",
+  "notes",
+  "priority",
+];
+
+// Rows read per request when loading the existing companies (PostgREST
+// caps a response at 1000 rows by default)
+const PAGE_SIZE = 1000;
+
+// Legal suffixes ignored when comparing company names
+const NAME_SUFFIXES =
+  /\b(inc|incorporated|llc|ltd|limited|gmbh|corp|corporation|co|plc|sa|ag|bv)\b\.?/g;
+
+/**
+ * Read and parse a CSV or JSON file into raw records
+ * @param {String} file - Path to the file
+ * @param {String} format - "csv" or "json" (default: from the file extension)
+ * @returns {Promise<Array<Object>>} - Raw records
+ */
+export async function readCompanyFile(file, format) {
+  const text = await fs.readFile(file, "utf8");
+  const fileFormat = (format || path.extname(file).slice(1)).toLowerCase();
+
+  if (fileFormat === "csv") {
+    return parseCsv(text);
+  }
+
+  if (fileFormat === "json") {
+    const records = JSON.parse(text);
+
+    if (!Array.isArray(records)) {
+      throw new Error(`${file} must contain a JSON array of companies`);
+    }
+
+    return records;
+  }
+
+  throw new Error(
+    `Unsupported import format "${fileFormat}" (expected csv or json)`
+  );
+}
+
+/**
+ * Map a raw record's columns onto company fields
+ * @param {Object} record - Raw record from the file
+ * @param {Object} mapping - Extra column mapping ({ column: field })
+ * @returns {Object} - Company fields
+ */
+export function mapCompanyRecord(record, mapping = {}) {
+  const company = {};
+
+  for (const [column, value] of Object.entries(record)) {
+    const field =
+      mapping[column] || COLUMN_ALIASES[normalizeColumnName(column)];
+
+    if (!field || !COMPANY_FIELDS.includes(field)) {
+      continue;
+    }
+
+    if (value === undefined || value === null || value === "") {
+      continue;
+    }
+
+    company[field] = typeof value === "string" ? value.trim() : value;
+  }
+
+  return company;
+}
+
+/**
+ * Validate a mapped company and fill in derived fields
+ * @param {Object} company - Mapped company fields
+ * @returns {Object} - Validation result ({ company, errors })
+ */
+export function validateCompany(company) {
+  const errors = [];
+  const result = { ...company };
+
+  if (!result.name) {
+    errors.push("Missing name");
+  }
+
+  if (!result.website) {
+    errors.push("Missing website");
+  } else {
+    result.domain = normalizeDomain(result.website);
+
+    if (!result.domain) {
+      errors.push(`Invalid website "${result.website}"`);
+    } else if (!/^https?:\/\//i.test(result.website)) {
+      result.website = `https://${result.domain}`;
+    }
+  }
+
+  if (result.contact_email) {
+    result.contact_email = result.contact_email.toLowerCase();
+
+    if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(result.contact_email)) {
+      errors.push(`Invalid contact email "${result.contact_email}"`);
+    }
+  }
+
+  if (result.priority !== undefined) {
+    const priority = Number(result.priority);
+
+    if (!Number.isInteger(priority) || priority < 1 || priority > 5) {
+      errors.push(`Invalid priority "${result.priority}" (expected 1-5)`);
+    } else {
+      result.priority = priority;
+    }
+  }
+
+  return { company: result, errors };
+}
+
+/**
+ * Import companies from raw records
+ * @param {Array<Object>} records - Raw records (from readCompanyFile)
+ * @param {Object} options - Import options
+ * @param {Boolean} options.upsert - Update existing companies instead of skipping duplicates
+ * @param {Object} options.mapping - Extra column mapping ({ column: field })
+ * @returns {Promise<Object>} - Report ({ inserted, updated, skipped })
+ */
+export async function importCompanies(records, options = {}) {
+  const report = { inserted: [], updated: [], skipped: [] };
+
+  // Index existing companies by domain and by normalised name
+  const existingCompanies = await getAllCompanies();
+  const byDomain = new Map();
+  const byName = new Map();
+
+  for (const existing of existingCompanies) {
+    const domain = existing.domain || normalizeDomain(existing.website);
+
+    if (domain) {
+      byDomain.set(domain, existing);
+    }
+
+    byName.set(normalizeCompanyName(existing.name), existing);
+  }
+
+  const toInsert = [];
+  const seenDomains = new Map();
+  const seenNames = new Map();
+
+  for (const [index, record] of records.entries()) {
+    const row = index + 1;
+    const { company, errors } = validateCompany(
+      mapCompanyRecord(record, options.mapping)
+    );
+
+    if (errors.length > 0) {
+      report.skipped.push({
+        row,
+        name: company.name,
+        reason: errors.join("; "),
+      });
+      continue;
+    }
+
+    // Duplicates within the file itself, by domain or by name
+    const name = normalizeCompanyName(company.name);
+    const duplicate = seenDomains.has(company.domain)
+      ? `row ${seenDomains.get(company.domain)} in the file (domain ${company.domain})`
+      : seenNames.has(name)
+        ? `row ${seenNames.get(name)} in the file (name)`
+        : null;
+
+    if (duplicate) {
+      report.skipped.push({
+        row,
+        name: company.name,
+        reason: `Duplicate of ${duplicate}`,
+      });
+      continue;
+    }
+
+    seenDomains.set(company.domain, row);
+    seenNames.set(name, row);
+
+    // Duplicates against existing companies
+    const existing = byDomain.get(company.domain) || byName.get(name);
+
+    if (existing) {
+      const matchedBy = byDomain.get(company.domain) ? "domain" : "name";
+
+      if (!options.upsert) {
+        report.skipped.push({
+          row,
+          name: company.name,
+          reason: `Already exists as ${existing.name} (${existing.id}), matched by ${matchedBy}`,
+        });
+        continue;
+      }
+
+      const updated = await updateCompany(existing.id, company);
+      report.updated.push({
+        row,
+        id: updated.id,
+        name: updated.name,
+        matchedBy,
+      });
+      continue;
+    }
+
+    toInsert.push({ row, company });
+  }
+
+  if (toInsert.length > 0) {
+    const inserted = await bulkImportCompanies(
+      toInsert.map((item) => item.company)
+    );
+
+    inserted.forEach((company, index) => {
+      report.inserted.push({
+        row: toInsert[index].row,
+        id: company.id,
+        name: company.name,
+      });
+    });
+  }
+
+  return report;
+}
+
+/**
+ * Get every existing company, page by page
+ * @returns {Promise<Array>} - Array of companies
+ */
+async function getAllCompanies() {
+  const companies = [];
+
+  for (let offset = 0; ; offset += PAGE_SIZE) {
+    const page = await getCompanies({ limit: PAGE_SIZE, offset });
+    companies.push(...page);
+
+    if (page.length < PAGE_SIZE) {
+      return companies;
+    }
+  }
+}
+
+/**
+ * Parse a "column=field,column=field" mapping string
+ * @param {String} value - Mapping string
+ * @returns {Object} - Mapping ({ column: field })
+ */
+export function parseColumnMapping(value) {
+  if (!value) {
+    return {};
+  }
+
+  return Object.fromEntries(
+    value.split(",").map((pair) => {
+      const [column, field] = pair.split("=").map((part) => part.trim());
+
+      if (!column || !COMPANY_FIELDS.includes(field)) {
+        throw new Error(
+          `Invalid column mapping "${pair}" (fields: ${COMPANY_FIELDS.join(", ")})`
+        );
+      }
+
+      return [column, field];
+    })
+  );
+}
+
+/**
+ * Normalise a column name for alias lookup
+ * @param {String} column - Column name
+ * @returns {String} - Normalised column name
+ */
+function normalizeColumnName(column) {
+  return column
+    .trim()
+    .toLowerCase()
+    .replace(/[\s-]+/g, "_");
+}
+
+/**
+ * Normalise a company name for duplicate detection
+ * @param {String} name - Company name
+ * @returns {String} - Normalised name
+ */
+function normalizeCompanyName(name) {
+  return String(name || "")
+    .toLowerCase()
+    .replace(/&/g, " and ")
+    .replace(NAME_SUFFIXES, "")
+    .replace(/[^a-z0-9]+/g, " ")
+    .trim();
+}
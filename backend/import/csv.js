@@ -0,0 +1,88 @@
+/**
+ * CSV Parser - Parses RFC 4180 CSV (quoted fields, escaped quotes, CRLF)
+ */
+
+/**
+ * Parse CSV text into an array of objects keyed by the header row
+ * @param {String} text - CSV text
+ * @param {Object} options - Parser options
+ * @param {String} options.delimiter - Field delimiter (default ",")
+ * @returns {Array<Object>} - Rows keyed by header
+ */
+export function parseCsv(text, options = {}) {
+  const rows = parseCsvRows(text.replace(/^\uFEFF/, ""), options.delimiter);
+
+  if (rows.length === 0) {
+    return [];
+  }
+
+  const headers = rows[0].map((header) => header.trim());
+
+  return rows
+    .slice(1)
+    .filter((row) => row.some((value) => value.trim() !== ""))
+    .map((row) =>
+      Object.fromEntries(
+        headers.map((header, index) => [header, (row[index] || "").trim()])
+      )
+    );
+}
+
+/**
+ * Parse CSV text into an array of rows of raw values
+ * @param {String} text - CSV text
+ * @param {String} delimiter - Field delimiter
+ * @returns {Array<Array<String>>} - Rows of values
+ */
+function parseCsvRows(text, delimiter = ",") {
+  const rows = [];
+  let row = [];
+  let value = "";
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        value += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        value += char;
+      }
+      continue;
+    }
+
+    if (char === '"') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(value);
+      value = "";
+    } else if (char === "\n" || char === "\r") {
+      // Treat CRLF as a single line break
+      if (char === "\r" && text[i + 1] === "\n") {
+        i++;
+      }
+      row.push(value);
+      rows.push(row);
+      row = [];
+      value = "";
+    } else {
+      value += char;
+    }
+  }
+
+  if (inQuotes) {
+    throw new Error("Invalid CSV: unterminated quoted field");
+  }
+
+  // Last line without a trailing newline
+  if (value !== "" || row.length > 0) {
+    row.push(value);
+    rows.push(row);
+  }
+
+  return rows;
+}
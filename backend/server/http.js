@@ -0,0 +1,75 @@
+/**
+ * HTTP Helpers - Request parsing and responses for the local server
+ */
+
+// Largest request body accepted
+const MAX_BODY_BYTES = 1024 * 1024;
+
+/**
+ * Read a request body
+ * @param {http.IncomingMessage} req - Request
+ * @returns {Promise<String>} - Body
+ */
+export function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+
+    req.on("data", (chunk) => {
+      size += chunk.length;
+
+      if (size > MAX_BODY_BYTES) {
+        const error = new Error("Request body too large");
+        error.statusCode = 413;
+        req.destroy();
+        reject(error);
+        return;
+      }
+
+      chunks.push(chunk);
+    });
+    req.on("end", () => resolve(Buffer.concat(chunks).toString("utf8")));
+    req.on("error", reject);
+  });
+}
+
+/**
+ * Parse a form-encoded body
+ * @param {String} body - Body (application/x-www-form-urlencoded)
+ * @returns {Object} - Fields by name
+ */
+export function parseForm(body) {
+  return Object.fromEntries(new URLSearchParams(body));
+}
+
+/**
+ * Send an HTML page
+ * @param {http.ServerResponse} res - Response
+ * @param {Number} status - HTTP status
+ * @param {String} html - Page
+ */
+export function sendHtml(res, status, html) {
+  res.writeHead(status, { "Content-Type": "text/html; charset=utf-8" });
+  res.end(html);
+}
+
+/**
+ * Send a JSON response
+ * @param {http.ServerResponse} res - Response
+ * @param {Number} status - HTTP status
+ * @param {Object} data - Response data
+ */
+export function sendJson(res, status, data) {
+  res.writeHead(status, { "Content-Type": "application/json" });
+  res.end(JSON.stringify(data));
+}
+
+/**
+ * Redirect to another URL
+ * @param {http.ServerResponse} res - Response
+ * @param {String} location - URL to redirect to
+ */
+export function sendRedirect(res, location) {
+  res.writeHead(302, { Location: location, "Cache-Control": "no-store" });
+  res.end();
+}
@@ -0,0 +1,98 @@
+import http from "http";
+import dotenv from "dotenv";
+import path from "path";
+import { fileURLToPath } from "url";
+import { sendHtml, sendJson } from "./http.js";
+import { handleClick, handleOpen } from "./tracking.js";
+import { handleUnsubscribe } from "./unsubscribe.js";
+import {
+  handleHealth,
+  handleMailgunWebhook,
+  handleSendGridWebhook,
+} from "./webhooks.js";
+
+// Get the directory name
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// Load environment variables from .env file in the config directory
+dotenv.config({ path: path.join(__dirname, "../../config/.env") });
+
+/**
+ * Server - Local HTTP server for the links put in emails (unsubscribe
+ * links, the tracking pixel and tracked links) and the email providers'
+ * tracking webhooks
+ *
+ * Run it with `node index.js serve` and expose it at PUBLIC_BASE_URL.
+ */
+
+// Address the server listens on
+const SERVER_PORT = parseInt(process.env.SERVER_PORT || "3000", 10);
+const SERVER_HOST = process.env.SERVER_HOST || "0.0.0.0";
+
+// Routes by path: allowed methods and handler(req, res, url)
+const ROUTES = {
+  "/unsubscribe": { methods: ["GET", "POST"], handler: handleUnsubscribe },
+  "/track/open": { methods: ["GET"], handler: handleOpen },
+  "/track/click": { methods: ["GET"], handler: handleClick },
+  "/webhooks/sendgrid": { methods: ["POST"], handler: handleSendGridWebhook },
+  "/webhooks/mailgun": { methods: ["POST"], handler: handleMailgunWebhook },
+  "/health": { methods: ["GET"], handler: handleHealth },
+};
+
+/**
+ * Create the HTTP server
+ * @returns {http.Server} - Server, not yet listening
+ */
+export function createServer() {
+  return http.createServer(async (req, res) => {
+    const url = new URL(req.url, "http://localhost");
+    const route = ROUTES[url.pathname.replace(/\/+$/, "") || "/"];
+
+    if (!route) {
+      sendJson(res, 404, { error: "Not found" });
+      return;
+    }
+
+    if (!route.methods.includes(req.method)) {
+      res.setHeader("Allow", route.methods.join(", "));
+      sendJson(res, 405, { error: "Method not allowed" });
+      return;
+    }
+
+    try {
+      await route.handler(req, res, url);
+    } catch (error) {
+      console.error(`Error handling ${req.method} ${url.pathname}:`, error);
+
+      if (!res.headersSent) {
+        sendHtml(
+          res,
+          error.statusCode || 500,
+          "<p>Something went wrong. Please try again later.</p>"
+        );
+      }
+    }
+  });
+}
+
+/**
+ * Start the HTTP server
+ * @param {Object} options - Server options
+ * @param {Number} options.port - Port (default SERVER_PORT, 3000)
+ * @param {String} options.host - Host (default SERVER_HOST, 0.0.0.0)
+ * @returns {Promise<http.Server>} - Listening server
+ */
+export function startServer(options = {}) {
+  const port = options.port ?? SERVER_PORT;
+  const host = options.host || SERVER_HOST;
+  const server = createServer();
+
+  return new Promise((resolve, reject) => {
+    server.once("error", reject);
+    server.listen(port, host, () => {
+      const address = server.address();
+      console.log(`Server listening on http://${host}:${address.port}`);
+      resolve(server);
+    });
+  });
+}
@@ -0,0 +1,64 @@
+import { recordClick, recordOpen, readClickToken } from "../api/tracking.js";
+import { sendHtml, sendRedirect } from "./http.js";
+
+/**
+ * Tracking Routes - The pixel and redirects behind tracked emails
+ *
+ * Recording is best effort: a failure is logged, and the recipient still
+ * gets the pixel or reaches the link.
+ */
+
+// 1x1 transparent GIF
+const PIXEL = Buffer.from(
+  "R0lGODlhAQABAIAAAAAAAP///yH5BAEAAAAALAAAAAABAAEAAAIBRAA7",
+  "base64"
+);
+
+/**
+ * Handle a request to /track/open
+ * @param {http.IncomingMessage} req - Request
+ * @param {http.ServerResponse} res - Response
+ * @param {URL} url - Parsed request URL
+ */
+export async function handleOpen(req, res, url) {
+  try {
+    await recordOpen(url.searchParams.get("token"), {
+      userAgent: req.headers["user-agent"],
+    });
+  } catch (error) {
+    console.error("Error recording an open:", error);
+  }
+
+  // Always answer with the pixel, so a broken image never shows
+  res.writeHead(200, {
+    "Content-Type": "image/gif",
+    "Content-Length": PIXEL.length,
+    "Cache-Control": "no-store, no-cache, must-revalidate, private",
+  });
+  res.end(PIXEL);
+}
+
+/**
+ * Handle a request to /track/click
+ * @param {http.IncomingMessage} req - Request
+ * @param {http.ServerResponse} res - Response
+ * @param {URL} url - Parsed request URL
+ */
+export async function handleClick(req, res, url) {
+  const token = url.searchParams.get("token");
+  const click = readClickToken(token);
+
+  // Only signed targets are redirected to, so this is not an open redirect
+  if (!click) {
+    sendHtml(res, 400, "<p>This link is not valid.</p>");
+    return;
+  }
+
+  try {
+    await recordClick(token, { userAgent: req.headers["user-agent"] });
+  } catch (error) {
+    console.error(`Error recording a click on ${click.url}:`, error);
+  }
+
+  sendRedirect(res, click.url);
+}
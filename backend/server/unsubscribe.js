@@ -0,0 +1,95 @@
+import { readUnsubscribeToken, unsubscribe } from "../api/unsubscribe.js";
+import { escapeHtml } from "../utils/html.js";
+import { parseForm, readBody, sendHtml } from "./http.js";
+
+/**
+ * Unsubscribe Routes - The page behind the unsubscribe links
+ *
+ * GET shows a confirmation page, so link scanners opening the link do not
+ * unsubscribe anyone. POST records the opt-out, either from that page or as
+ * a one-click unsubscribe (RFC 8058) sent by the mailbox provider.
+ */
+
+/**
+ * Handle a request to /unsubscribe
+ * @param {http.IncomingMessage} req - Request
+ * @param {http.ServerResponse} res - Response
+ * @param {URL} url - Parsed request URL
+ */
+export async function handleUnsubscribe(req, res, url) {
+  const token = url.searchParams.get("token");
+  const recipient = readUnsubscribeToken(token);
+
+  if (!recipient) {
+    sendHtml(
+      res,
+      400,
+      page("Invalid link", "<p>This unsubscribe link is not valid.</p>")
+    );
+    return;
+  }
+
+  if (req.method === "GET") {
+    const action = `/unsubscribe?token=${encodeURIComponent(token)}`;
+    const domainButton = recipient.canUnsubscribeDomain
+      ? `
+      <button type="submit" name="scope" value="domain">Unsubscribe everyone at ${escapeHtml(recipient.domain)}</button>`
+      : "";
+
+    sendHtml(
+      res,
+      200,
+      page(
+        "Unsubscribe",
+        `<p>Stop emails to <strong>${escapeHtml(recipient.address)}</strong>?</p>
+    <form method="post" action="${escapeHtml(action)}">
+      <button type="submit" name="scope" value="address">Unsubscribe</button>${domainButton}
+    </form>`
+      )
+    );
+    return;
+  }
+
+  const form = parseForm(await readBody(req));
+  const oneClick = form["List-Unsubscribe"] === "One-Click";
+
+  const suppression = await unsubscribe(token, {
+    scope: form.scope,
+    source: oneClick ? "one_click" : "unsubscribe_link",
+  });
+
+  sendHtml(
+    res,
+    200,
+    page(
+      "Unsubscribed",
+      `<p>${escapeHtml(
+        suppression.email
+          ? recipient.address
+          : `Everyone at ${recipient.domain}`
+      )} will not receive any more emails from me.</p>`
+    )
+  );
+}
+
+/**
+ * Build a minimal HTML page
+ * @param {String} title - Page title
+ * @param {String} content - Page content (HTML)
+ * @returns {String} - HTML page
+ */
+function page(title, content) {
+  return `<!DOCTYPE html>
+<html>
+  <head>
+    <meta charset="UTF-8" />
+    <meta name="viewport" content="width=device-width, initial-scale=1.0" />
+    <title>${escapeHtml(title)}</title>
+  </head>
+  <body style="font-family: Arial, sans-serif; max-width: 600px; margin: 40px auto;">
+    <h1>${escapeHtml(title)}</h1>
+    ${content}
+  </body>
+</html>
+`;
+}
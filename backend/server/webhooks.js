@@ -0,0 +1,154 @@
+import {
+  WEBHOOK_SIGNATURE_INVALID,
+  verifyMailgunWebhook,
+  verifySendGridWebhook,
+} from "../api/webhookSignatures.js";
+import { releaseWebhookRequest } from "../api/webhookRequests.js";
+import { processMailgunEvent, processSendGridEvents } from "../api/webhooks.js";
+import { parseForm, readBody, sendJson } from "./http.js";
+
+/**
+ * Webhook Routes - Tracking events posted by SendGrid and Mailgun
+ *
+ * Every request must carry a valid provider signature (see
+ * webhookSignatures.js). Requests with an event that could not be processed
+ * are answered with a 500 and their replay key is released, so the
+ * provider's retry is accepted. Point the providers' event webhooks at
+ * PUBLIC_BASE_URL/webhooks/sendgrid and PUBLIC_BASE_URL/webhooks/mailgun.
+ */
+
+/**
+ * Handle a request to /webhooks/sendgrid
+ * @param {http.IncomingMessage} req - Request
+ * @param {http.ServerResponse} res - Response
+ */
+export async function handleSendGridWebhook(req, res) {
+  const body = await readBody(req);
+
+  const replayKey = await verify(res, () =>
+    verifySendGridWebhook(body, req.headers)
+  );
+
+  if (!replayKey) {
+    return;
+  }
+
+  let events;
+
+  try {
+    events = JSON.parse(body);
+  } catch (error) {
+    sendJson(res, 400, { success: false, error: "Body is not valid JSON" });
+    return;
+  }
+
+  if (!Array.isArray(events)) {
+    sendJson(res, 400, {
+      success: false,
+      error: "Invalid SendGrid webhook payload",
+    });
+    return;
+  }
+
+  let results;
+
+  try {
+    results = await processSendGridEvents(events);
+  } catch (error) {
+    await releaseWebhookRequest(replayKey);
+    throw error;
+  }
+
+  const failed = results.filter((result) => result.status === "error").length;
+
+  // A 5xx makes SendGrid retry the whole batch, so the events that did go
+  // through are recorded again on the retry
+  if (failed) {
+    await releaseWebhookRequest(replayKey);
+    sendJson(res, 500, {
+      success: false,
+      message: `Failed to process ${failed} of ${results.length} SendGrid events`,
+      results,
+    });
+    return;
+  }
+
+  sendJson(res, 200, {
+    success: true,
+    message: `Processed ${results.length} SendGrid events`,
+    results,
+  });
+}
+
+/**
+ * Handle a request to /webhooks/mailgun
+ * @param {http.IncomingMessage} req - Request
+ * @param {http.ServerResponse} res - Response
+ */
+export async function handleMailgunWebhook(req, res) {
+  const body = await readBody(req);
+  let payload;
+
+  // Current webhooks post JSON, legacy ones a form
+  try {
+    payload = /json/i.test(req.headers["content-type"] || "")
+      ? JSON.parse(body)
+      : parseForm(body);
+  } catch (error) {
+    sendJson(res, 400, { success: false, error: "Body is not valid JSON" });
+    return;
+  }
+
+  const replayKey = await verify(res, () => verifyMailgunWebhook(payload));
+
+  if (!replayKey) {
+    return;
+  }
+
+  let result;
+
+  try {
+    result = await processMailgunEvent(payload);
+  } catch (error) {
+    await releaseWebhookRequest(replayKey);
+    throw error;
+  }
+
+  // A 5xx makes Mailgun retry the event
+  if (result.status === "error") {
+    await releaseWebhookRequest(replayKey);
+    sendJson(res, 500, { success: false, ...result });
+    return;
+  }
+
+  sendJson(res, 200, { success: true, ...result });
+}
+
+/**
+ * Handle a request to /health
+ * @param {http.IncomingMessage} req - Request
+ * @param {http.ServerResponse} res - Response
+ */
+export async function handleHealth(req, res) {
+  sendJson(res, 200, { status: "ok", uptime: Math.round(process.uptime()) });
+}
+
+/**
+ * Run a signature check, answering 401 if it fails
+ * @param {http.ServerResponse} res - Response
+ * @param {Function} check - Resolves to the reserved replay key, rejects if the signature is invalid
+ * @returns {Promise<String|null>} - Replay key if the request may be processed
+ */
+async function verify(res, check) {
+  try {
+    return await check();
+  } catch (error) {
+    if (error.code !== WEBHOOK_SIGNATURE_INVALID) {
+      throw error;
+    }
+
+    console.warn(`Rejected a webhook request: ${error.message}`);
+    sendJson(res, 401, { success: false, error: error.message });
+    return null;
+  }
+}
@@ -3,33 +3,84 @@ CREATE TABLE IF NOT EXISTS companies (
     id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
     name VARCHAR(255) NOT NULL,
     website VARCHAR(255),
+    domain VARCHAR(255), -- Normalised website domain, used for de-duplication
     industry VARCHAR(100),
     location VARCHAR(255),
     company_size VARCHAR(50),
     contact_email VARCHAR(255),
+    contact_name VARCHAR(255), -- Known person to address, used to guess their email
     email_verified BOOLEAN DEFAULT FALSE,
+    email_verification_status VARCHAR(50), -- Verification status of contact_email (valid, invalid, accept_all, ...)
+    email_verification_score INTEGER, -- 0-100, as reported by the verifier
+    email_disposable BOOLEAN,
+    email_webmail BOOLEAN,
+    email_accept_all BOOLEAN,
+    email_verified_at TIMESTAMP WITH TIME ZONE,
+    email_verification_source VARCHAR(50), -- Verifier that produced the result (hunter, clearbit, local)
+    email_verification_decision VARCHAR(20), -- accepted, rejected (by the verification policy)
+    email_verification_reason TEXT, -- Why the verification policy accepted or rejected the address
     notes TEXT,
     priority INTEGER DEFAULT 3, -- 1 (high) to 5 (low)
-    status VARCHAR(50) DEFAULT 'pending', -- pending, contacted, responded, not_interested, interview, rejected
+    status VARCHAR(50) DEFAULT 'pending', -- pending, contacted, responded, not_interested, interview, rejected, unreachable, unsubscribed
+    unreachable_reason TEXT, -- Why no address could be found or verified
+    attachments JSONB, -- Attachment names for this company, overriding ATTACHMENTS_FILE (e.g. ["cv_data", "portfolio"])
     created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
     updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
 
+-- Contacts table to store the people we can email at each company
+CREATE TABLE IF NOT EXISTS contacts (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    company_id UUID REFERENCES companies(id) ON DELETE CASCADE,
+    first_name VARCHAR(100),
+    last_name VARCHAR(100),
+    position VARCHAR(255),
+    department VARCHAR(100),
+    seniority VARCHAR(50), -- junior, senior, executive (as reported by Hunter)
+    email VARCHAR(255) NOT NULL,
+    verification_status VARCHAR(50) DEFAULT 'unverified', -- unverified, valid, invalid, accept_all, unknown, disposable, bounced
+    verification_score INTEGER, -- 0-100, as reported by the verifier
+    is_disposable BOOLEAN,
+    is_webmail BOOLEAN,
+    is_accept_all BOOLEAN,
+    verified_at TIMESTAMP WITH TIME ZONE,
+    verification_source VARCHAR(50), -- Verifier that produced the result (hunter, clearbit, local)
+    verification_decision VARCHAR(20), -- accepted, rejected (by the verification policy)
+    verification_reason TEXT, -- Why the verification policy accepted or rejected the address
+    source VARCHAR(50), -- hunter, pattern, import, manual
+    confidence INTEGER, -- 0-100, as reported by the source
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE(company_id, email)
+);
+
 -- Email tracking table to store information about sent emails
 CREATE TABLE IF NOT EXISTS emails (
     id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
     company_id UUID REFERENCES companies(id) ON DELETE CASCADE,
+    contact_id UUID REFERENCES contacts(id) ON DELETE SET NULL,
+    to_email VARCHAR(255), -- Address the email was sent to
     subject VARCHAR(255) NOT NULL,
     body TEXT NOT NULL,
     sent_at TIMESTAMP WITH TIME ZONE,
-    opened_at TIMESTAMP WITH TIME ZONE,
-    clicked_at TIMESTAMP WITH TIME ZONE,
+    delivered_at TIMESTAMP WITH TIME ZONE,
+    opened_at TIMESTAMP WITH TIME ZONE, -- First open
+    last_opened_at TIMESTAMP WITH TIME ZONE,
+    open_count INTEGER DEFAULT 0,
+    clicked_at TIMESTAMP WITH TIME ZONE, -- First click
+    last_clicked_at TIMESTAMP WITH TIME ZONE,
+    click_count INTEGER DEFAULT 0,
     replied_at TIMESTAMP WITH TIME ZONE,
-    status VARCHAR(50) DEFAULT 'draft', -- draft, sent, opened, clicked, replied, bounced
-    email_provider VARCHAR(50), -- sendgrid, mailgun, etc.
+    bounced_at TIMESTAMP WITH TIME ZONE,
+    status VARCHAR(50) DEFAULT 'draft', -- draft, pending_approval, approved, rejected, queued, sent, failed, delivered, deferred, dropped, opened, clicked, replied, bounced, spam_reported, unsubscribed; derived from email_events once sent
+    failure_reason TEXT, -- Provider's reason for a deferred, dropped or bounced email
+    email_provider VARCHAR(50), -- Transport that sent the email: sendgrid, mailgun, smtp
     message_id VARCHAR(255), -- Provider's message ID for tracking
     ai_generated BOOLEAN DEFAULT TRUE,
     template_used VARCHAR(100),
+    attachments JSONB, -- Files attached: name, filename, type, size, version, sha256
+    reviewed_at TIMESTAMP WITH TIME ZONE, -- When a draft was approved or rejected
+    review_notes TEXT, -- Reviewer's reason for rejecting a draft
     created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
     updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
@@ -40,6 +91,7 @@ CREATE TABLE IF NOT EXISTS email_templates (
     name VARCHAR(100) NOT NULL,
     subject_template TEXT NOT NULL,
     body_template TEXT NOT NULL,
+    html_template TEXT, -- HTML layout the generated body is rendered into ({{> body}} slot)
     variables JSONB, -- Store variables that can be replaced in the template
     is_active BOOLEAN DEFAULT TRUE,
     created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
@@ -69,12 +121,151 @@ CREATE TABLE IF NOT EXISTS email_schedule (
     UNIQUE(scheduled_date)
 );
 
+-- Workflow runs table to journal each execution of the daily workflow
+CREATE TABLE IF NOT EXISTS workflow_runs (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    run_date DATE NOT NULL,
+    status VARCHAR(50) DEFAULT 'running', -- running, completed, failed, interrupted
+    started_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    finished_at TIMESTAMP WITH TIME ZONE,
+    summary JSONB, -- Counts of sent, skipped and failed companies, Hunter usage
+    hunter_credits NUMERIC DEFAULT 0, -- Hunter credits spent by the run
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Send attempts table, written before the provider is called so a crashed run never sends twice
+CREATE TABLE IF NOT EXISTS send_attempts (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    run_id UUID REFERENCES workflow_runs(id) ON DELETE CASCADE,
+    company_id UUID REFERENCES companies(id) ON DELETE CASCADE,
+    email_id UUID REFERENCES emails(id) ON DELETE SET NULL,
+    idempotency_key VARCHAR(255) NOT NULL, -- <run_id>:<company_id>
+    recipient VARCHAR(255),
+    status VARCHAR(50) DEFAULT 'pending', -- pending, sending, sent, completed, failed, uncertain
+    email_provider VARCHAR(50),
+    message_id VARCHAR(255),
+    email_recorded BOOLEAN DEFAULT FALSE, -- Email record marked as sent
+    company_marked BOOLEAN DEFAULT FALSE, -- Company marked as contacted
+    quota_counted BOOLEAN DEFAULT FALSE, -- Daily emails_sent count incremented
+    error TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE(idempotency_key)
+);
+
+-- Verification cache table so Hunter lookups are not repeated (and paid for) every run
+CREATE TABLE IF NOT EXISTS verification_cache (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    cache_key VARCHAR(512) NOT NULL, -- <lookup_type>:<email or domain search key>
+    lookup_type VARCHAR(50) NOT NULL, -- email, domain_search, pattern
+    status VARCHAR(50), -- Verification status, or found/empty for searches
+    result JSONB,
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    hit_count INTEGER DEFAULT 0, -- Lookups answered from the cache
+    miss_count INTEGER DEFAULT 0, -- Lookups that had to call Hunter
+    last_hit_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE(cache_key)
+);
+
+-- Suppression list: addresses and domains that must never be emailed again
+CREATE TABLE IF NOT EXISTS suppressions (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    email VARCHAR(255), -- Suppressed address (lowercase), empty for domain-wide entries
+    domain VARCHAR(255), -- Domain of the address, or the suppressed domain ("*" wildcards allowed) when email is empty
+    reason VARCHAR(50) NOT NULL, -- unsubscribed, hard_bounce, spam_report, manual
+    source VARCHAR(50), -- unsubscribe_link, one_click, sendgrid, mailgun, cli
+    note TEXT,
+    expires_at TIMESTAMP WITH TIME ZONE, -- No longer applies after this; NULL for never
+    email_id UUID REFERENCES emails(id) ON DELETE SET NULL, -- Email the opt-out came from
+    company_id UUID REFERENCES companies(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    CHECK (email IS NOT NULL OR domain IS NOT NULL)
+);
+
+-- Email event history: every tracking event, never updated or deleted
+CREATE TABLE IF NOT EXISTS email_events (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    email_id UUID REFERENCES emails(id) ON DELETE CASCADE,
+    type VARCHAR(50) NOT NULL, -- sent, deferred, delivered, opened, clicked, replied, dropped, bounced, spam_reported, unsubscribed
+    occurred_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    provider VARCHAR(50), -- sendgrid, mailgun, smtp, tracking
+    provider_event_id VARCHAR(255), -- SendGrid's sg_event_id or Mailgun's event id, so a resent event is recorded once
+    url TEXT, -- Clicked link
+    user_agent TEXT,
+    reason TEXT, -- Provider's reason for a deferred, dropped or bounced email
+    payload JSONB, -- Event as received from the provider
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Replay keys of signed webhook requests being or already processed
+CREATE TABLE IF NOT EXISTS webhook_requests (
+    replay_key VARCHAR(255) PRIMARY KEY, -- sendgrid:<digest of the signed content> or mailgun:<token>
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL, -- Older requests are rejected by their timestamp
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Upgrade databases created by an earlier version of this script: the
+-- CREATE TABLE statements above leave existing tables as they are
+ALTER TABLE companies ADD COLUMN IF NOT EXISTS domain VARCHAR(255);
+ALTER TABLE companies ADD COLUMN IF NOT EXISTS contact_name VARCHAR(255);
+ALTER TABLE companies ADD COLUMN IF NOT EXISTS email_verification_status VARCHAR(50);
+ALTER TABLE companies ADD COLUMN IF NOT EXISTS email_verification_score INTEGER;
+ALTER TABLE companies ADD COLUMN IF NOT EXISTS email_disposable BOOLEAN;
+ALTER TABLE companies ADD COLUMN IF NOT EXISTS email_webmail BOOLEAN;
+ALTER TABLE companies ADD COLUMN IF NOT EXISTS email_accept_all BOOLEAN;
+ALTER TABLE companies ADD COLUMN IF NOT EXISTS email_verified_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE companies ADD COLUMN IF NOT EXISTS email_verification_source VARCHAR(50);
+ALTER TABLE companies ADD COLUMN IF NOT EXISTS email_verification_decision VARCHAR(20);
+ALTER TABLE companies ADD COLUMN IF NOT EXISTS email_verification_reason TEXT;
+ALTER TABLE companies ADD COLUMN IF NOT EXISTS unreachable_reason TEXT;
+ALTER TABLE companies ADD COLUMN IF NOT EXISTS attachments JSONB;
+
+ALTER TABLE emails ADD COLUMN IF NOT EXISTS contact_id UUID REFERENCES contacts(id) ON DELETE SET NULL;
+ALTER TABLE emails ADD COLUMN IF NOT EXISTS to_email VARCHAR(255);
+ALTER TABLE emails ADD COLUMN IF NOT EXISTS delivered_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE emails ADD COLUMN IF NOT EXISTS last_opened_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE emails ADD COLUMN IF NOT EXISTS open_count INTEGER DEFAULT 0;
+ALTER TABLE emails ADD COLUMN IF NOT EXISTS last_clicked_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE emails ADD COLUMN IF NOT EXISTS click_count INTEGER DEFAULT 0;
+ALTER TABLE emails ADD COLUMN IF NOT EXISTS failure_reason TEXT;
+ALTER TABLE emails ADD COLUMN IF NOT EXISTS attachments JSONB;
+ALTER TABLE emails ADD COLUMN IF NOT EXISTS reviewed_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE emails ADD COLUMN IF NOT EXISTS review_notes TEXT;
+ALTER TABLE emails ADD COLUMN IF NOT EXISTS bounced_at TIMESTAMP WITH TIME ZONE;
+
+-- Emails that bounced before bounced_at existed
+UPDATE emails SET bounced_at = (
+    SELECT MIN(occurred_at) FROM email_events
+    WHERE email_events.email_id = emails.id AND email_events.type = 'bounced'
+)
+WHERE bounced_at IS NULL
+  AND id IN (SELECT email_id FROM email_events WHERE type = 'bounced');
+
+ALTER TABLE email_events ADD COLUMN IF NOT EXISTS provider_event_id VARCHAR(255);
+
+ALTER TABLE email_templates ADD COLUMN IF NOT EXISTS html_template TEXT;
+
 -- Create indexes for better performance
 CREATE INDEX IF NOT EXISTS idx_companies_status ON companies(status);
 CREATE INDEX IF NOT EXISTS idx_companies_priority ON companies(priority);
+CREATE INDEX IF NOT EXISTS idx_companies_domain ON companies(domain);
+CREATE INDEX IF NOT EXISTS idx_contacts_company_id ON contacts(company_id);
 CREATE INDEX IF NOT EXISTS idx_emails_company_id ON emails(company_id);
 CREATE INDEX IF NOT EXISTS idx_emails_status ON emails(status);
+CREATE INDEX IF NOT EXISTS idx_emails_message_id ON emails(message_id);
+CREATE INDEX IF NOT EXISTS idx_email_events_email_id ON email_events(email_id, occurred_at);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_email_events_provider_event_id ON email_events(provider, provider_event_id);
 CREATE INDEX IF NOT EXISTS idx_email_schedule_date ON email_schedule(scheduled_date);
+CREATE INDEX IF NOT EXISTS idx_workflow_runs_date_status ON workflow_runs(run_date, status);
+CREATE INDEX IF NOT EXISTS idx_send_attempts_company_status ON send_attempts(company_id, status);
+CREATE INDEX IF NOT EXISTS idx_verification_cache_expires_at ON verification_cache(expires_at);
+CREATE INDEX IF NOT EXISTS idx_suppressions_email ON suppressions(email);
+CREATE INDEX IF NOT EXISTS idx_suppressions_domain ON suppressions(domain);
+CREATE INDEX IF NOT EXISTS idx_webhook_requests_expires_at ON webhook_requests(expires_at);
 
 -- Function to update updated_at timestamp
 CREATE OR REPLACE FUNCTION update_updated_at()
@@ -86,27 +277,106 @@ END;
 $$ LANGUAGE plpgsql;
 
 -- Triggers to automatically update updated_at
-CREATE TRIGGER update_companies_updated_at
+CREATE OR REPLACE TRIGGER update_companies_updated_at
 BEFORE UPDATE ON companies
 FOR EACH ROW
 EXECUTE FUNCTION update_updated_at();
 
-CREATE TRIGGER update_emails_updated_at
+CREATE OR REPLACE TRIGGER update_contacts_updated_at
+BEFORE UPDATE ON contacts
+FOR EACH ROW
+EXECUTE FUNCTION update_updated_at();
+
+CREATE OR REPLACE TRIGGER update_emails_updated_at
 BEFORE UPDATE ON emails
 FOR EACH ROW
 EXECUTE FUNCTION update_updated_at();
 
-CREATE TRIGGER update_email_templates_updated_at
+CREATE OR REPLACE TRIGGER update_email_templates_updated_at
 BEFORE UPDATE ON email_templates
 FOR EACH ROW
 EXECUTE FUNCTION update_updated_at();
 
-CREATE TRIGGER update_ai_prompts_updated_at
+CREATE OR REPLACE TRIGGER update_ai_prompts_updated_at
 BEFORE UPDATE ON ai_prompts
 FOR EACH ROW
 EXECUTE FUNCTION update_updated_at();
 
-CREATE TRIGGER update_email_schedule_updated_at
+CREATE OR REPLACE TRIGGER update_email_schedule_updated_at
 BEFORE UPDATE ON email_schedule
 FOR EACH ROW
-EXECUTE FUNCTION update_updated_at(); 
\ No newline at end of file
+EXECUTE FUNCTION update_updated_at(); 
+
+CREATE OR REPLACE TRIGGER update_workflow_runs_updated_at
+BEFORE UPDATE ON workflow_runs
+FOR EACH ROW
+EXECUTE FUNCTION update_updated_at();
+
+CREATE OR REPLACE TRIGGER update_send_attempts_updated_at
+BEFORE UPDATE ON send_attempts
+FOR EACH ROW
+EXECUTE FUNCTION update_updated_at();
+
+CREATE OR REPLACE TRIGGER update_verification_cache_updated_at
+BEFORE UPDATE ON verification_cache
+FOR EACH ROW
+EXECUTE FUNCTION update_updated_at();
+
+CREATE OR REPLACE TRIGGER update_suppressions_updated_at
+BEFORE UPDATE ON suppressions
+FOR EACH ROW
+EXECUTE FUNCTION update_updated_at();
+
+-- Function to update an email's summary as its events are added: the
+-- status only moves up the precedence below (STATUS_PRECEDENCE in
+-- backend/api/emailEvents.js), first and last times only move outwards,
+-- and opens and clicks are counted. It is one statement on the email's
+-- row, so events arriving at the same time cannot undo each other.
+CREATE OR REPLACE FUNCTION summarise_email_event()
+RETURNS TRIGGER AS $$
+DECLARE
+    precedence TEXT[] := ARRAY['sent', 'deferred', 'delivered', 'opened', 'clicked', 'replied', 'dropped', 'bounced', 'spam_reported', 'unsubscribed'];
+    event_rank INTEGER := COALESCE(array_position(precedence, NEW.type::TEXT), 0);
+BEGIN
+    UPDATE emails SET
+        -- Statuses from before sending (draft, queued, failed, ...) rank lowest
+        status = CASE
+            WHEN event_rank >= COALESCE(array_position(precedence, status::TEXT), 0) THEN NEW.type
+            ELSE status
+        END,
+        -- The reason explains the status, so it is only kept when it is set
+        failure_reason = CASE
+            WHEN NEW.type IN ('deferred', 'dropped', 'bounced')
+                AND NEW.reason IS NOT NULL
+                AND event_rank >= COALESCE(array_position(precedence, status::TEXT), 0)
+            THEN NEW.reason
+            ELSE failure_reason
+        END,
+        sent_at = CASE WHEN NEW.type = 'sent' THEN LEAST(sent_at, NEW.occurred_at) ELSE sent_at END,
+        delivered_at = CASE WHEN NEW.type = 'delivered' THEN LEAST(delivered_at, NEW.occurred_at) ELSE delivered_at END,
+        -- A click means the email was opened, even if the open was not seen
+        opened_at = CASE
+            WHEN NEW.type = 'opened' THEN LEAST(opened_at, NEW.occurred_at)
+            WHEN NEW.type = 'clicked' THEN COALESCE(opened_at, NEW.occurred_at)
+            ELSE opened_at
+        END,
+        last_opened_at = CASE WHEN NEW.type = 'opened' THEN GREATEST(last_opened_at, NEW.occurred_at) ELSE last_opened_at END,
+        open_count = CASE WHEN NEW.type = 'opened' THEN COALESCE(open_count, 0) + 1 ELSE open_count END,
+        clicked_at = CASE WHEN NEW.type = 'clicked' THEN LEAST(clicked_at, NEW.occurred_at) ELSE clicked_at END,
+        last_clicked_at = CASE WHEN NEW.type = 'clicked' THEN GREATEST(last_clicked_at, NEW.occurred_at) ELSE last_clicked_at END,
+        click_count = CASE WHEN NEW.type = 'clicked' THEN COALESCE(click_count, 0) + 1 ELSE click_count END,
+        replied_at = CASE WHEN NEW.type = 'replied' THEN LEAST(replied_at, NEW.occurred_at) ELSE replied_at END,
+        bounced_at = CASE WHEN NEW.type = 'bounced' THEN LEAST(bounced_at, NEW.occurred_at) ELSE bounced_at END
+    WHERE id = NEW.email_id;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Replaced by summarise_email_events
+DROP TRIGGER IF EXISTS count_email_events_engagement ON email_events;
+DROP FUNCTION IF EXISTS count_email_engagement();
+
+CREATE OR REPLACE TRIGGER summarise_email_events
+AFTER INSERT ON email_events
+FOR EACH ROW
+EXECUTE FUNCTION summarise_email_event();
@@ -0,0 +1,44 @@
+/**
+ * Domain Utilities - Helpers to turn websites and emails into domains
+ */
+
+/**
+ * Normalise a website URL (or bare domain) into a lowercase domain
+ * @param {String} website - Website URL, e.g. "https://www.Example.com/jobs"
+ * @returns {String|null} - Domain, e.g. "example.com", or null if invalid
+ */
+export function normalizeDomain(website) {
+  if (!website || typeof website !== "string") {
+    return null;
+  }
+
+  const domain = website
+    .trim()
+    .toLowerCase()
+    .replace(/^[a-z][a-z0-9+.-]*:\/\//, "") // Protocol
+    .replace(/^[^@/]*@/, "") // Credentials
+    .replace(/[/?#].*$/, "") // Path, query and fragment
+    .replace(/:\d+$/, "") // Port
+    .replace(/^www\d*\./, "")
+    .replace(/\.$/, "");
+
+  // A valid domain has at least one dot and only hostname characters
+  if (!/^[a-z0-9-]+(\.[a-z0-9-]+)+$/.test(domain)) {
+    return null;
+  }
+
+  return domain;
+}
+
+/**
+ * Get the domain part of an email address
+ * @param {String} email - Email address
+ * @returns {String|null} - Lowercase domain, or null if invalid
+ */
+export function getEmailDomain(email) {
+  if (!email || typeof email !== "string" || !email.includes("@")) {
+    return null;
+  }
+
+  return email.trim().toLowerCase().split("@").pop() || null;
+}
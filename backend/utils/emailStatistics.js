@@ -0,0 +1,37 @@
+/**
+ * Email Statistics - Counts and rates over a set of email records
+ */
+
+/**
+ * Count emails and engagement rates
+ *
+ * An email counts as opened, clicked, replied or bounced once it has
+ * reached that stage, whatever its status is now: a clicked email was
+ * also opened, and an email reported as spam after being opened still
+ * counts as opened.
+ * @param {Array} emails - Emails with sent_at, opened_at, clicked_at, replied_at and bounced_at
+ * @returns {Object} - Counts, and rates in percent
+ */
+export function countEmailStatistics(emails) {
+  const count = (column) => emails.filter((email) => email[column]).length;
+  const rate = (part, whole) => (whole > 0 ? (part / whole) * 100 : 0);
+
+  const sent = count("sent_at");
+  const opened = count("opened_at");
+  const clicked = count("clicked_at");
+  const replied = count("replied_at");
+  const bounced = count("bounced_at");
+
+  return {
+    total: emails.length,
+    sent,
+    opened,
+    clicked,
+    replied,
+    bounced,
+    openRate: rate(opened, sent),
+    clickRate: rate(clicked, opened),
+    replyRate: rate(replied, sent),
+    bounceRate: rate(bounced, sent),
+  };
+}
@@ -0,0 +1,322 @@
+/**
+ * HTML Utilities - Escaping, safe conversion of generated text to HTML and
+ * of HTML back to plain text
+ */
+
+// Error code for generated content with markup that may not be sent
+export const UNSAFE_CONTENT = "UNSAFE_CONTENT";
+
+// Tags the AI may use in a body, as the Markdown they stand for
+const ALLOWED_TAGS = {
+  b: "**",
+  strong: "**",
+  i: "*",
+  em: "*",
+  br: "\n",
+};
+
+// Link schemes that may appear in an email
+const SAFE_URL_PATTERN = /^(https?:\/\/|mailto:)/i;
+
+// Any opening, closing or self-closing tag
+const TAG_PATTERN = /<\/?([a-zA-Z][\w-]*)\b([^<>]*)>/g;
+
+// Named entities decoded in plain text; numeric ones are always decoded
+const NAMED_ENTITIES = {
+  amp: "&",
+  lt: "<",
+  gt: ">",
+  quot: '"',
+  apos: "'",
+  nbsp: " ",
+  ndash: "\u2013",
+  mdash: "\u2014",
+  hellip: "\u2026",
+  lsquo: "\u2018",
+  rsquo: "\u2019",
+  ldquo: "\u201c",
+  rdquo: "\u201d",
+  bull: "\u2022",
+  middot: "\u00b7",
+  copy: "\u00a9",
+  reg: "\u00ae",
+  trade: "\u2122",
+  euro: "\u20ac",
+  aacute: "\u00e1",
+  agrave: "\u00e0",
+  auml: "\u00e4",
+  ccedil: "\u00e7",
+  eacute: "\u00e9",
+  egrave: "\u00e8",
+  iacute: "\u00ed",
+  ntilde: "\u00f1",
+  oacute: "\u00f3",
+  ouml: "\u00f6",
+  szlig: "\u00df",
+  uacute: "\u00fa",
+  uuml: "\u00fc",
+};
+
+// Elements that start a new paragraph in plain text
+const PARAGRAPH_TAGS = "p|div|h[1-6]|blockquote|ul|ol|table|hr|pre|section";
+
+// Line width of the plain text version
+const TEXT_LINE_WIDTH = 78;
+
+// List items: "- item", "* item", "1. item"
+const UNORDERED_ITEM_PATTERN = /^\s*[-*+]\s+(.*)$/;
+const ORDERED_ITEM_PATTERN = /^\s*\d+[.)]\s+(.*)$/;
+
+/**
+ * Escape text for use in HTML content and attribute values
+ * @param {*} value - Value to escape
+ * @returns {String} - Escaped text
+ */
+export function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+/**
+ * Check whether a URL may be used as a link in an email
+ * @param {String} url - URL
+ * @returns {Boolean} - True for http(s) and mailto URLs
+ */
+export function isSafeUrl(url) {
+  return SAFE_URL_PATTERN.test(String(url || "").trim());
+}
+
+/**
+ * Convert a generated email body to sanitised HTML
+ *
+ * The body may use a small Markdown subset: paragraphs separated by blank
+ * lines, "-" or "1." lists, **bold**, *italic* and [text](https://...)
+ * links. <b>, <strong>, <i>, <em> and <br> without attributes are accepted
+ * as their Markdown equivalents; every other tag, and links other than
+ * http(s) and mailto, are rejected. Everything else is escaped.
+ * @param {String} text - Email body
+ * @returns {String} - HTML
+ */
+export function markdownToHtml(text) {
+  const blocks = allowedTagsToMarkdown(String(text || ""))
+    .replace(/\r\n?/g, "\n")
+    .split(/\n\s*\n/)
+    .map((block) => block.replace(/^\n+|\n+$/g, ""))
+    .filter((block) => block.trim());
+
+  return blocks.map(renderBlock).join("\n");
+}
+
+/**
+ * Replace the allowed tags with Markdown, rejecting any other tag
+ * @param {String} text - Email body
+ * @returns {String} - Email body without tags
+ */
+function allowedTagsToMarkdown(text) {
+  return text.replace(TAG_PATTERN, (tag, name, attributes) => {
+    const markdown = ALLOWED_TAGS[name.toLowerCase()];
+
+    if (markdown === undefined || attributes.replace("/", "").trim()) {
+      throw unsafeContentError(`the tag ${tag} is not allowed`);
+    }
+
+    return markdown;
+  });
+}
+
+/**
+ * Render a paragraph or list
+ * @param {String} block - Lines of the block
+ * @returns {String} - HTML
+ */
+function renderBlock(block) {
+  const lines = block.split("\n");
+  const listType = ["ul", "ol"].find((type) =>
+    lines.every((line) =>
+      (type === "ul" ? UNORDERED_ITEM_PATTERN : ORDERED_ITEM_PATTERN).test(line)
+    )
+  );
+
+  if (listType) {
+    const pattern =
+      listType === "ul" ? UNORDERED_ITEM_PATTERN : ORDERED_ITEM_PATTERN;
+    const items = lines.map(
+      (line) => `<li>${renderInline(line.match(pattern)[1])}</li>`
+    );
+    return `<${listType}>${items.join("")}</${listType}>`;
+  }
+
+  return `<p>${lines.map((line) => renderInline(line.trim())).join("<br>")}</p>`;
+}
+
+/**
+ * Render the inline Markdown of a line
+ * @param {String} text - Line
+ * @returns {String} - HTML
+ */
+function renderInline(text) {
+  const links = [];
+
+  // Links first, so their URLs are not touched by the emphasis rules
+  const withoutLinks = text.replace(
+    /\[([^\]]+)\]\(\s*([^)\s]+)\s*\)/g,
+    (match, label, url) => {
+      if (!isSafeUrl(url)) {
+        throw unsafeContentError(`the link ${url} is not allowed`);
+      }
+
+      links.push({ label, url });
+      return `\u0000${links.length - 1}\u0000`;
+    }
+  );
+
+  return emphasis(escapeHtml(withoutLinks)).replace(
+    /\u0000(\d+)\u0000/g,
+    (match, index) => {
+      const { label, url } = links[index];
+      return `<a href="${escapeHtml(url)}">${emphasis(escapeHtml(label))}</a>`;
+    }
+  );
+}
+
+/**
+ * Render **bold** and *italic* text
+ * @param {String} html - Escaped text
+ * @returns {String} - HTML
+ */
+function emphasis(html) {
+  return html
+    .replace(/\*\*(?=\S)([\s\S]*?\S)\*\*/g, "<strong>$1</strong>")
+    .replace(/__(?=\S)([\s\S]*?\S)__/g, "<strong>$1</strong>")
+    .replace(/\*(?=\S)([^*]*?\S)\*/g, "<em>$1</em>")
+    .replace(/(^|\W)_(?=\S)([^_]*?\S)_(?=\W|$)/g, "$1<em>$2</em>");
+}
+
+/**
+ * Convert an HTML email to its plain text version
+ *
+ * The head, styles and scripts are dropped, entities decoded, paragraphs
+ * separated by blank lines, list items bulleted ("- " or "1. "), links
+ * written as "text (url)" and lines wrapped.
+ * @param {String} html - HTML
+ * @param {Object} options - Conversion options
+ * @param {Number} options.width - Line width (default 78), 0 to leave lines unwrapped
+ * @returns {String} - Plain text
+ */
+export function htmlToText(html, options = {}) {
+  const width = options.width ?? TEXT_LINE_WIDTH;
+
+  const text = String(html || "")
+    .replace(/<!--[\s\S]*?-->/g, "")
+    .replace(/<(head|style|script|title)\b[^>]*>[\s\S]*?<\/\1\s*>/gi, "")
+    .replace(/<!DOCTYPE[^>]*>/gi, "")
+    // Whitespace in HTML source is not significant
+    .replace(/\s+/g, " ")
+    .replace(/<a\b([^>]*)>([\s\S]*?)<\/a\s*>/gi, (match, attributes, label) =>
+      linkToText(attributes, label)
+    )
+    .replace(/<ol\b[^>]*>([\s\S]*?)<\/ol\s*>/gi, (match, items) => {
+      let number = 0;
+      return `<ol>${items.replace(/<li\b[^>]*>/gi, () => `\n${++number}. `)}</ol>`;
+    })
+    .replace(/<li\b[^>]*>/gi, "\n- ")
+    .replace(/<br\s*\/?>/gi, "\n")
+    .replace(new RegExp(`<\\/?(${PARAGRAPH_TAGS})\\b[^>]*>`, "gi"), "\n\n")
+    .replace(/<[^>]+>/g, "");
+
+  return decodeEntities(text)
+    .split("\n")
+    .map((line) => line.replace(/[ \t\u00a0]+/g, " ").trim())
+    .join("\n")
+    .replace(/\n{3,}/g, "\n\n")
+    .trim()
+    .split("\n")
+    .map((line) => (width > 0 ? wrapLine(line, width) : line))
+    .join("\n");
+}
+
+/**
+ * Write a link as "text (url)", or just the text when it is the URL
+ * @param {String} attributes - Attributes of the <a> tag
+ * @param {String} label - Link content
+ * @returns {String} - Link content with the URL appended
+ */
+function linkToText(attributes, label) {
+  const href = attributes.match(
+    /\bhref\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+))/i
+  );
+  const url = href ? decodeEntities(href[1] ?? href[2] ?? href[3]).trim() : "";
+  const text = decodeEntities(label.replace(/<[^>]+>/g, "")).trim();
+
+  if (!url || url.startsWith("#") || [text, `mailto:${text}`].includes(url)) {
+    return label;
+  }
+
+  return text ? `${label} (${escapeHtml(url)})` : escapeHtml(url);
+}
+
+/**
+ * Decode HTML entities
+ * @param {String} text - Text with entities
+ * @returns {String} - Decoded text
+ */
+export function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+\d*);/gi, (entity, code) => {
+    if (code[0] === "#") {
+      const point =
+        code[1].toLowerCase() === "x"
+          ? parseInt(code.slice(2), 16)
+          : parseInt(code.slice(1), 10);
+      return point > 0 && point <= 0x10ffff
+        ? String.fromCodePoint(point)
+        : entity;
+    }
+
+    return NAMED_ENTITIES[code] ?? entity;
+  });
+}
+
+/**
+ * Wrap a line at spaces, indenting list item continuations
+ * @param {String} line - Line
+ * @param {Number} width - Maximum line width
+ * @returns {String} - Wrapped line
+ */
+function wrapLine(line, width) {
+  if (line.length <= width) {
+    return line;
+  }
+
+  const bullet = line.match(/^(- |\d+\. )/);
+  const indent = bullet ? " ".repeat(bullet[1].length) : "";
+  const lines = [];
+  let current = "";
+
+  // Words longer than the line, such as URLs, are never broken
+  for (const word of line.split(" ")) {
+    if (current && current.length + 1 + word.length > width) {
+      lines.push(current);
+      current = indent + word;
+    } else {
+      current = current ? `${current} ${word}` : word;
+    }
+  }
+
+  lines.push(current);
+  return lines.join("\n");
+}
+
+/**
+ * Build an error for content that may not be sent
+ * @param {String} message - What is wrong
+ * @returns {Error} - Error with code UNSAFE_CONTENT
+ */
+function unsafeContentError(message) {
+  const error = new Error(`Email body rejected: ${message}`);
+  error.code = UNSAFE_CONTENT;
+  return error;
+}
@@ -0,0 +1,87 @@
+import crypto from "crypto";
+import dotenv from "dotenv";
+import path from "path";
+import { fileURLToPath } from "url";
+
+// Get the directory name
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// Load environment variables from .env file in the config directory
+dotenv.config({ path: path.join(__dirname, "../../config/.env") });
+
+/**
+ * Signing Utilities - HMAC-signed tokens for the links put in emails
+ *
+ * A token is "<payload>.<signature>", both base64url, where the payload is
+ * JSON. The signature covers a purpose ("unsubscribe", ...) so a token made
+ * for one kind of link is never accepted by another.
+ */
+
+// Secret the links are signed with
+const LINK_SIGNING_SECRET = process.env.LINK_SIGNING_SECRET;
+
+/**
+ * Check whether links can be signed
+ * @returns {Boolean} - True if LINK_SIGNING_SECRET is set
+ */
+export function isSigningConfigured() {
+  return Boolean(LINK_SIGNING_SECRET);
+}
+
+/**
+ * Create a signed token
+ * @param {Object} data - Data to carry in the token
+ * @param {String} purpose - What the token is for, e.g. "unsubscribe"
+ * @returns {String} - Token
+ */
+export function createSignedToken(data, purpose) {
+  const payload = Buffer.from(JSON.stringify(data)).toString("base64url");
+  return `${payload}.${sign(payload, purpose)}`;
+}
+
+/**
+ * Read a signed token
+ * @param {String} token - Token from createSignedToken
+ * @param {String} purpose - What the token must have been created for
+ * @returns {Object|null} - Data, or null if the token is malformed or the signature is wrong
+ */
+export function readSignedToken(token, purpose) {
+  const [payload, signature, ...rest] = String(token || "").split(".");
+
+  if (!payload || !signature || rest.length > 0) {
+    return null;
+  }
+
+  const expected = Buffer.from(sign(payload, purpose));
+  const actual = Buffer.from(signature);
+
+  if (
+    expected.length !== actual.length ||
+    !crypto.timingSafeEqual(expected, actual)
+  ) {
+    return null;
+  }
+
+  try {
+    return JSON.parse(Buffer.from(payload, "base64url").toString("utf8"));
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Sign a payload for a purpose
+ * @param {String} payload - Encoded payload
+ * @param {String} purpose - What the token is for
+ * @returns {String} - base64url HMAC-SHA256 signature
+ */
+function sign(payload, purpose) {
+  if (!isSigningConfigured()) {
+    throw new Error("LINK_SIGNING_SECRET is not set in the .env file");
+  }
+
+  return crypto
+    .createHmac("sha256", LINK_SIGNING_SECRET)
+    .update(`${purpose}:${payload}`)
+    .digest("base64url");
+}
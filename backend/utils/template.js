@@ -0,0 +1,289 @@
+import { escapeHtml } from "./html.js";
+
+/**
+ * Template Utilities - A small Mustache-like template renderer
+ *
+ * Supported tags:
+ *
+ *   {{company.name}}                     Dotted path into the context
+ *   {{company.contact_name || 'there'}}  First truthy value, or a quoted default
+ *   {{#if user.phone}}...{{else}}...{{/if}}
+ *   {{#each user.links}}{{this.url}} ({{@index}}){{/each}}
+ *   {{> body}}                           Named slot, filled with options.slots
+ *
+ * Inside {{#each}}, {{this}} is the current item, {{@index}}, {{@first}} and
+ * {{@last}} describe its position, and other paths are looked up on the item
+ * before the outer context. Values are HTML-escaped; slots are inserted as
+ * they are, so they must already be safe HTML.
+ */
+
+// Error code for templates referring to values that do not exist
+export const TEMPLATE_UNRESOLVED = "TEMPLATE_UNRESOLVED";
+
+// Any {{...}} tag, which may span several lines
+const TAG_PATTERN = /\{\{([\s\S]+?)\}\}/g;
+
+// Quoted string literal used as a default
+const LITERAL_PATTERN = /^(['"])([\s\S]*)\1$/;
+
+/**
+ * Render a template
+ * @param {String} source - Template source
+ * @param {Object} context - Values the template refers to
+ * @param {Object} options - Rendering options
+ * @param {Object} options.slots - Content for the {{> name}} slots
+ * @param {String} options.name - Template name used in error messages
+ * @param {Boolean} options.strict - Set to false to render unresolved values as empty strings
+ * @param {Function|Boolean} options.escape - Escapes values (default: HTML escaping), false to insert them as they are
+ * @returns {String} - Rendered template
+ */
+export function renderTemplate(source, context = {}, options = {}) {
+  const name = options.name || "template";
+  const state = {
+    slots: options.slots || {},
+    strict: options.strict !== false,
+    escape: options.escape === false ? String : options.escape || escapeHtml,
+    unresolved: [],
+  };
+
+  const output = renderNodes(parseTemplate(source, name), [context], state);
+
+  if (state.unresolved.length > 0) {
+    const error = new Error(
+      `Template "${name}" has no value for ${[...new Set(state.unresolved)]
+        .map((tag) => `{{${tag}}}`)
+        .join(", ")}`
+    );
+    error.code = TEMPLATE_UNRESOLVED;
+    error.unresolved = [...new Set(state.unresolved)];
+    throw error;
+  }
+
+  return output;
+}
+
+/**
+ * Parse a template into a tree of text, value, slot and block nodes
+ * @param {String} source - Template source
+ * @param {String} name - Template name used in error messages
+ * @returns {Array<Object>} - Template nodes
+ */
+export function parseTemplate(source, name = "template") {
+  const root = { children: [] };
+  const stack = [root];
+  let lastIndex = 0;
+
+  const current = () => {
+    const block = stack[stack.length - 1];
+    return block.inverse || block.children;
+  };
+
+  for (const match of String(source).matchAll(TAG_PATTERN)) {
+    if (match.index > lastIndex) {
+      current().push({
+        type: "text",
+        text: source.slice(lastIndex, match.index),
+      });
+    }
+    lastIndex = match.index + match[0].length;
+
+    const tag = match[1].trim();
+    const line = source.slice(0, match.index).split("\n").length;
+
+    if (tag.startsWith("#")) {
+      const [keyword, ...rest] = tag.slice(1).split(/\s+/);
+
+      if (!["if", "unless", "each"].includes(keyword) || rest.length === 0) {
+        throw templateSyntaxError(name, line, `unknown block {{${tag}}}`);
+      }
+
+      const block = {
+        type: keyword,
+        expression: rest.join(" "),
+        children: [],
+        line,
+      };
+      current().push(block);
+      stack.push(block);
+    } else if (tag === "else") {
+      const block = stack[stack.length - 1];
+
+      if (stack.length === 1 || block.inverse) {
+        throw templateSyntaxError(name, line, "unexpected {{else}}");
+      }
+
+      block.inverse = [];
+    } else if (tag.startsWith("/")) {
+      const keyword = tag.slice(1).trim();
+      const block = stack.pop();
+
+      if (stack.length === 0 || block.type !== keyword) {
+        throw templateSyntaxError(name, line, `unexpected {{${tag}}}`);
+      }
+    } else if (tag.startsWith(">")) {
+      current().push({ type: "slot", name: tag.slice(1).trim() });
+    } else {
+      current().push({ type: "value", expression: tag });
+    }
+  }
+
+  if (lastIndex < source.length) {
+    current().push({ type: "text", text: source.slice(lastIndex) });
+  }
+
+  if (stack.length > 1) {
+    const block = stack[stack.length - 1];
+    throw templateSyntaxError(
+      name,
+      block.line,
+      `{{#${block.type} ${block.expression}}} is never closed`
+    );
+  }
+
+  return root.children;
+}
+
+/**
+ * Render parsed nodes
+ * @param {Array<Object>} nodes - Template nodes
+ * @param {Array<Object>} scopes - Context scopes, innermost last
+ * @param {Object} state - Slots, escaping, strictness and unresolved tags
+ * @returns {String} - Rendered text
+ */
+function renderNodes(nodes, scopes, state) {
+  return nodes
+    .map((node) => {
+      switch (node.type) {
+        case "text":
+          return node.text;
+        case "slot":
+          if (state.slots[node.name] === undefined) {
+            if (state.strict) {
+              state.unresolved.push(`> ${node.name}`);
+            }
+            return "";
+          }
+          return String(state.slots[node.name]);
+        case "value": {
+          const value = evaluate(node.expression, scopes);
+
+          if (value === undefined || value === null) {
+            if (state.strict) {
+              state.unresolved.push(node.expression);
+            }
+            return "";
+          }
+          return state.escape(value);
+        }
+        case "if":
+        case "unless": {
+          const truthy = isTruthy(evaluate(node.expression, scopes));
+          const branch =
+            truthy === (node.type === "if") ? node.children : node.inverse;
+          return branch ? renderNodes(branch, scopes, state) : "";
+        }
+        case "each": {
+          const items = evaluate(node.expression, scopes);
+
+          if (!Array.isArray(items) || items.length === 0) {
+            if (items === undefined && state.strict) {
+              state.unresolved.push(`#each ${node.expression}`);
+            }
+            return node.inverse ? renderNodes(node.inverse, scopes, state) : "";
+          }
+
+          return items
+            .map((item, index) =>
+              renderNodes(
+                node.children,
+                [
+                  ...scopes,
+                  {
+                    this: item,
+                    "@index": index,
+                    "@first": index === 0,
+                    "@last": index === items.length - 1,
+                    ...(item && typeof item === "object" ? item : {}),
+                  },
+                ],
+                state
+              )
+            )
+            .join("");
+        }
+        default:
+          return "";
+      }
+    })
+    .join("");
+}
+
+/**
+ * Evaluate an expression: paths and quoted defaults separated by ||
+ * @param {String} expression - Expression, e.g. "user.title || 'Engineer'"
+ * @param {Array<Object>} scopes - Context scopes, innermost last
+ * @returns {*} - First truthy value, else the last value
+ */
+function evaluate(expression, scopes) {
+  const alternatives = expression.split("||").map((part) => part.trim());
+  let value;
+
+  for (const alternative of alternatives) {
+    const literal = alternative.match(LITERAL_PATTERN);
+
+    // Defaults may be wrapped over several lines in the template
+    value = literal
+      ? literal[2].replace(/\s+/g, " ")
+      : lookup(alternative, scopes);
+
+    if (isTruthy(value)) {
+      return value;
+    }
+  }
+
+  return value;
+}
+
+/**
+ * Look up a dotted path, innermost scope first
+ * @param {String} path - Dotted path, e.g. "company.name"
+ * @param {Array<Object>} scopes - Context scopes, innermost last
+ * @returns {*} - Value, or undefined if any part is missing
+ */
+function lookup(path, scopes) {
+  const [first, ...rest] = path.split(".");
+  const scope = [...scopes]
+    .reverse()
+    .find((candidate) => candidate != null && first in Object(candidate));
+
+  if (!scope) {
+    return undefined;
+  }
+
+  return rest.reduce(
+    (value, key) => (value == null ? undefined : value[key]),
+    scope[first]
+  );
+}
+
+/**
+ * Check whether a value counts as true in conditions and defaults
+ * @param {*} value - Value
+ * @returns {Boolean} - False for empty strings, empty arrays, null, ...
+ */
+function isTruthy(value) {
+  return Array.isArray(value) ? value.length > 0 : Boolean(value);
+}
+
+/**
+ * Build an error for an invalid template
+ * @param {String} name - Template name
+ * @param {Number} line - Line number of the tag
+ * @param {String} message - What is wrong
+ * @returns {Error} - Error with code TEMPLATE_SYNTAX
+ */
+function templateSyntaxError(name, line, message) {
+  const error = new Error(`Template "${name}", line ${line}: ${message}`);
+  error.code = "TEMPLATE_SYNTAX";
+  return error;
+}
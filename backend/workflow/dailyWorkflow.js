@@ -0,0 +1,721 @@
+import {
+  getCompaniesForDailyEmails,
+  getCompanyById,
+  markCompanyAsUnreachable,
+  saveCompanyContact,
+} from "../api/companies.js";
+import { OPEN_DRAFT_STATUSES, createEmail, getEmails } from "../api/emails.js";
+import {
+  discoverContacts,
+  parsePersonName,
+  verifyEmail,
+} from "../api/emailVerification.js";
+import {
+  getContactsByCompanyId,
+  getVerificationFields,
+  rankContacts,
+  saveContacts,
+  updateContact,
+} from "../api/contacts.js";
+import { generateEmailContent } from "../api/aiContentGenerator.js";
+import { buildJobApplicationEmail } from "../api/emailSender.js";
+import { getEmailTemplate } from "../api/emailTemplates.js";
+import { getRemainingEmailQuota } from "../api/emailSchedule.js";
+import { finishWorkflowRun, startWorkflowRun } from "../api/workflowRuns.js";
+import {
+  HUNTER_QUOTA_EXCEEDED,
+  getHunterUsage,
+  resetHunterUsage,
+} from "../api/hunterClient.js";
+import {
+  evaluateVerification,
+  getVerificationPolicy,
+} from "../api/verificationPolicy.js";
+import {
+  createSuppressionMatcher,
+  getSuppressions,
+} from "../api/suppressions.js";
+import { normalizeDomain } from "../utils/domain.js";
+import {
+  describeAttachments,
+  getAttachmentsForCompany,
+} from "../api/attachments.js";
+import { getUserData } from "./userData.js";
+import {
+  getDefaultDryRunDir,
+  writeDryRunEmail,
+  writeDryRunReport,
+} from "./dryRun.js";
+import {
+  claimCompanyForSending,
+  deliverEmail,
+  reconcileSendAttempts,
+} from "./sendPipeline.js";
+
+/**
+ * Daily Workflow - Selects today's companies, generates and sends the emails
+ */
+
+// Template guidance used when generating email content
+export const DEFAULT_EMAIL_TEMPLATE = {
+  body_template:
+    "Create a professional and personalized email introducing myself and expressing interest in potential job opportunities at the company.",
+};
+
+// Contacts that still need a verification lookup
+const UNVERIFIED_STATUSES = [undefined, null, "unverified", "unknown"];
+
+/**
+ * Run the daily email workflow
+ *
+ * Real runs are journaled in workflow_runs/send_attempts: re-running after a
+ * crash resumes the same run and never sends to a company twice.
+ * @param {Object} options - Workflow options
+ * @param {Boolean} options.dryRun - Render emails to disk instead of sending them
+ * @param {String} options.outputDir - Output directory for a dry run
+ * @param {Boolean} options.verify - Call the verification API during a dry run
+ * @param {Boolean} options.draft - Store the emails as drafts for approval instead of sending them
+ * @returns {Promise<Object>} - Workflow summary ({ dryRun, results, ... })
+ */
+export async function runDailyWorkflow(options = {}) {
+  const dryRun = Boolean(options.dryRun);
+  const draft = Boolean(options.draft);
+  const journaled = !dryRun && !draft;
+
+  if (dryRun && draft) {
+    throw new Error("A run cannot be both a dry run and a draft run");
+  }
+
+  const outputDir = dryRun
+    ? options.outputDir || getDefaultDryRunDir()
+    : undefined;
+  const results = [];
+  let run;
+  let reconciliation;
+
+  // Count the Hunter credits spent by this run only
+  resetHunterUsage();
+
+  try {
+    console.log(
+      `Starting AI Email Workflow${
+        dryRun ? " (dry run)" : draft ? " (drafts)" : ""
+      }...`
+    );
+
+    if (journaled) {
+      // Start (or resume) today's run and finish what a crashed run left behind
+      const { run: startedRun, resumed } = await startWorkflowRun(new Date());
+      run = startedRun;
+      console.log(
+        resumed
+          ? `Resuming workflow run ${run.id}...`
+          : `Started workflow run ${run.id}.`
+      );
+
+      reconciliation = await reconcileSendAttempts();
+
+      if (reconciliation.completed > 0 || reconciliation.uncertain > 0) {
+        console.log(
+          `Reconciled send attempts: ${reconciliation.completed} completed, ${reconciliation.uncertain} uncertain.`
+        );
+      }
+    }
+
+    // Check the remaining email quota for today (a dry run never creates a schedule)
+    const remainingQuota = await getRemainingEmailQuota({
+      createIfMissing: !dryRun,
+    });
+    console.log(`Remaining email quota for today: ${remainingQuota}`);
+
+    if (remainingQuota <= 0) {
+      console.log("Email quota reached for today. Exiting...");
+      await finishRun(run, results);
+      return { dryRun, outputDir, remainingQuota, results };
+    }
+
+    // Get companies to contact today
+    // Companies whose last email may have gone out wait until it is resolved
+    const isSuppressed = createSuppressionMatcher(await getSuppressions());
+    const companies = await getCompaniesForDailyEmails(remainingQuota, {
+      excludeIds: reconciliation ? reconciliation.unresolvedCompanyIds : [],
+      isSuppressed,
+    });
+    console.log(`Found ${companies.length} companies to contact today.`);
+
+    if (companies.length === 0) {
+      console.log("No companies to contact today. Exiting...");
+      await finishRun(run, results);
+      return { dryRun, outputDir, remainingQuota, results };
+    }
+
+    const userData = getUserData();
+    const template = await getEmailTemplate();
+
+    // Process each company
+    for (const company of companies) {
+      try {
+        console.log(`Processing company: ${company.name}`);
+
+        // Choose the contact to email, finding and verifying one if needed
+        const { contact, skipReason } = await resolveContact(company, {
+          verify: !dryRun || options.verify,
+          save: !dryRun,
+          isSuppressed,
+        });
+
+        if (skipReason) {
+          results.push({
+            companyId: company.id,
+            company: company.name,
+            email: company.contact_email || null,
+            status: "skipped",
+            reason: skipReason,
+          });
+          continue;
+        }
+
+        company.contact_email = contact.email;
+        company.contact_id = contact.id;
+
+        // Leave companies with a draft under review to the approval flow
+        const openDrafts = await getEmails({
+          companyId: company.id,
+          status: OPEN_DRAFT_STATUSES,
+        });
+
+        if (openDrafts.length > 0) {
+          console.log(`${company.name} already has a draft under review.`);
+          results.push({
+            companyId: company.id,
+            company: company.name,
+            email: company.contact_email,
+            status: "skipped",
+            reason: "Draft under review",
+            emailId: openDrafts[0].id,
+          });
+          continue;
+        }
+
+        // Journal the attempt before doing any work for this company
+        let attempt;
+
+        if (journaled) {
+          const claim = await claimCompanyForSending(run, company);
+
+          if (claim.result) {
+            console.log(
+              `${company.name}: ${claim.result.reason || "already sent"}.`
+            );
+            results.push({
+              companyId: company.id,
+              company: company.name,
+              email: company.contact_email,
+              ...claim.result,
+            });
+            continue;
+          }
+
+          attempt = claim.attempt;
+        }
+
+        // Generate email content
+        console.log(`Generating email content for ${company.name}...`);
+        const emailContent = await generateEmailContent(
+          company,
+          DEFAULT_EMAIL_TEMPLATE,
+          userData
+        );
+
+        if (dryRun) {
+          // Write the would-be email instead of sending it
+          const message = buildJobApplicationEmail(
+            company,
+            emailContent,
+            userData,
+            { template }
+          );
+          message.template = template.name;
+          message.attachments = describeAttachments(
+            await getAttachmentsForCompany(company, template.name)
+          );
+          const files = await writeDryRunEmail(
+            outputDir,
+            results.length,
+            company,
+            message
+          );
+
+          console.log(`Rendered email for ${company.name} to ${files.html}`);
+          results.push({
+            companyId: company.id,
+            company: company.name,
+            email: message.to,
+            subject: message.subject,
+            status: "rendered",
+            files,
+          });
+          continue;
+        }
+
+        if (draft) {
+          // Store the email for review instead of sending it
+          const email = await createEmail({
+            company_id: company.id,
+            contact_id: company.contact_id || null,
+            to_email: company.contact_email,
+            subject: emailContent.subject,
+            body: emailContent.body,
+            status: "pending_approval",
+            ai_generated: true,
+            template_used: template.name,
+            // What would be attached today; refreshed when the draft is sent
+            attachments: describeAttachments(
+              await getAttachmentsForCompany(company, template.name)
+            ),
+          });
+
+          console.log(`Stored draft ${email.id} for ${company.name}.`);
+          results.push({
+            companyId: company.id,
+            company: company.name,
+            email: company.contact_email,
+            subject: emailContent.subject,
+            status: "drafted",
+            emailId: email.id,
+          });
+          continue;
+        }
+
+        // Send the email and record it
+        console.log(
+          `Sending email to ${company.name} at ${company.contact_email}...`
+        );
+        const sendResult = await deliverEmail(
+          attempt,
+          company,
+          emailContent,
+          userData,
+          { template }
+        );
+
+        console.log(`Successfully processed company: ${company.name}`);
+        results.push({
+          companyId: company.id,
+          company: company.name,
+          email: company.contact_email,
+          subject: emailContent.subject,
+          ...sendResult,
+        });
+      } catch (error) {
+        if (error.code === HUNTER_QUOTA_EXCEEDED) {
+          // No point trying the remaining companies; they wait for the next run
+          console.warn(
+            `Hunter monthly usage limit reached. Stopping before ${company.name}.`
+          );
+          results.push({
+            companyId: company.id,
+            company: company.name,
+            email: company.contact_email || null,
+            status: "skipped",
+            reason: "Hunter quota exhausted",
+          });
+          break;
+        }
+
+        console.error(`Error processing company ${company.name}:`, error);
+        results.push({
+          companyId: company.id,
+          company: company.name,
+          email: company.contact_email || null,
+          status: "error",
+          error: error.message,
+        });
+      }
+    }
+
+    if (dryRun) {
+      const reportPath = await writeDryRunReport(outputDir, {
+        generatedAt: new Date().toISOString(),
+        remainingQuota,
+        verificationLookups: Boolean(options.verify),
+        hunter: getHunterUsage(),
+        rendered: results.filter((result) => result.status === "rendered")
+          .length,
+        skipped: results.filter((result) => result.status === "skipped").length,
+        errors: results.filter((result) => result.status === "error").length,
+        results,
+      });
+      console.log(`Dry run report written to ${reportPath}`);
+    }
+
+    await finishRun(run, results);
+
+    console.log("AI Email Workflow completed successfully.");
+    return {
+      dryRun,
+      outputDir,
+      remainingQuota,
+      results,
+      hunter: getHunterUsage(),
+    };
+  } catch (error) {
+    console.error("Error running AI Email Workflow:", error);
+
+    try {
+      await finishRun(run, results, error);
+    } catch (finishError) {
+      console.error("Error finishing workflow run:", finishError);
+    }
+
+    return { dryRun, outputDir, results, error: error.message };
+  }
+}
+
+/**
+ * Send drafts that have been approved, within today's quota
+ * @returns {Promise<Object>} - Summary ({ remainingQuota, results })
+ */
+export async function sendApprovedDrafts() {
+  const results = [];
+  let run;
+
+  // Sending drafts makes no Hunter lookups
+  resetHunterUsage();
+
+  try {
+    console.log("Sending approved drafts...");
+
+    const { run: startedRun, resumed } = await startWorkflowRun(new Date());
+    run = startedRun;
+    console.log(
+      resumed
+        ? `Resuming workflow run ${run.id}...`
+        : `Started workflow run ${run.id}.`
+    );
+
+    await reconcileSendAttempts();
+
+    const remainingQuota = await getRemainingEmailQuota();
+    console.log(`Remaining email quota for today: ${remainingQuota}`);
+
+    // Oldest approvals go first; the rest wait for tomorrow's quota
+    const drafts = (await getEmails({ status: "approved" })).reverse();
+    console.log(`Found ${drafts.length} approved drafts.`);
+
+    const userData = getUserData();
+    const sendable = [];
+
+    // Drafts whose company moved on are left out before the quota is applied
+    for (const draftEmail of drafts) {
+      try {
+        const company = await getCompanyById(draftEmail.company_id);
+
+        if (company.status !== "pending") {
+          console.log(
+            `${company.name} has status "${company.status}". Skipping draft ${draftEmail.id}...`
+          );
+          results.push({
+            companyId: company.id,
+            company: company.name,
+            emailId: draftEmail.id,
+            status: "skipped",
+            reason: `Company status is ${company.status}`,
+          });
+          continue;
+        }
+
+        // Send to the contact chosen when the draft was generated
+        company.contact_email = draftEmail.to_email || company.contact_email;
+        company.contact_id = draftEmail.contact_id;
+
+        sendable.push({ draftEmail, company });
+      } catch (error) {
+        console.error(
+          `Error loading the company of draft ${draftEmail.id}:`,
+          error
+        );
+        results.push({
+          companyId: draftEmail.company_id,
+          company: null,
+          emailId: draftEmail.id,
+          status: "error",
+          error: error.message,
+        });
+      }
+    }
+
+    for (const { draftEmail, company } of sendable.slice(
+      0,
+      Math.max(0, remainingQuota)
+    )) {
+      try {
+        const claim = await claimCompanyForSending(run, company);
+
+        if (claim.result) {
+          results.push({
+            companyId: company.id,
+            company: company.name,
+            email: company.contact_email,
+            ...claim.result,
+          });
+          continue;
+        }
+
+        console.log(
+          `Sending approved draft to ${company.name} at ${company.contact_email}...`
+        );
+        const sendResult = await deliverEmail(
+          claim.attempt,
+          company,
+          { subject: draftEmail.subject, body: draftEmail.body },
+          userData,
+          { emailId: draftEmail.id }
+        );
+
+        results.push({
+          companyId: company.id,
+          company: company.name,
+          email: company.contact_email,
+          subject: draftEmail.subject,
+          ...sendResult,
+        });
+      } catch (error) {
+        console.error(`Error sending draft ${draftEmail.id}:`, error);
+        results.push({
+          companyId: company.id,
+          company: company.name,
+          emailId: draftEmail.id,
+          status: "error",
+          error: error.message,
+        });
+      }
+    }
+
+    await finishRun(run, results);
+    return { remainingQuota, results };
+  } catch (error) {
+    console.error("Error sending approved drafts:", error);
+
+    try {
+      await finishRun(run, results, error);
+    } catch (finishError) {
+      console.error("Error finishing workflow run:", finishError);
+    }
+
+    return { results, error: error.message };
+  }
+}
+
+/**
+ * Record the outcome of a journaled run
+ * @param {Object} run - Workflow run (undefined for a dry run)
+ * @param {Array} results - Per-company results
+ * @param {Error} error - Error that stopped the run, if any
+ * @returns {Promise<void>}
+ */
+async function finishRun(run, results, error) {
+  const hunter = getHunterUsage();
+
+  if (hunter.requests > 0) {
+    console.log(
+      `Hunter usage: ${hunter.requests} requests, ${hunter.credits} credits${
+        hunter.quotaExceeded ? " (monthly limit reached)" : ""
+      }.`
+    );
+  }
+
+  if (!run) {
+    return;
+  }
+
+  await finishWorkflowRun(
+    run.id,
+    error ? "failed" : "completed",
+    {
+      sent: results.filter((result) => result.status === "sent").length,
+      skipped: results.filter((result) => result.status === "skipped").length,
+      errors: results.filter((result) => result.status === "error").length,
+      hunter,
+      error: error ? error.message : undefined,
+    },
+    // A resumed run keeps the credits spent before it was interrupted
+    { hunter_credits: Number(run.hunter_credits || 0) + hunter.credits }
+  );
+}
+
+/**
+ * Choose the contact to email for a company
+ *
+ * Contacts are ranked by role preference; unverified ones are verified in
+ * order and the first valid one wins. Suppressed contacts are passed over,
+ * and a company whose contacts are all suppressed is unreachable without
+ * a new discovery. Companies without any contact get every address
+ * discovered for their domain saved as contacts.
+ * @param {Object} company - Company information
+ * @param {Object} options - Additional options
+ * @param {Boolean} options.verify - Call the verification API (false skips lookups)
+ * @param {Boolean} options.save - Persist discovered contacts and verification results, and cache lookups
+ * @param {Function} options.isSuppressed - Suppression matcher from createSuppressionMatcher
+ * @returns {Promise<Object>} - Chosen contact, or the reason to skip ({ contact, skipReason })
+ */
+async function resolveContact(company, options) {
+  let contacts = await getContactsByCompanyId(company.id);
+
+  // Companies created before contacts existed only have contact_email
+  if (contacts.length === 0 && company.contact_email) {
+    contacts = [
+      {
+        id: null,
+        email: company.contact_email,
+        verification_status:
+          company.email_verification_status ||
+          (company.email_verified ? "valid" : "unverified"),
+      },
+    ];
+  }
+
+  const storedCount = contacts.length;
+  contacts = withoutSuppressed(contacts, options.isSuppressed);
+
+  // Discovery costs credits and the people already known asked not to be emailed
+  if (storedCount > 0 && contacts.length === 0) {
+    console.log(`Every contact at ${company.name} is suppressed. Skipping...`);
+    return unreachable(company, "Every contact is suppressed", options);
+  }
+
+  if (contacts.length === 0) {
+    if (!options.verify) {
+      console.log(
+        `No contacts for ${company.name} and verification lookups are disabled. Skipping...`
+      );
+      return { skipReason: "No contacts (verification lookups disabled)" };
+    }
+
+    // Try to find email addresses for the company
+    console.log(`No contacts for ${company.name}. Finding emails...`);
+    const domain = company.domain || normalizeDomain(company.website);
+    const found = domain
+      ? await discoverContacts(domain, {
+          person: parsePersonName(company.contact_name),
+          saveToCache: options.save,
+        })
+      : [];
+
+    contacts = withoutSuppressed(
+      options.save ? await saveContacts(company.id, found) : found,
+      options.isSuppressed
+    );
+
+    if (found.length > 0 && contacts.length === 0) {
+      console.log(
+        `Every contact at ${company.name} is suppressed. Skipping...`
+      );
+      return unreachable(company, "Every contact is suppressed", options);
+    }
+
+    if (contacts.length === 0) {
+      console.log(`Could not find email for ${company.name}. Skipping...`);
+      return unreachable(company, "Could not find an email address", options);
+    }
+
+    console.log(`Found ${contacts.length} contacts for ${company.name}.`);
+  }
+
+  const policy = getVerificationPolicy(company.industry);
+  let onlyPermanentRejections = true;
+
+  for (let contact of rankContacts(contacts)) {
+    if (!options.verify) {
+      return { contact };
+    }
+
+    let updates = {};
+
+    if (UNVERIFIED_STATUSES.includes(contact.verification_status)) {
+      // Verify the email and keep the full result on the contact
+      console.log(`Verifying ${contact.email}...`);
+      updates = getVerificationFields(
+        await verifyEmail(contact.email, { saveToCache: options.save })
+      );
+    }
+
+    // Stored results are re-evaluated, so policy changes apply without new lookups
+    const decision = evaluateVerification({ ...contact, ...updates }, policy);
+    updates.verification_decision = decision.decision;
+    updates.verification_reason = decision.reason;
+    contact = { ...contact, ...updates };
+
+    if (options.save && contact.id) {
+      await updateContact(contact.id, updates);
+    }
+
+    if (!decision.accepted) {
+      console.log(
+        `Not emailing ${contact.email}: ${decision.reason}. Trying next contact...`
+      );
+      onlyPermanentRejections = onlyPermanentRejections && decision.permanent;
+
+      if (options.save && !contact.id) {
+        await saveCompanyContact(company.id, contact);
+      }
+
+      continue;
+    }
+
+    console.log(`Email ${contact.email} accepted: ${decision.reason}.`);
+
+    if (options.save) {
+      await saveCompanyContact(company.id, contact);
+    }
+
+    return { contact };
+  }
+
+  // A stricter policy than the contacts can meet is not a reason to give up
+  if (!onlyPermanentRejections) {
+    return { skipReason: "No contact passes the verification policy" };
+  }
+
+  return unreachable(company, "No valid contact email", options);
+}
+
+/**
+ * Leave out contacts whose address or domain is suppressed
+ * @param {Array} contacts - Contacts
+ * @param {Function} isSuppressed - Suppression matcher (none: keep every contact)
+ * @returns {Array} - Contacts that may be emailed
+ */
+function withoutSuppressed(contacts, isSuppressed) {
+  if (!isSuppressed) {
+    return contacts;
+  }
+
+  return contacts.filter((contact) => {
+    const suppression = isSuppressed(contact.email);
+
+    if (suppression) {
+      console.log(
+        `Not emailing ${contact.email}: ${suppression.email || suppression.domain} is suppressed (${suppression.reason}).`
+      );
+    }
+
+    return !suppression;
+  });
+}
+
+/**
+ * Skip a company that has no usable address, marking it unreachable
+ * @param {Object} company - Company
+ * @param {String} reason - Why no address could be used
+ * @param {Object} options - Options passed to resolveContact
+ * @returns {Promise<Object>} - Skip result ({ skipReason })
+ */
+async function unreachable(company, reason, options) {
+  if (options.save) {
+    await markCompanyAsUnreachable(company.id, reason);
+    console.log(`Marked ${company.name} as unreachable.`);
+  }
+
+  return { skipReason: reason };
+}
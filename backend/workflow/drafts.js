@@ -0,0 +1,117 @@
+import { getCompanyById } from "../api/companies.js";
+import {
+  getEmailById,
+  markEmailAsApproved,
+  markEmailAsRejected,
+  updateEmail,
+} from "../api/emails.js";
+import { generateEmailContent } from "../api/aiContentGenerator.js";
+import { DEFAULT_EMAIL_TEMPLATE } from "./dailyWorkflow.js";
+import { getUserData } from "./userData.js";
+
+/**
+ * Drafts - Review AI-generated drafts before they are sent
+ *
+ * Drafts are rows in the emails table with status pending_approval. A
+ * reviewer approves, edits, regenerates or rejects them; approved drafts are
+ * sent by sendApprovedDrafts in the daily workflow.
+ */
+
+// Statuses a draft can be reviewed from
+const REVIEWABLE_STATUSES = ["pending_approval", "approved", "rejected"];
+
+/**
+ * Get a draft that can still be reviewed
+ * @param {String} id - Email ID
+ * @returns {Promise<Object>} - Email object
+ */
+export async function getReviewableDraft(id) {
+  const email = await getEmailById(id);
+
+  if (!REVIEWABLE_STATUSES.includes(email.status)) {
+    throw new Error(
+      `Email ${id} has status "${email.status}" and can no longer be reviewed`
+    );
+  }
+
+  return email;
+}
+
+/**
+ * Approve a draft for sending
+ * @param {String} id - Email ID
+ * @returns {Promise<Object>} - Updated email object
+ */
+export async function approveDraft(id) {
+  await getReviewableDraft(id);
+  return markEmailAsApproved(id);
+}
+
+/**
+ * Reject a draft so it is never sent
+ * @param {String} id - Email ID
+ * @param {String} notes - Optional reason for the rejection
+ * @returns {Promise<Object>} - Updated email object
+ */
+export async function rejectDraft(id, notes) {
+  await getReviewableDraft(id);
+  return markEmailAsRejected(id, notes);
+}
+
+/**
+ * Edit the subject and/or body of a draft and send it back for review
+ * @param {String} id - Email ID
+ * @param {Object} changes - Fields to change
+ * @param {String} changes.subject - New subject
+ * @param {String} changes.body - New body
+ * @returns {Promise<Object>} - Updated email object
+ */
+export async function editDraft(id, changes) {
+  await getReviewableDraft(id);
+
+  const updates = {};
+
+  if (changes.subject) {
+    updates.subject = changes.subject;
+  }
+
+  if (changes.body) {
+    updates.body = changes.body;
+  }
+
+  if (Object.keys(updates).length === 0) {
+    throw new Error("Nothing to edit: provide a new subject and/or body");
+  }
+
+  // An approval was for the old text
+  return updateEmail(id, {
+    ...updates,
+    status: "pending_approval",
+    reviewed_at: null,
+    review_notes: null,
+  });
+}
+
+/**
+ * Regenerate a draft with the AI and send it back for review
+ * @param {String} id - Email ID
+ * @returns {Promise<Object>} - Updated email object
+ */
+export async function regenerateDraft(id) {
+  const email = await getReviewableDraft(id);
+  const company = await getCompanyById(email.company_id);
+
+  const emailContent = await generateEmailContent(
+    company,
+    DEFAULT_EMAIL_TEMPLATE,
+    getUserData()
+  );
+
+  return updateEmail(id, {
+    subject: emailContent.subject,
+    body: emailContent.body,
+    status: "pending_approval",
+    reviewed_at: null,
+    review_notes: null,
+  });
+}
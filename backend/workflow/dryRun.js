@@ -0,0 +1,100 @@
+import fs from "fs/promises";
+import path from "path";
+import { fileURLToPath } from "url";
+
+/**
+ * Dry Run - Writes would-be emails and a summary report to a local directory
+ */
+
+// Get the directory name
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// Default parent directory for dry-run output
+const DRY_RUN_ROOT = path.join(__dirname, "../../dry-runs");
+
+/**
+ * Get the default output directory for a dry run started now
+ * @returns {String} - Output directory path
+ */
+export function getDefaultDryRunDir() {
+  const timestamp = new Date().toISOString().replace(/[:.]/g, "-");
+  return path.join(DRY_RUN_ROOT, timestamp);
+}
+
+/**
+ * Write a would-be email to the output directory
+ *
+ * Each email is written as `<nn>-<company>.html`, `.txt` and `.json` so the
+ * HTML can be opened in a browser and the metadata diffed between runs.
+ * @param {String} outputDir - Output directory
+ * @param {Number} index - Position of the email in the batch
+ * @param {Object} company - Company information
+ * @param {Object} message - Built email message (to, subject, html, text, template, attachments)
+ * @returns {Promise<Object>} - Paths of the written files
+ */
+export async function writeDryRunEmail(outputDir, index, company, message) {
+  await fs.mkdir(outputDir, { recursive: true });
+
+  const baseName = `${String(index + 1).padStart(2, "0")}-${slugify(
+    company.name
+  )}`;
+  const files = {
+    html: path.join(outputDir, `${baseName}.html`),
+    text: path.join(outputDir, `${baseName}.txt`),
+    json: path.join(outputDir, `${baseName}.json`),
+  };
+
+  await fs.writeFile(files.html, message.html);
+  await fs.writeFile(
+    files.text,
+    `To: ${message.to}\nSubject: ${message.subject}\n\n${message.text}\n`
+  );
+  await fs.writeFile(
+    files.json,
+    JSON.stringify(
+      {
+        companyId: company.id,
+        company: company.name,
+        to: message.to,
+        replyTo: message.replyTo,
+        subject: message.subject,
+        text: message.text,
+        template: message.template || null,
+        attachments: message.attachments || [],
+      },
+      null,
+      2
+    )
+  );
+
+  return files;
+}
+
+/**
+ * Write the summary report for a dry run
+ * @param {String} outputDir - Output directory
+ * @param {Object} report - Report data (quota, results, etc.)
+ * @returns {Promise<String>} - Path of the written report
+ */
+export async function writeDryRunReport(outputDir, report) {
+  await fs.mkdir(outputDir, { recursive: true });
+
+  const reportPath = path.join(outputDir, "report.json");
+  await fs.writeFile(reportPath, JSON.stringify(report, null, 2));
+
+  return reportPath;
+}
+
+/**
+ * Turn a company name into a file-system friendly slug
+ * @param {String} name - Company name
+ * @returns {String} - Slug
+ */
+function slugify(name) {
+  return (
+    String(name || "company")
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, "-")
+      .replace(/^-+|-+$/g, "") || "company"
+  );
+}
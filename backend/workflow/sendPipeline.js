@@ -0,0 +1,344 @@
+import { markCompanyAsContacted } from "../api/companies.js";
+import { createEmail, markEmailAsSent, updateEmail } from "../api/emails.js";
+import { prepareJobApplicationEmail } from "../api/emailSender.js";
+import { getEmailTransport } from "../api/emailTransports/index.js";
+import { getEmailTemplate } from "../api/emailTemplates.js";
+import {
+  describeAttachments,
+  getAttachmentsForCompany,
+} from "../api/attachments.js";
+import { incrementEmailsSent } from "../api/emailSchedule.js";
+import {
+  claimSendAttempt,
+  getSendAttemptById,
+  getUnresolvedSendAttempts,
+  updateSendAttempt,
+} from "../api/workflowRuns.js";
+
+/**
+ * Send Pipeline - Journals every send so a crashed run can resume safely
+ *
+ * Each company gets a send attempt per run, written before the provider is
+ * called. The attempt moves pending -> sending -> sent -> completed, and the
+ * bookkeeping after the provider call (email record, company status, daily
+ * count) is flagged step by step so a re-run finishes it without sending
+ * again. The message is built and checked before the attempt moves to
+ * "sending", so only the provider call itself can leave it in doubt. An
+ * attempt left in "sending", or whose provider call failed without a
+ * rejection from the provider (a network error or timeout), may or may not
+ * have reached the provider, so it is marked "uncertain" and never retried
+ * automatically; resolveSendAttempt settles it once the provider's logs
+ * have been checked. Emails that could not be built, or that the provider
+ * rejected, are marked "failed".
+ */
+
+/**
+ * Reconcile send attempts left behind by a previous run
+ * @returns {Promise<Object>} - Attempts completed and flagged uncertain, and the companies left unresolved ({ completed, uncertain, unresolvedCompanyIds })
+ */
+export async function reconcileSendAttempts() {
+  const attempts = await getUnresolvedSendAttempts();
+  const summary = { completed: 0, uncertain: 0, unresolvedCompanyIds: [] };
+
+  for (const attempt of attempts) {
+    if (attempt.status === "sent") {
+      console.log(
+        `Completing bookkeeping for email already sent to ${attempt.recipient}...`
+      );
+      await completeSendAttempt(attempt);
+      summary.completed++;
+      continue;
+    }
+
+    if (attempt.status === "sending") {
+      await updateSendAttempt(attempt.id, {
+        status: "uncertain",
+        error: "Run stopped during the provider call",
+      });
+    }
+
+    warnUncertain(attempt, attempt.recipient);
+    summary.uncertain++;
+    summary.unresolvedCompanyIds.push(attempt.company_id);
+  }
+
+  return summary;
+}
+
+/**
+ * Settle an attempt whose outcome was unknown, after checking the provider
+ * @param {String} id - Send attempt ID
+ * @param {Object} outcome - What the provider's logs show
+ * @param {Boolean} outcome.sent - True if the provider accepted the email
+ * @param {String} outcome.messageId - Provider's message ID, if sent
+ * @returns {Promise<Object>} - Updated send attempt
+ */
+export async function resolveSendAttempt(id, { sent, messageId } = {}) {
+  const attempt = await getSendAttemptById(id);
+
+  if (!attempt) {
+    throw new Error(`Send attempt ${id} not found`);
+  }
+
+  if (!["sending", "uncertain"].includes(attempt.status)) {
+    throw new Error(
+      `Send attempt ${id} has status "${attempt.status}"; only sending or uncertain attempts can be resolved`
+    );
+  }
+
+  if (sent) {
+    // Finish the bookkeeping as if the provider call had returned
+    const sentAttempt = await updateSendAttempt(id, {
+      status: "sent",
+      message_id: messageId || attempt.message_id || null,
+      error: null,
+    });
+    return completeSendAttempt(sentAttempt);
+  }
+
+  // Not sent, so the company may be emailed again by a later run
+  if (attempt.email_id) {
+    await updateEmail(attempt.email_id, { status: "failed" });
+  }
+
+  return updateSendAttempt(id, {
+    status: "failed",
+    error: "Not sent (resolved by hand)",
+  });
+}
+
+/**
+ * Claim a company for sending within a run
+ * @param {Object} run - Workflow run
+ * @param {Object} company - Company information
+ * @returns {Promise<Object>} - The claimed attempt, or a result when the company must not be sent to ({ attempt, result })
+ */
+export async function claimCompanyForSending(run, company) {
+  const attempt = await claimSendAttempt(
+    run.id,
+    company.id,
+    company.contact_email
+  );
+
+  switch (attempt.status) {
+    case "completed":
+      return {
+        attempt,
+        result: {
+          status: "skipped",
+          reason: "Already sent in this run",
+          emailId: attempt.email_id,
+        },
+      };
+
+    case "sent":
+      // The provider accepted the email but the bookkeeping did not finish
+      await completeSendAttempt(attempt);
+      return {
+        attempt,
+        result: { status: "sent", reconciled: true, emailId: attempt.email_id },
+      };
+
+    case "sending":
+    case "uncertain":
+      return {
+        attempt,
+        result: {
+          status: "skipped",
+          reason: "Previous send attempt has an unknown outcome",
+        },
+      };
+
+    default:
+      break;
+  }
+
+  // Never send while another run's attempt for this company is unresolved
+  const unresolved = await getUnresolvedSendAttempts(company.id);
+
+  if (unresolved.some((other) => other.id !== attempt.id)) {
+    return {
+      attempt,
+      result: {
+        status: "skipped",
+        reason: "Unresolved send attempt from a previous run",
+      },
+    };
+  }
+
+  return { attempt, result: null };
+}
+
+/**
+ * Send the email for a claimed attempt and record it
+ * @param {Object} attempt - Send attempt returned by claimCompanyForSending
+ * @param {Object} company - Company information
+ * @param {Object} emailContent - Generated email content
+ * @param {Object} userData - User data (name, signature, etc.)
+ * @param {Object} options - Additional options
+ * @param {String} options.emailId - Existing email record to send (e.g. an approved draft)
+ * @param {String} options.transport - Transport to use instead of EMAIL_TRANSPORT
+ * @param {Object} options.template - Template from getEmailTemplate (default: EMAIL_TEMPLATE)
+ * @returns {Promise<Object>} - Send result ({ status, emailId, messageId, provider })
+ */
+export async function deliverEmail(
+  attempt,
+  company,
+  emailContent,
+  userData,
+  options = {}
+) {
+  const transport = getEmailTransport(options.transport);
+  const template = options.template || (await getEmailTemplate());
+
+  // Load the files first so a missing CV fails before anything is recorded
+  const attachments = await getAttachmentsForCompany(company, template.name);
+
+  // Record the email before calling the provider
+  const emailRecord = {
+    subject: emailContent.subject,
+    body: emailContent.body,
+    status: "queued",
+    email_provider: transport.name,
+    attachments: describeAttachments(attachments),
+  };
+  let emailId = attempt.email_id || options.emailId;
+
+  if (emailId) {
+    await updateEmail(emailId, emailRecord);
+  } else {
+    const email = await createEmail({
+      company_id: company.id,
+      contact_id: company.contact_id || null,
+      to_email: company.contact_email,
+      ai_generated: true,
+      template_used: template.name,
+      ...emailRecord,
+    });
+    emailId = email.id;
+  }
+
+  let message;
+
+  try {
+    message = await prepareJobApplicationEmail(
+      company,
+      emailContent,
+      userData,
+      { attachments, template, emailId }
+    );
+  } catch (error) {
+    // Nothing reached the provider, so it is safe to try again later
+    await updateSendAttempt(attempt.id, {
+      status: "failed",
+      email_id: emailId,
+      error: error.message,
+    });
+    await updateEmail(emailId, { status: "failed" });
+    throw error;
+  }
+
+  await updateSendAttempt(attempt.id, {
+    status: "sending",
+    email_id: emailId,
+    recipient: company.contact_email,
+    email_provider: transport.name,
+    error: null,
+  });
+
+  let sendResult;
+
+  try {
+    sendResult = await transport.send(message);
+  } catch (error) {
+    console.error(
+      `Error sending email to ${company.contact_email} via ${transport.name}:`,
+      error
+    );
+
+    if (isRejection(error)) {
+      // The provider rejected the email, so it is safe to try again later
+      await updateSendAttempt(attempt.id, {
+        status: "failed",
+        error: error.message,
+      });
+      await updateEmail(emailId, { status: "failed" });
+    } else {
+      // A network error or timeout: the provider may have accepted it
+      await updateSendAttempt(attempt.id, {
+        status: "uncertain",
+        error: error.message,
+      });
+      warnUncertain(attempt, company.contact_email);
+    }
+
+    throw error;
+  }
+
+  const sentAttempt = await updateSendAttempt(attempt.id, {
+    status: "sent",
+    message_id: sendResult.messageId,
+    email_provider: transport.name,
+  });
+
+  await completeSendAttempt(sentAttempt);
+
+  return {
+    status: "sent",
+    emailId,
+    messageId: sendResult.messageId,
+    provider: transport.name,
+  };
+}
+
+/**
+ * Finish the bookkeeping for an attempt the provider has accepted
+ * @param {Object} attempt - Send attempt with status "sent"
+ * @returns {Promise<Object>} - Completed send attempt
+ */
+async function completeSendAttempt(attempt) {
+  if (attempt.email_id && !attempt.email_recorded) {
+    console.log(`Recording email as sent...`);
+    await markEmailAsSent(attempt.email_id, attempt.message_id, {
+      provider: attempt.email_provider,
+    });
+    await updateSendAttempt(attempt.id, { email_recorded: true });
+  }
+
+  if (!attempt.company_marked) {
+    console.log(`Marking company ${attempt.company_id} as contacted...`);
+    await markCompanyAsContacted(attempt.company_id);
+    await updateSendAttempt(attempt.id, { company_marked: true });
+  }
+
+  if (!attempt.quota_counted) {
+    console.log(`Incrementing emails sent count...`);
+    await incrementEmailsSent(new Date());
+    await updateSendAttempt(attempt.id, { quota_counted: true });
+  }
+
+  return updateSendAttempt(attempt.id, { status: "completed" });
+}
+
+/**
+ * Tell the user how to settle an attempt with an unknown outcome
+ * @param {Object} attempt - Send attempt
+ * @param {String} recipient - Recipient email address
+ */
+function warnUncertain(attempt, recipient) {
+  console.warn(
+    `Send attempt ${attempt.id} to ${recipient} has an unknown outcome. Check the provider logs, then run: node index.js attempts resolve ${attempt.id} --sent (or --no-sent)`
+  );
+}
+
+/**
+ * Check whether a transport error proves the email was not sent
+ *
+ * True when the provider answered with an error (HTTP status from SendGrid
+ * or Mailgun, SMTP reply code). Anything else may have reached the provider.
+ * @param {Error} error - Error from the transport's send()
+ * @returns {Boolean} - True if the email was certainly not sent
+ */
+function isRejection(error) {
+  return Boolean(error.statusCode || error.responseCode);
+}
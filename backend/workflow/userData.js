@@ -0,0 +1,26 @@
+/**
+ * User Data - Applicant information used to personalise outgoing emails
+ */
+
+/**
+ * Get the applicant's data from the environment variables
+ * @returns {Object} - User data (name, skills, experience, etc.)
+ */
+export function getUserData() {
+  return {
+    name: process.env.USER_NAME || "Your Name",
+    title: process.env.USER_TITLE || "Computer Engineering Graduate",
+    email: process.env.USER_EMAIL || "your.email@example.com",
+    phone: process.env.USER_PHONE || "Your Phone Number",
+    linkedin:
+      process.env.USER_LINKEDIN || "https://linkedin.com/in/yourprofile",
+    portfolio: process.env.USER_PORTFOLIO || "https://yourportfolio.com",
+    skills: process.env.USER_SKILLS || "Programming, Problem Solving, Teamwork",
+    experience:
+      process.env.USER_EXPERIENCE ||
+      "Recent graduate with internship experience",
+    education:
+      process.env.USER_EDUCATION ||
+      "Bachelor of Science in Computer Engineering",
+  };
+}
@@ -6,11 +6,34 @@
  *
  * To use this script:
  * 1. Create a new n8n workflow
- * 2. Add a Webhook node (e.g., /webhook/email-tracking)
+ * 2. Add a Webhook node (e.g., /webhook/email-tracking) with the "Raw Body"
+ *    option on, so SendGrid signatures can be checked
  * 3. Add a Function node after the Webhook node and paste this script
- * 4. Configure the necessary credentials in n8n
+ *    (set the Webhook node to respond "Using 'Respond to Webhook' Node")
+ * 4. Add a Respond to Webhook node after it, with the response code set to
+ *    {{ $json.statusCode }}, so failed requests get a 5xx and are retried
+ * 5. Configure the necessary credentials in n8n: the Supabase URL and key,
+ *    SendGrid's webhook verification key (sendgrid.webhookPublicKey) and
+ *    Mailgun's webhook signing key (mailgun.webhookSigningKey)
+ * 6. Allow the crypto module in Function nodes (NODE_FUNCTION_ALLOW_BUILTIN=crypto)
+ *
+ * Requests without a valid signature, or older than five minutes (nine
+ * hours for Mailgun, whose retries keep their first timestamp), or
+ * already received, are rejected: each verified request is recorded in the
+ * webhook_requests table before it is processed. A request that failed to
+ * process is removed from it, so the provider's retry goes through.
+ *
+ * Without n8n, `node index.js serve` receives the same webhooks at
+ * /webhooks/sendgrid and /webhooks/mailgun (see backend/api/webhooks.js).
  */
 
+// How far a request's timestamp may be from now, in seconds
+const WEBHOOK_TOLERANCE_SECONDS = 300;
+
+// The same for Mailgun, whose last retry comes 8 hours after the first
+// attempt
+const MAILGUN_WEBHOOK_TOLERANCE_SECONDS = 32400;
+
 // This is the main function that will be executed by n8n
 async function execute() {
   // Import required libraries
@@ -27,18 +50,239 @@ async function execute() {
 
   // Process the webhook based on the provider
   switch (provider.toLowerCase()) {
-    case "sendgrid":
-      return processSendGridWebhook(payload, supabase);
-    case "mailgun":
-      return processMailgunWebhook(payload, supabase);
+    case "sendgrid": {
+      let replayKey;
+
+      try {
+        replayKey = await verifySendGridWebhook(
+          $input.rawBody,
+          $input.headers,
+          $credentials.sendgrid.webhookPublicKey,
+          supabase
+        );
+      } catch (error) {
+        return { statusCode: 401, success: false, error: error.message };
+      }
+
+      const result = await processSendGridWebhook(payload, supabase);
+
+      if (!result.results) {
+        return { statusCode: 400, ...result };
+      }
+
+      // Failed requests are released, for the provider's retry
+      if (!result.success) {
+        await releaseRequest(replayKey, supabase);
+        return { statusCode: 500, ...result };
+      }
+
+      return { statusCode: 200, ...result };
+    }
+    case "mailgun": {
+      let replayKey;
+
+      try {
+        replayKey = await verifyMailgunWebhook(
+          payload,
+          $credentials.mailgun.webhookSigningKey,
+          supabase
+        );
+      } catch (error) {
+        return { statusCode: 401, success: false, error: error.message };
+      }
+
+      const result = await processMailgunWebhook(payload, supabase);
+
+      if (result.status === "error") {
+        await releaseRequest(replayKey, supabase);
+        return { statusCode: 500, ...result };
+      }
+
+      return { statusCode: 200, ...result };
+    }
     default:
       return {
+        statusCode: 400,
         success: false,
         error: `Unsupported provider: ${provider}`,
       };
   }
 }
 
+/**
+ * Check the signature of a SendGrid event webhook request (ECDSA over the
+ * timestamp header and the raw body)
+ *
+ * Mirrors verifySendGridWebhook in backend/api/webhookSignatures.js, which
+ * this Function node cannot import.
+ * @param {String} rawBody - Request body exactly as received
+ * @param {Object} headers - Request headers (lowercase names)
+ * @param {String} publicKey - SendGrid's verification key (base64 DER)
+ * @param {Object} supabase - Supabase client
+ * @returns {Promise<String>} - Reserved replay key, for releaseRequest
+ */
+async function verifySendGridWebhook(rawBody, headers, publicKey, supabase) {
+  const crypto = require("crypto");
+  const signature = headers["x-twilio-email-event-webhook-signature"];
+  const timestamp = headers["x-twilio-email-event-webhook-timestamp"];
+
+  if (!publicKey) {
+    throw new Error("The SendGrid webhook verification key is not configured");
+  }
+
+  if (!signature || !timestamp || typeof rawBody !== "string") {
+    throw new Error("SendGrid webhook request is not signed");
+  }
+
+  checkTimestamp(timestamp, WEBHOOK_TOLERANCE_SECONDS);
+
+  const valid = crypto.verify(
+    "sha256",
+    Buffer.from(timestamp + rawBody, "utf8"),
+    crypto.createPublicKey({
+      key: Buffer.from(publicKey, "base64"),
+      format: "der",
+      type: "spki",
+    }),
+    Buffer.from(signature, "base64")
+  );
+
+  if (!valid) {
+    throw new Error("SendGrid webhook signature is invalid");
+  }
+
+  // Keyed by what was signed: ECDSA signatures are malleable, so the same
+  // request can carry several valid signatures
+  const digest = crypto
+    .createHash("sha256")
+    .update(timestamp + rawBody, "utf8")
+    .digest("hex");
+
+  return checkReplay(`sendgrid:${digest}`, WEBHOOK_TOLERANCE_SECONDS, supabase);
+}
+
+/**
+ * Check the signature of a Mailgun webhook request (HMAC-SHA256 over the
+ * timestamp and token)
+ *
+ * Mirrors verifyMailgunWebhook in backend/api/webhookSignatures.js.
+ * @param {Object} payload - Mailgun webhook payload
+ * @param {String} signingKey - Mailgun's webhook signing key
+ * @param {Object} supabase - Supabase client
+ * @returns {Promise<String>} - Reserved replay key, for releaseRequest
+ */
+async function verifyMailgunWebhook(payload, signingKey, supabase) {
+  const crypto = require("crypto");
+  const { timestamp, token, signature } =
+    payload && typeof payload.signature === "object"
+      ? payload.signature
+      : payload || {};
+
+  if (!signingKey) {
+    throw new Error("The Mailgun webhook signing key is not configured");
+  }
+
+  if (!timestamp || !token || typeof signature !== "string") {
+    throw new Error("Mailgun webhook request is not signed");
+  }
+
+  checkTimestamp(timestamp, MAILGUN_WEBHOOK_TOLERANCE_SECONDS);
+
+  const expected = Buffer.from(
+    crypto
+      .createHmac("sha256", signingKey)
+      .update(`${timestamp}${token}`)
+      .digest("hex")
+  );
+  const actual = Buffer.from(signature.toLowerCase());
+
+  if (
+    expected.length !== actual.length ||
+    !crypto.timingSafeEqual(expected, actual)
+  ) {
+    throw new Error("Mailgun webhook signature is invalid");
+  }
+
+  // The token is part of what was signed
+  return checkReplay(
+    `mailgun:${token}`,
+    MAILGUN_WEBHOOK_TOLERANCE_SECONDS,
+    supabase
+  );
+}
+
+/**
+ * Reject a timestamp outside the provider's tolerance
+ * @param {String|Number} timestamp - Unix timestamp in seconds
+ * @param {Number} toleranceSeconds - How far it may be from now
+ */
+function checkTimestamp(timestamp, toleranceSeconds) {
+  const age = Math.abs(Date.now() / 1000 - Number(timestamp));
+
+  if (!Number.isFinite(age) || age > toleranceSeconds) {
+    throw new Error("Webhook request timestamp is outside the tolerance");
+  }
+}
+
+/**
+ * Reserve a request's replay key, rejecting the request if it was already
+ * received
+ *
+ * Mirrors reserveWebhookRequest in backend/api/webhookRequests.js.
+ * @param {String} key - Provider and request digest or token
+ * @param {Number} toleranceSeconds - Tolerance checkTimestamp applied
+ * @param {Object} supabase - Supabase client
+ * @returns {Promise<String>} - The key
+ */
+async function checkReplay(key, toleranceSeconds, supabase) {
+  const now = Date.now();
+
+  const { error: deleteError } = await supabase
+    .from("webhook_requests")
+    .delete()
+    .lt("expires_at", new Date(now).toISOString());
+
+  if (deleteError) {
+    throw deleteError;
+  }
+
+  const { error } = await supabase.from("webhook_requests").insert([
+    {
+      replay_key: key,
+      expires_at: new Date(now + 2 * toleranceSeconds * 1000).toISOString(),
+    },
+  ]);
+
+  // 23505 is "unique violation": the request was already received
+  if (error && error.code === "23505") {
+    throw new Error("Webhook request was already received");
+  }
+
+  if (error) {
+    throw error;
+  }
+
+  return key;
+}
+
+/**
+ * Release a request's replay key, so the provider's retry is accepted
+ *
+ * Mirrors releaseWebhookRequest in backend/api/webhookRequests.js.
+ * @param {String} key - Replay key returned by the verification
+ * @param {Object} supabase - Supabase client
+ */
+async function releaseRequest(key, supabase) {
+  const { error } = await supabase
+    .from("webhook_requests")
+    .delete()
+    .eq("replay_key", key);
+
+  if (error) {
+    throw error;
+  }
+}
+
 /**
  * Process a SendGrid webhook event
  * @param {Array} payload - SendGrid webhook payload
@@ -58,271 +302,505 @@ async function processSendGridWebhook(payload, supabase) {
 
   // Process each event
   for (const event of payload) {
-    try {
-      // Get the email record by message ID
-      const { data: emails, error: emailError } = await supabase
-        .from("emails")
-        .select("*")
-        .eq("message_id", event.sg_message_id)
+    results.push(
+      await processEvent(
+        {
+          provider: "sendgrid",
+          name: event.event,
+          type: event.event,
+          eventId: event.sg_event_id,
+          timestamp: event.timestamp,
+          emailId: event.email_id,
+          messageId: event.sg_message_id,
+          recipient: event.email,
+          url: event.url,
+          userAgent: event.useragent,
+          reason: event.reason,
+          bounceType: event.type,
+          payload: event,
+        },
+        supabase
+      )
+    );
+  }
+
+  const failed = results.filter((result) => result.status === "error").length;
+
+  return {
+    success: failed === 0,
+    message: failed
+      ? `Failed to process ${failed} of ${results.length} SendGrid events`
+      : `Processed ${results.length} SendGrid events`,
+    results,
+  };
+}
+
+/**
+ * Process a Mailgun webhook event
+ * @param {Object} payload - Mailgun webhook payload
+ * @param {Object} supabase - Supabase client
+ * @returns {Promise<Object>} - Processing result
+ */
+async function processMailgunWebhook(payload, supabase) {
+  // SendGrid names for Mailgun's events ("failed" depends on its severity)
+  const types = {
+    accepted: "processed",
+    delivered: "delivered",
+    dropped: "dropped",
+    opened: "open",
+    clicked: "click",
+    bounced: "bounce",
+    complained: "spamreport",
+    unsubscribed: "unsubscribe",
+  };
+  let type = types[payload.event] || payload.event;
+
+  if (payload.event === "failed") {
+    type = payload.severity === "temporary" ? "deferred" : "bounce";
+  }
+
+  const result = await processEvent(
+    {
+      provider: "mailgun",
+      name: payload.event,
+      type,
+      timestamp: payload.timestamp,
+      emailId: payload.email_id,
+      messageId: payload["message-id"],
+      recipient: payload.recipient,
+      url: payload.url,
+      userAgent: payload["user-agent"],
+      reason: payload.reason,
+      payload,
+    },
+    supabase
+  );
+
+  return { success: result.status === "success", ...result };
+}
+
+/**
+ * Apply an event to its email record, with its side effects
+ *
+ * Mirrors processEvent in backend/api/webhooks.js, which this Function
+ * node cannot import. Every event is added to the email's history, which
+ * also works out the email's status. Hard bounces, spam reports and unsubscribes suppress
+ * the recipient, bounces move the company on to its next contact, and spam
+ * reports and unsubscribes mark the company unsubscribed.
+ * @param {Object} event - Event with SendGrid's event name as type
+ * @param {Object} supabase - Supabase client
+ * @returns {Promise<Object>} - Result ({ event, messageId, emailId, status, ... })
+ */
+async function processEvent(event, supabase) {
+  // Suppression reasons for SendGrid's drop reasons that mean the address
+  // is on its suppression list
+  const dropReasons = {
+    "Bounced Address": "hard_bounce",
+    "Spam Reporting Address": "spam_report",
+    "Unsubscribed Address": "unsubscribed",
+  };
+
+  const result = { event: event.name, messageId: event.messageId };
+
+  try {
+    // Get the email record by our email ID (custom_args, v:email_id) or message ID
+    const email = await findEmailForEvent(event, supabase);
+
+    // If no email found, skip this event
+    if (!email) {
+      return { ...result, status: "skipped", reason: "Email not found" };
+    }
+
+    result.emailId = email.id;
+
+    // An event the provider sent again is skipped with its side effects
+    if (event.eventId) {
+      const { data: recorded, error } = await supabase
+        .from("email_events")
+        .select("id")
+        .eq("provider", event.provider)
+        .eq("provider_event_id", event.eventId)
         .limit(1);
 
-      if (emailError) {
-        throw emailError;
+      if (error) {
+        throw error;
       }
 
-      // If no email found, skip this event
-      if (!emails || emails.length === 0) {
-        results.push({
-          event: event.event,
-          messageId: event.sg_message_id,
-          status: "skipped",
-          reason: "Email not found",
-        });
-        continue;
+      if (recorded.length > 0) {
+        return { ...result, status: "skipped", reason: "Already recorded" };
       }
+    }
 
-      const email = emails[0];
-
-      // Update the email record based on the event type
-      switch (event.event) {
-        case "open":
-          // Update the email record
-          const { error: openError } = await supabase
-            .from("emails")
-            .update({
-              status: "opened",
-              opened_at: new Date(event.timestamp * 1000).toISOString(),
-              updated_at: new Date().toISOString(),
-            })
-            .eq("id", email.id);
-
-          if (openError) {
-            throw openError;
-          }
+    // Update the email record based on the event type, after the side
+    // effects, so the provider's retry is not skipped when one fails
+    switch (event.type) {
+      case "processed":
+        // Already recorded as sent when the provider accepted it
+        return { ...result, status: "success" };
 
-          results.push({
-            event: event.event,
-            messageId: event.sg_message_id,
-            emailId: email.id,
-            status: "success",
-          });
-          break;
-
-        case "click":
-          // Update the email record
-          const { error: clickError } = await supabase
-            .from("emails")
-            .update({
-              status: "clicked",
-              clicked_at: new Date(event.timestamp * 1000).toISOString(),
-              updated_at: new Date().toISOString(),
-            })
-            .eq("id", email.id);
-
-          if (clickError) {
-            throw clickError;
-          }
+      case "delivered":
+        await recordEmailEvent(email, "delivered", event, supabase);
+        return { ...result, status: "success" };
 
-          results.push({
-            event: event.event,
-            messageId: event.sg_message_id,
-            emailId: email.id,
-            status: "success",
-            url: event.url,
-          });
-          break;
-
-        case "bounce":
-          // Update the email record
-          const { error: bounceError } = await supabase
-            .from("emails")
-            .update({
-              status: "bounced",
-              updated_at: new Date().toISOString(),
-            })
-            .eq("id", email.id);
-
-          if (bounceError) {
-            throw bounceError;
-          }
+      case "deferred":
+        await recordEmailEvent(email, "deferred", event, supabase);
+        return { ...result, status: "success", reason: event.reason };
 
-          // Update the company record
-          const { error: companyError } = await supabase
-            .from("companies")
-            .update({
-              email_verified: false,
-              updated_at: new Date().toISOString(),
-            })
-            .eq("id", email.company_id);
-
-          if (companyError) {
-            throw companyError;
-          }
+      case "dropped": {
+        const reason = dropReasons[event.reason];
+
+        // A previously bounced address is handled like a new bounce
+        if (reason === "hard_bounce") {
+          await addSuppression(email, event, reason, supabase);
+          const nextContact = await fallBackToNextContact(email, supabase);
+          await recordEmailEvent(email, "dropped", event, supabase);
 
-          results.push({
-            event: event.event,
-            messageId: event.sg_message_id,
-            emailId: email.id,
+          return {
+            ...result,
             status: "success",
             reason: event.reason,
-          });
-          break;
-
-        default:
-          results.push({
-            event: event.event,
-            messageId: event.sg_message_id,
-            emailId: email.id,
-            status: "skipped",
-            reason: "Unsupported event type",
-          });
+            nextContact: nextContact ? nextContact.email : null,
+          };
+        }
+
+        if (reason) {
+          await addSuppression(email, event, reason, supabase);
+          await markCompanyAsUnsubscribed(email, supabase);
+        }
+
+        await recordEmailEvent(email, "dropped", event, supabase);
+        return { ...result, status: "success", reason: event.reason };
+      }
+
+      case "open":
+        await recordEmailEvent(email, "opened", event, supabase);
+        return { ...result, status: "success" };
+
+      case "click":
+        await recordEmailEvent(email, "clicked", event, supabase);
+        return { ...result, status: "success", url: event.url };
+
+      case "bounce": {
+        // A block (e.g. the sending IP on a blocklist) says nothing about the
+        // address, so the email is deferred and the contact kept
+        if (event.bounceType === "blocked") {
+          await recordEmailEvent(email, "deferred", event, supabase);
+          return { ...result, status: "success", reason: event.reason };
+        }
+
+        await addSuppression(email, event, "hard_bounce", supabase);
+
+        // Fall back to the company's next contact
+        const nextContact = await fallBackToNextContact(email, supabase);
+        await recordEmailEvent(email, "bounced", event, supabase);
+
+        return {
+          ...result,
+          status: "success",
+          reason: event.reason,
+          nextContact: nextContact ? nextContact.email : null,
+        };
       }
-    } catch (error) {
-      console.error(`Error processing SendGrid event ${event.event}:`, error);
-      results.push({
-        event: event.event,
-        messageId: event.sg_message_id,
-        status: "error",
-        error: error.message,
-      });
+
+      case "spamreport":
+      case "unsubscribe":
+      case "group_unsubscribe":
+        await addSuppression(
+          email,
+          event,
+          event.type === "spamreport" ? "spam_report" : "unsubscribed",
+          supabase
+        );
+        await markCompanyAsUnsubscribed(email, supabase);
+        await recordEmailEvent(
+          email,
+          event.type === "spamreport" ? "spam_reported" : "unsubscribed",
+          event,
+          supabase
+        );
+        return { ...result, status: "success" };
+
+      default:
+        return {
+          ...result,
+          status: "skipped",
+          reason: "Unsupported event type",
+        };
+    }
+  } catch (error) {
+    if (error.code === "EMAIL_EVENT_DUPLICATE") {
+      return { ...result, status: "skipped", reason: "Already recorded" };
     }
+
+    console.error(
+      `Error processing ${event.provider} event ${event.name}:`,
+      error
+    );
+    return { ...result, status: "error", error: error.message };
   }
+}
 
-  return {
-    success: true,
-    message: `Processed ${results.length} SendGrid events`,
-    results,
-  };
+/**
+ * Add an event to an email's history
+ *
+ * Mirrors recordEmailEvent in backend/api/emailEvents.js, which this
+ * Function node cannot import. The email's summary (status, first and last
+ * open and click, counts) is updated by the summarise_email_event trigger
+ * on email_events, so a late open leaves a clicked email "clicked". An event whose
+ * provider event ID is already recorded is refused with an
+ * EMAIL_EVENT_DUPLICATE error.
+ * @param {Object} email - Email record
+ * @param {String} type - Event type (an email status)
+ * @param {Object} event - Event from the provider
+ * @param {Object} supabase - Supabase client
+ * @returns {Promise<void>}
+ */
+async function recordEmailEvent(email, type, event, supabase) {
+  // Unix seconds; events without one are dated when they arrive
+  const timestamp = Number(event.timestamp);
+  const occurredAt =
+    timestamp > 0
+      ? new Date(timestamp * 1000).toISOString()
+      : new Date().toISOString();
+
+  const { error } = await supabase.from("email_events").insert([
+    {
+      email_id: email.id,
+      type,
+      occurred_at: occurredAt,
+      provider: event.provider,
+      provider_event_id: event.eventId || null,
+      url: event.url || null,
+      user_agent: event.userAgent || null,
+      reason: event.reason || null,
+      payload: event.payload || null,
+    },
+  ]);
+
+  // 23505 is "unique violation": the provider sent the event again
+  if (error && error.code === "23505" && event.eventId) {
+    const duplicate = new Error(
+      `${event.provider} event ${event.eventId} was already recorded`
+    );
+    duplicate.code = "EMAIL_EVENT_DUPLICATE";
+    throw duplicate;
+  }
+
+  if (error) {
+    throw error;
+  }
 }
 
 /**
- * Process a Mailgun webhook event
- * @param {Object} payload - Mailgun webhook payload
+ * Mark the company an email was sent to as unsubscribed
+ * @param {Object} email - Email record
  * @param {Object} supabase - Supabase client
- * @returns {Promise<Object>} - Processing result
+ * @returns {Promise<void>}
  */
-async function processMailgunWebhook(payload, supabase) {
-  try {
-    // Get the email record by message ID
-    const { data: emails, error: emailError } = await supabase
+async function markCompanyAsUnsubscribed(email, supabase) {
+  const { error } = await supabase
+    .from("companies")
+    .update({ status: "unsubscribed", updated_at: new Date().toISOString() })
+    .eq("id", email.company_id);
+
+  if (error) {
+    throw error;
+  }
+}
+
+/**
+ * Find the email an event is about
+ *
+ * Mirrors findEmailForEvent in backend/api/emails.js, which this Function
+ * node cannot import: the email ID sent along with the email first, then
+ * the provider's message ID or the stored message ID it extends (SendGrid
+ * adds ".filter..." segments to the x-message-id).
+ * @param {Object} ids - Identifiers from the event ({ emailId, messageId })
+ * @param {Object} supabase - Supabase client
+ * @returns {Promise<Object|null>} - Email record, or null if none matches
+ */
+async function findEmailForEvent({ emailId, messageId }, supabase) {
+  if (
+    emailId &&
+    /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(
+      emailId
+    )
+  ) {
+    const { data, error } = await supabase
       .from("emails")
       .select("*")
-      .eq("message_id", payload["message-id"])
+      .eq("id", emailId)
       .limit(1);
 
-    if (emailError) {
-      throw emailError;
+    if (error) {
+      throw error;
     }
 
-    // If no email found, return an error
-    if (!emails || emails.length === 0) {
-      return {
-        success: false,
-        error: "Email not found",
-        messageId: payload["message-id"],
-      };
+    if (data[0]) {
+      return data[0];
     }
+  }
 
-    const email = emails[0];
-
-    // Update the email record based on the event type
-    switch (payload.event) {
-      case "opened":
-        // Update the email record
-        const { error: openError } = await supabase
-          .from("emails")
-          .update({
-            status: "opened",
-            opened_at: new Date(payload.timestamp * 1000).toISOString(),
-            updated_at: new Date().toISOString(),
-          })
-          .eq("id", email.id);
+  if (!messageId) {
+    return null;
+  }
 
-        if (openError) {
-          throw openError;
-        }
+  const id = messageId.trim().replace(/^<|>$/g, "");
+  const parts = id.split(".");
+  const { data, error } = await supabase
+    .from("emails")
+    .select("*")
+    .in(
+      "message_id",
+      parts.map((_, index) => parts.slice(0, index + 1).join("."))
+    );
+
+  if (error) {
+    throw error;
+  }
 
-        return {
-          success: true,
-          event: payload.event,
-          messageId: payload["message-id"],
-          emailId: email.id,
-        };
+  return (
+    data.sort((a, b) => b.message_id.length - a.message_id.length)[0] || null
+  );
+}
 
-      case "clicked":
-        // Update the email record
-        const { error: clickError } = await supabase
-          .from("emails")
-          .update({
-            status: "clicked",
-            clicked_at: new Date(payload.timestamp * 1000).toISOString(),
-            updated_at: new Date().toISOString(),
-          })
-          .eq("id", email.id);
+/**
+ * Retire the bounced contact and reopen the company for its next contact
+ *
+ * Mirrors fallBackToNextContact in backend/api/contacts.js, which this
+ * Function node cannot import. The company only moves on when the bounce is
+ * about its latest email and it is still "contacted".
+ * @param {Object} email - Bounced email record
+ * @param {Object} supabase - Supabase client
+ * @returns {Promise<Object|null>} - Next contact, or null if none is left or the company stays as it is
+ */
+async function fallBackToNextContact(email, supabase) {
+  if (email.contact_id) {
+    const { error: contactError } = await supabase
+      .from("contacts")
+      .update({ verification_status: "bounced" })
+      .eq("id", email.contact_id);
+
+    if (contactError) {
+      throw contactError;
+    }
+  }
 
-        if (clickError) {
-          throw clickError;
-        }
+  // A later email to the company means this bounce is late or repeated
+  const { data: latest, error: latestError } = await supabase
+    .from("emails")
+    .select("id")
+    .eq("company_id", email.company_id)
+    .not("sent_at", "is", null)
+    .order("sent_at", { ascending: false })
+    .limit(1);
+
+  if (latestError) {
+    throw latestError;
+  }
 
-        return {
-          success: true,
-          event: payload.event,
-          messageId: payload["message-id"],
-          emailId: email.id,
-          url: payload.url,
-        };
+  if (latest.length === 0 || latest[0].id !== email.id) {
+    return null;
+  }
 
-      case "bounced":
-        // Update the email record
-        const { error: bounceError } = await supabase
-          .from("emails")
-          .update({
-            status: "bounced",
-            updated_at: new Date().toISOString(),
-          })
-          .eq("id", email.id);
+  // Usable contacts, best verification and confidence first
+  const { data: contacts, error: contactsError } = await supabase
+    .from("contacts")
+    .select("*")
+    .eq("company_id", email.company_id)
+    .not("verification_status", "in", "(invalid,disposable,bounced)")
+    .order("confidence", { ascending: false, nullsFirst: false });
 
-        if (bounceError) {
-          throw bounceError;
-        }
+  if (contactsError) {
+    throw contactsError;
+  }
 
-        // Update the company record
-        const { error: companyError } = await supabase
-          .from("companies")
-          .update({
+  const nextContact =
+    contacts.find((contact) => contact.verification_status === "valid") ||
+    contacts[0];
+
+  const { data: updated, error: companyError } = await supabase
+    .from("companies")
+    .update(
+      nextContact
+        ? {
+            status: "pending",
+            contact_email: nextContact.email,
+            email_verified: nextContact.verification_status === "valid",
+            updated_at: new Date().toISOString(),
+          }
+        : {
+            status: "unreachable",
+            unreachable_reason: "Every contact bounced",
             email_verified: false,
             updated_at: new Date().toISOString(),
-          })
-          .eq("id", email.company_id);
+          }
+    )
+    .eq("id", email.company_id)
+    // Only a company still waiting for an answer moves on
+    .eq("status", "contacted")
+    .select();
+
+  if (companyError) {
+    throw companyError;
+  }
 
-        if (companyError) {
-          throw companyError;
-        }
+  return updated.length > 0 ? nextContact || null : null;
+}
 
-        return {
-          success: true,
-          event: payload.event,
-          messageId: payload["message-id"],
-          emailId: email.id,
-          reason: payload.reason,
-        };
+/**
+ * Add the recipient of an email to the suppression list
+ *
+ * Mirrors addSuppression in backend/api/suppressions.js, which this
+ * Function node cannot import. Entries added here never expire.
+ * @param {Object} email - Email record the event is about
+ * @param {Object} event - Event; its recipient (default: the email's to_email) and provider are recorded
+ * @param {String} reason - hard_bounce, spam_report or unsubscribed
+ * @param {Object} supabase - Supabase client
+ * @returns {Promise<void>}
+ */
+async function addSuppression(email, event, reason, supabase) {
+  const address = (event.recipient || email.to_email || "")
+    .trim()
+    .toLowerCase();
 
-      default:
-        return {
-          success: false,
-          error: `Unsupported event type: ${payload.event}`,
-          messageId: payload["message-id"],
-          emailId: email.id,
-        };
-    }
-  } catch (error) {
-    console.error(`Error processing Mailgun event ${payload.event}:`, error);
-    return {
-      success: false,
-      error: error.message,
-      event: payload.event,
-      messageId: payload["message-id"],
-    };
+  if (!address) {
+    return;
+  }
+
+  const { data: existing, error: existingError } = await supabase
+    .from("suppressions")
+    .select("id, expires_at")
+    .eq("email", address)
+    .limit(1);
+
+  if (existingError) {
+    throw existingError;
+  }
+
+  const suppression = {
+    email: address,
+    domain: address.split("@").pop(),
+    reason,
+    source: event.provider,
+    email_id: email.id,
+    company_id: email.company_id,
+    expires_at: null,
+  };
+
+  // Permanent entries stay as they are; expiring ones become permanent
+  const { error } =
+    existing.length === 0
+      ? await supabase.from("suppressions").insert([suppression])
+      : existing[0].expires_at
+        ? await supabase
+            .from("suppressions")
+            .update({ ...suppression, updated_at: new Date().toISOString() })
+            .eq("id", existing[0].id)
+        : { error: null };
+
+  if (error) {
+    throw error;
   }
 }
 
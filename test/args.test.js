@@ -0,0 +1,62 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+
+import { parseArgs } from "../backend/cli/args.js";
+
+test("separates positionals from flags and camel-cases flag names", () => {
+  const args = parseArgs(["companies", "list", "--status", "pending"]);
+
+  assert.deepEqual(args, {
+    positionals: ["companies", "list"],
+    flags: { status: "pending" },
+  });
+  assert.deepEqual(parseArgs(["--dry-run-output", "out"]).flags, {
+    dryRunOutput: "out",
+  });
+});
+
+test("reads --key=value, keeping later equals signs in the value", () => {
+  const { flags } = parseArgs(["--mapping=Company=name,Site=website"]);
+
+  assert.deepEqual(flags, { mapping: "Company=name,Site=website" });
+});
+
+test("boolean flags never consume the next argument", () => {
+  const args = parseArgs(["run", "--dry-run", "extra"], {
+    booleanFlags: ["dry-run"],
+  });
+
+  assert.deepEqual(args, {
+    positionals: ["run", "extra"],
+    flags: { dryRun: true },
+  });
+});
+
+test("other flags take the next argument unless it is a flag", () => {
+  const { flags } = parseArgs(["--limit", "5", "--json", "--verbose"]);
+
+  assert.deepEqual(flags, { limit: "5", json: true, verbose: true });
+});
+
+test("--no-flag turns a boolean flag off", () => {
+  const { flags } = parseArgs(["--no-verify"], { booleanFlags: ["verify"] });
+
+  assert.deepEqual(flags, { verify: false });
+});
+
+test("--no- is part of the name for flags that are not boolean", () => {
+  const { flags } = parseArgs(["--no-reply", "me@example.com"]);
+
+  assert.deepEqual(flags, { noReply: "me@example.com" });
+});
+
+test("everything after -- is positional", () => {
+  const args = parseArgs(["verify", "--", "--not-a-flag", "x"], {
+    booleanFlags: ["json"],
+  });
+
+  assert.deepEqual(args, {
+    positionals: ["verify", "--not-a-flag", "x"],
+    flags: {},
+  });
+});
@@ -0,0 +1,170 @@
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import { after, beforeEach, test } from "node:test";
+
+import { setEnvironment } from "./helpers/environment.js";
+import { startPostgrest } from "./helpers/postgrest.js";
+
+const postgrest = await startPostgrest();
+setEnvironment({ SUPABASE_URL: postgrest.url });
+
+const {
+  importCompanies,
+  mapCompanyRecord,
+  parseColumnMapping,
+  readCompanyFile,
+  validateCompany,
+} = await import("../backend/import/companyImporter.js");
+
+after(() => postgrest.close());
+
+beforeEach(() => {
+  postgrest.db.companies = [
+    {
+      id: "existing-1",
+      name: "Acme Corp.",
+      website: "https://www.acme.com",
+      domain: "acme.com",
+      priority: 3,
+    },
+  ];
+});
+
+test("maps column aliases and an extra mapping onto company fields", () => {
+  const company = mapCompanyRecord(
+    {
+      "Company Name": " Beta ",
+      URL: "beta.io",
+      Employees: "50",
+      "Hiring Manager": "Jane Doe",
+      Unknown: "ignored",
+      Notes: "",
+    },
+    { "Hiring Manager": "contact_name" }
+  );
+
+  assert.deepEqual(company, {
+    name: "Beta",
+    website: "beta.io",
+    company_size: "50",
+    contact_name: "Jane Doe",
+  });
+});
+
+test("validates companies and derives the domain and website", () => {
+  assert.deepEqual(
+    validateCompany({
+      name: "Beta",
+      website: "www.Beta.io/jobs",
+      priority: "2",
+    }),
+    {
+      company: {
+        name: "Beta",
+        website: "https://beta.io",
+        domain: "beta.io",
+        priority: 2,
+      },
+      errors: [],
+    }
+  );
+
+  assert.deepEqual(
+    validateCompany({
+      website: "not a website",
+      contact_email: "Nobody",
+      priority: "9",
+    }).errors,
+    [
+      "Missing name",
+      'Invalid website "not a website"',
+      'Invalid contact email "nobody"',
+      'Invalid priority "9" (expected 1-5)',
+    ]
+  );
+});
+
+test("parses a column mapping and rejects unknown fields", () => {
+  assert.deepEqual(parseColumnMapping("Firm=name, Site = website"), {
+    Firm: "name",
+    Site: "website",
+  });
+  assert.throws(() => parseColumnMapping("Firm=ceo"), /Invalid column mapping/);
+});
+
+test("reads CSV and JSON files", async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "company-import-"));
+  const csvFile = path.join(dir, "companies.csv");
+  const jsonFile = path.join(dir, "companies.json");
+
+  await fs.writeFile(csvFile, "name,website\nBeta,beta.io\n");
+  await fs.writeFile(jsonFile, JSON.stringify([{ name: "Gamma" }]));
+
+  try {
+    assert.deepEqual(await readCompanyFile(csvFile), [
+      { name: "Beta", website: "beta.io" },
+    ]);
+    assert.deepEqual(await readCompanyFile(jsonFile), [{ name: "Gamma" }]);
+    await assert.rejects(
+      readCompanyFile(csvFile, "xml"),
+      /Unsupported import format "xml"/
+    );
+  } finally {
+    await fs.rm(dir, { recursive: true });
+  }
+});
+
+test("inserts new companies and reports invalid and duplicate rows", async () => {
+  const report = await importCompanies([
+    { name: "Beta", website: "beta.io" },
+    { name: "No Website" },
+    { name: "Beta Again", website: "https://beta.io/about" },
+    { name: "Acme Inc", website: "acme-labs.com" },
+    { name: "Gamma GmbH", website: "gamma.de", priority: "1" },
+    { name: "gamma", website: "gamma.com" },
+  ]);
+
+  assert.deepEqual(
+    report.inserted.map(({ row, name }) => ({ row, name })),
+    [
+      { row: 1, name: "Beta" },
+      { row: 5, name: "Gamma GmbH" },
+    ]
+  );
+  assert.deepEqual(report.updated, []);
+  assert.deepEqual(report.skipped, [
+    { row: 2, name: "No Website", reason: "Missing website" },
+    {
+      row: 3,
+      name: "Beta Again",
+      reason: "Duplicate of row 1 in the file (domain beta.io)",
+    },
+    {
+      row: 4,
+      name: "Acme Inc",
+      reason: "Already exists as Acme Corp. (existing-1), matched by name",
+    },
+    { row: 6, name: "gamma", reason: "Duplicate of row 5 in the file (name)" },
+  ]);
+
+  const gamma = postgrest.db.companies.find((row) => row.name === "Gamma GmbH");
+  assert.equal(gamma.domain, "gamma.de");
+  assert.equal(gamma.website, "https://gamma.de");
+  assert.equal(gamma.priority, 1);
+});
+
+test("updates existing companies with upsert", async () => {
+  const report = await importCompanies(
+    [{ company: "Acme", site: "acme.com", sector: "Robotics" }],
+    { upsert: true }
+  );
+
+  assert.deepEqual(report.inserted, []);
+  assert.deepEqual(report.updated, [
+    { row: 1, id: "existing-1", name: "Acme", matchedBy: "domain" },
+  ]);
+  assert.equal(postgrest.db.companies.length, 1);
+  assert.equal(postgrest.db.companies[0].industry, "Robotics");
+});
@@ -0,0 +1,50 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+
+import { parseCsv } from "../backend/import/csv.js";
+
+test("keys rows by the trimmed header row", () => {
+  const rows = parseCsv(" name , website\nAcme , acme.com\n");
+
+  assert.deepEqual(rows, [{ name: "Acme", website: "acme.com" }]);
+});
+
+test("reads quoted fields with delimiters, line breaks and escaped quotes", () => {
+  const rows = parseCsv(
+    'name,notes\n"Acme, Inc.","Said ""hi""\non the phone"\n'
+  );
+
+  assert.deepEqual(rows, [
+    { name: "Acme, Inc.", notes: 'Said "hi"\non the phone' },
+  ]);
+});
+
+test("handles CRLF, a byte order mark and a last line without a newline", () => {
+  const rows = parseCsv("\uFEFFname,website\r\nAcme,acme.com\r\nBeta,beta.io");
+
+  assert.deepEqual(rows, [
+    { name: "Acme", website: "acme.com" },
+    { name: "Beta", website: "beta.io" },
+  ]);
+});
+
+test("skips blank rows and fills missing trailing fields", () => {
+  const rows = parseCsv("name,website,industry\n\n , ,\nAcme,acme.com\n");
+
+  assert.deepEqual(rows, [{ name: "Acme", website: "acme.com", industry: "" }]);
+});
+
+test("uses another delimiter when asked", () => {
+  const rows = parseCsv("name;website\nAcme;acme.com", { delimiter: ";" });
+
+  assert.deepEqual(rows, [{ name: "Acme", website: "acme.com" }]);
+});
+
+test("returns nothing for empty input", () => {
+  assert.deepEqual(parseCsv(""), []);
+  assert.deepEqual(parseCsv("name,website\n"), []);
+});
+
+test("rejects an unterminated quoted field", () => {
+  assert.throws(() => parseCsv('name\n"Acme'), /unterminated quoted field/);
+});
@@ -0,0 +1,47 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+
+import { countEmailStatistics } from "../backend/utils/emailStatistics.js";
+
+const AT = "2024-01-01T10:00:00Z";
+
+test("counts engagement from timestamps, not the current status", () => {
+  const stats = countEmailStatistics([
+    // Clicked: also opened
+    { status: "clicked", sent_at: AT, opened_at: AT, clicked_at: AT },
+    // Replied after opening
+    { status: "replied", sent_at: AT, opened_at: AT, replied_at: AT },
+    // Reported as spam after opening
+    { status: "spam_reported", sent_at: AT, opened_at: AT },
+    // Delivered, not opened
+    { status: "delivered", sent_at: AT },
+    // Bounced, then unsubscribed
+    { status: "unsubscribed", sent_at: AT, bounced_at: AT },
+    // Never sent
+    { status: "pending_approval" },
+  ]);
+
+  assert.deepEqual(stats, {
+    total: 6,
+    sent: 5,
+    opened: 3,
+    clicked: 1,
+    replied: 1,
+    bounced: 1,
+    openRate: 60,
+    clickRate: (1 / 3) * 100,
+    replyRate: 20,
+    bounceRate: 20,
+  });
+});
+
+test("reports rates of 0 when nothing was sent", () => {
+  const stats = countEmailStatistics([{ status: "draft" }]);
+
+  assert.equal(stats.total, 1);
+  assert.equal(stats.sent, 0);
+  assert.equal(stats.openRate, 0);
+  assert.equal(stats.clickRate, 0);
+  assert.equal(stats.replyRate, 0);
+  assert.equal(stats.bounceRate, 0);
+});
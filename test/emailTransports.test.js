@@ -0,0 +1,128 @@
+import assert from "node:assert/strict";
+import { after, test } from "node:test";
+
+import { setEnvironment } from "./helpers/environment.js";
+import { startHttpServer } from "./helpers/httpServer.js";
+import { startSmtpServer } from "./helpers/smtpServer.js";
+
+const smtpServer = await startSmtpServer();
+const mailgunApi = await startHttpServer(() => ({
+  status: 200,
+  body: { id: "<20261019.1@mg.example.com>", message: "Queued. Thank you." },
+}));
+setEnvironment({
+  SMTP_HOST: "127.0.0.1",
+  SMTP_PORT: String(smtpServer.port),
+  SMTP_FROM_EMAIL: "me@example.com",
+  MAILGUN_API_KEY: "mailgun-key",
+  MAILGUN_DOMAIN: "mg.example.com",
+  MAILGUN_FROM_EMAIL: "me@mg.example.com",
+  MAILGUN_API_URL: `${mailgunApi.url}/`,
+});
+
+const smtp = await import("../backend/api/emailTransports/smtp.js");
+const mailgun = await import("../backend/api/emailTransports/mailgun.js");
+
+const EMAIL_ID = "7b0e3b1c-6a52-4d0f-9d7e-0c9f3a1e2b4d";
+
+const MESSAGE = {
+  to: "jane@acme.com",
+  cc: "bob@acme.com",
+  subject: "Hello",
+  text: "Hi Jane",
+  html: "<p>Hi Jane</p>",
+  replyTo: "replies@example.com",
+  headers: { "List-Unsubscribe": "<https://example.com/unsubscribe>" },
+  metadata: { email_id: EMAIL_ID, company_id: 42 },
+  attachments: [
+    {
+      filename: "resume.txt",
+      content: Buffer.from("My resume").toString("base64"),
+      type: "text/plain",
+    },
+  ],
+};
+
+after(() => Promise.all([smtpServer.close(), mailgunApi.close()]));
+
+/**
+ * Get a header of a raw message
+ * @param {String} data - Raw message
+ * @param {String} header - Header name
+ * @returns {String|undefined} - Header value
+ */
+function headerOf(data, header) {
+  const match = data.match(new RegExp(`^${header}: (.*)$`, "im"));
+  return match ? match[1] : undefined;
+}
+
+test("SMTP sends the message with metadata as X-Metadata headers", async () => {
+  const { messageId } = await smtp.send(MESSAGE);
+
+  const [message] = smtpServer.messages;
+  assert.equal(message.from, "me@example.com");
+  assert.deepEqual(message.to, ["jane@acme.com", "bob@acme.com"]);
+  assert.equal(headerOf(message.data, "X-Metadata-Email-Id"), EMAIL_ID);
+  assert.equal(headerOf(message.data, "X-Metadata-Company-Id"), "42");
+  assert.equal(
+    headerOf(message.data, "List-Unsubscribe"),
+    "<https://example.com/unsubscribe>"
+  );
+  assert.equal(headerOf(message.data, "Reply-To"), "replies@example.com");
+  assert.match(message.data, /filename=resume\.txt/);
+  assert.ok(
+    message.data.includes(Buffer.from("My resume").toString("base64")),
+    "attachment content"
+  );
+
+  assert.doesNotMatch(messageId, /[<>]/);
+  assert.equal(headerOf(message.data, "Message-ID"), `<${messageId}>`);
+});
+
+test("Mailgun posts the message as a form and strips the id's brackets", async () => {
+  const { messageId } = await mailgun.send(MESSAGE);
+
+  assert.equal(messageId, "20261019.1@mg.example.com");
+
+  const [request] = mailgunApi.requests;
+  assert.equal(request.method, "POST");
+  assert.equal(request.url.pathname, "/v3/mg.example.com/messages");
+  assert.equal(
+    request.headers.authorization,
+    `Basic ${Buffer.from("api:mailgun-key").toString("base64")}`
+  );
+
+  const form = await new Response(request.body, {
+    headers: { "Content-Type": request.headers["content-type"] },
+  }).formData();
+  assert.equal(form.get("from"), "me@mg.example.com");
+  assert.equal(form.get("to"), "jane@acme.com");
+  assert.equal(form.get("cc"), "bob@acme.com");
+  assert.equal(form.get("h:Reply-To"), "replies@example.com");
+  assert.equal(
+    form.get("h:List-Unsubscribe"),
+    "<https://example.com/unsubscribe>"
+  );
+  assert.equal(form.get("v:email_id"), EMAIL_ID);
+  assert.equal(form.get("v:company_id"), "42");
+
+  const attachment = form.get("attachment");
+  assert.equal(attachment.name, "resume.txt");
+  assert.equal(await attachment.text(), "My resume");
+});
+
+test("Mailgun errors carry the HTTP status", async () => {
+  mailgunApi.handler = () => ({
+    status: 400,
+    body: "'to' parameter is missing",
+  });
+
+  await assert.rejects(mailgun.send(MESSAGE), (error) => {
+    assert.equal(error.statusCode, 400);
+    assert.equal(
+      error.message,
+      "Mailgun API returned 400: 'to' parameter is missing"
+    );
+    return true;
+  });
+});
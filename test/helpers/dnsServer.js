@@ -0,0 +1,125 @@
+import dgram from "node:dgram";
+
+/**
+ * Fake DNS Server - Answers MX and A queries over UDP from a table of
+ * zones, for the local verifier's mail server checks
+ *
+ * Zones look like { "acme.com": { mx: ["mx.acme.com"], a: ["192.0.2.1"] } }.
+ * An empty MX exchange is a null MX (RFC 7505), `servfail: true` makes
+ * every query for the name fail, and unknown names do not exist.
+ */
+
+// DNS record types
+const TYPE_A = 1;
+const TYPE_MX = 15;
+
+// Response codes
+const NOERROR = 0;
+const SERVFAIL = 2;
+const NXDOMAIN = 3;
+
+/**
+ * Start a fake DNS server on a free port
+ * @param {Object} zones - Records by name
+ * @returns {Promise<Object>} - Server ({ address, close }), address being "127.0.0.1:port"
+ */
+export async function startDnsServer(zones) {
+  const socket = dgram.createSocket("udp4");
+
+  socket.on("message", (query, sender) => {
+    socket.send(answer(query, zones), sender.port, sender.address);
+  });
+
+  await new Promise((resolve) => socket.bind(0, "127.0.0.1", resolve));
+
+  return {
+    address: `127.0.0.1:${socket.address().port}`,
+    close: () => new Promise((resolve) => socket.close(resolve)),
+  };
+}
+
+/**
+ * Build the response to a query
+ * @param {Buffer} query - DNS query with one question
+ * @param {Object} zones - Records by name
+ * @returns {Buffer} - DNS response
+ */
+function answer(query, zones) {
+  const labels = [];
+  let offset = 12;
+
+  while (query[offset] > 0) {
+    labels.push(
+      query.toString("ascii", offset + 1, offset + 1 + query[offset])
+    );
+    offset += query[offset] + 1;
+  }
+
+  const type = query.readUInt16BE(offset + 1);
+  const question = query.subarray(12, offset + 5);
+  const zone = zones[labels.join(".").toLowerCase()];
+  const records = [];
+
+  if (zone && type === TYPE_MX) {
+    for (const exchange of zone.mx || []) {
+      records.push(
+        record(
+          TYPE_MX,
+          Buffer.concat([Buffer.from([0, 10]), encodeName(exchange)])
+        )
+      );
+    }
+  }
+
+  if (zone && type === TYPE_A) {
+    for (const address of zone.a || []) {
+      records.push(record(TYPE_A, Buffer.from(address.split(".").map(Number))));
+    }
+  }
+
+  const code = !zone ? NXDOMAIN : zone.servfail ? SERVFAIL : NOERROR;
+  const header = Buffer.alloc(12);
+  header.writeUInt16BE(query.readUInt16BE(0), 0);
+  // Response, recursion desired and available
+  header.writeUInt16BE(0x8180 | code, 2);
+  header.writeUInt16BE(1, 4);
+  header.writeUInt16BE(code === NOERROR ? records.length : 0, 6);
+
+  return Buffer.concat([
+    header,
+    question,
+    ...(code === NOERROR ? records : []),
+  ]);
+}
+
+/**
+ * Build a resource record for the queried name
+ * @param {Number} type - Record type
+ * @param {Buffer} data - Record data
+ * @returns {Buffer} - Resource record
+ */
+function record(type, data) {
+  const fields = Buffer.alloc(12);
+  // Pointer to the name in the question
+  fields.writeUInt16BE(0xc00c, 0);
+  fields.writeUInt16BE(type, 2);
+  fields.writeUInt16BE(1, 4);
+  fields.writeUInt32BE(60, 6);
+  fields.writeUInt16BE(data.length, 10);
+  return Buffer.concat([fields, data]);
+}
+
+/**
+ * Encode a domain name as DNS labels
+ * @param {String} name - Domain name ("" for the root)
+ * @returns {Buffer} - Encoded name
+ */
+function encodeName(name) {
+  const labels = name.split(".").filter(Boolean);
+  return Buffer.concat([
+    ...labels.map((label) =>
+      Buffer.concat([Buffer.from([label.length]), Buffer.from(label)])
+    ),
+    Buffer.from([0]),
+  ]);
+}
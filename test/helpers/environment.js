@@ -0,0 +1,23 @@
+/**
+ * Test Environment - Settings for the backend modules under test
+ *
+ * The modules read their settings once, when they are imported, so set
+ * the environment first and import them dynamically afterwards. Values set
+ * here win over config/.env, which dotenv never lets override them.
+ */
+
+/**
+ * Set environment variables for the modules about to be imported
+ * @param {Object} values - Variables to set ({ NAME: value })
+ */
+export function setEnvironment(values = {}) {
+  // supabase-js creates a realtime client, which needs a WebSocket that
+  // Node < 22 does not have; these tests never use realtime
+  globalThis.WebSocket ??= class WebSocket {};
+
+  Object.assign(process.env, {
+    SUPABASE_URL: "http://127.0.0.1:9",
+    SUPABASE_KEY: "test-key",
+    ...values,
+  });
+}
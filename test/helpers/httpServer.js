@@ -0,0 +1,45 @@
+import http from "node:http";
+
+/**
+ * Fake API Server - A local HTTP server standing in for a third-party API
+ * (Hunter, Mailgun, ...), answering with whatever the test's handler
+ * returns and recording every request
+ */
+
+/**
+ * Start a fake API server on a free port
+ * @param {Function} handler - (request) => { status, headers, body }, where request is { method, url, headers, body }; object bodies are sent as JSON
+ * @returns {Promise<Object>} - Server ({ url, requests, handler, close }); handler can be replaced between tests
+ */
+export async function startHttpServer(handler) {
+  const fake = { requests: [], handler };
+
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on("data", (chunk) => chunks.push(chunk));
+    req.on("end", async () => {
+      const request = {
+        method: req.method,
+        url: new URL(req.url, "http://localhost"),
+        headers: req.headers,
+        body: Buffer.concat(chunks),
+      };
+      fake.requests.push(request);
+
+      const response = (await fake.handler(request)) || { status: 404 };
+      const json = response.body !== null && typeof response.body === "object";
+
+      res.writeHead(response.status || 200, {
+        ...(json ? { "Content-Type": "application/json" } : {}),
+        ...response.headers,
+      });
+      res.end(json ? JSON.stringify(response.body) : response.body);
+    });
+  });
+
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+
+  fake.url = `http://127.0.0.1:${server.address().port}`;
+  fake.close = () => new Promise((resolve) => server.close(resolve));
+  return fake;
+}
@@ -0,0 +1,302 @@
+import crypto from "node:crypto";
+import http from "node:http";
+
+/**
+ * Fake PostgREST - An in-memory stand-in for the Supabase REST API, with
+ * the filters, ordering, paging and unique constraints the API modules use
+ *
+ * Tables are plain arrays of rows in `db`. Rows get an `id` and a
+ * `created_at` when inserted, and upserts merge into the row with the same
+ * `on_conflict` columns. `unique` lists, per table, the column sets whose
+ * duplicates are rejected with 23505, and `fail(request)` can force a 500
+ * for some requests ({ method, table, body }).
+ */
+
+/**
+ * Start a fake PostgREST server on a free port
+ * @param {Object} options - Server options
+ * @param {Object} options.db - Initial tables ({ table: [rows] })
+ * @param {Object} options.unique - Unique column sets ({ table: [["col", ...]] })
+ * @returns {Promise<Object>} - Server ({ url, db, requests, fail, close })
+ */
+export async function startPostgrest(options = {}) {
+  const state = {
+    db: options.db || {},
+    unique: options.unique || {},
+    requests: [],
+    fail: null,
+  };
+
+  const server = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", (chunk) => (body += chunk));
+    req.on("end", () => {
+      const result = handleRequest(state, req, body);
+      res.writeHead(result.status, {
+        "Content-Type": "application/json",
+        ...result.headers,
+      });
+      res.end(result.body === undefined ? "" : JSON.stringify(result.body));
+    });
+  });
+
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    db: state.db,
+    requests: state.requests,
+    set fail(fail) {
+      state.fail = fail;
+    },
+    close: () => new Promise((resolve) => server.close(resolve)),
+  };
+}
+
+/**
+ * Answer one REST request
+ * @param {Object} state - Tables, unique constraints and failure hook
+ * @param {http.IncomingMessage} req - Request
+ * @param {String} body - Request body
+ * @returns {Object} - Response ({ status, headers, body })
+ */
+function handleRequest(state, req, body) {
+  const url = new URL(req.url, "http://localhost");
+  const match = url.pathname.match(/^\/rest\/v1\/(\w+)$/);
+
+  if (!match) {
+    return { status: 404, body: { message: "Not found" } };
+  }
+
+  const table = match[1];
+  const request = { method: req.method, table, body, url };
+  state.requests.push(request);
+
+  if (state.fail && state.fail(request)) {
+    return { status: 500, body: { code: "XX000", message: "Forced failure" } };
+  }
+
+  const rows = (state.db[table] ||= []);
+  const filters = [];
+  const onConflict = url.searchParams.get("on_conflict");
+  let order = [];
+  let limit;
+  let offset = 0;
+
+  for (const [key, value] of url.searchParams) {
+    if (key === "select" || key === "columns" || key === "on_conflict") {
+      continue;
+    } else if (key === "order") {
+      order = value.split(",").map((part) => part.split("."));
+    } else if (key === "limit") {
+      limit = Number(value);
+    } else if (key === "offset") {
+      offset = Number(value);
+    } else if (key === "or") {
+      const conditions = splitList(value.slice(1, -1)).map(parseCondition);
+      filters.push((row) =>
+        conditions.some(({ column, filter }) => matches(row[column], filter))
+      );
+    } else {
+      filters.push((row) => matches(row[key], value));
+    }
+  }
+
+  const selected = rows.filter((row) => filters.every((filter) => filter(row)));
+  const single = (req.headers.accept || "").includes("vnd.pgrst.object");
+  const now = new Date().toISOString();
+
+  const reply = (status, data) => {
+    if (!single) {
+      return { status, body: data };
+    }
+
+    return data.length === 1
+      ? { status, body: data[0] }
+      : {
+          status: 406,
+          body: { code: "PGRST116", message: "JSON object requested" },
+        };
+  };
+
+  switch (req.method) {
+    case "GET": {
+      let result = [...selected];
+
+      for (const [column, direction] of [...order].reverse()) {
+        result.sort(
+          (a, b) =>
+            compare(a[column], b[column]) * (direction === "desc" ? -1 : 1)
+        );
+      }
+
+      const range = (req.headers.range || "").match(/^(\d+)-(\d+)$/);
+
+      if (range) {
+        result = result.slice(Number(range[1]), Number(range[2]) + 1);
+      }
+
+      result = result.slice(offset, limit ? offset + limit : undefined);
+      return reply(200, result);
+    }
+    case "POST": {
+      const merge = (req.headers.prefer || "").includes("merge-duplicates");
+      const inserted = [];
+
+      for (const values of [].concat(JSON.parse(body || "[]"))) {
+        const existing =
+          merge &&
+          onConflict &&
+          rows.find((row) =>
+            onConflict
+              .split(",")
+              .every((column) => row[column] === values[column])
+          );
+
+        if (existing) {
+          inserted.push(Object.assign(existing, values));
+          continue;
+        }
+
+        const row = { id: crypto.randomUUID(), created_at: now, ...values };
+        const duplicate = (state.unique[table] || []).some((columns) =>
+          rows.some((other) =>
+            columns.every(
+              (column) => row[column] != null && other[column] === row[column]
+            )
+          )
+        );
+
+        if (duplicate) {
+          return {
+            status: 409,
+            body: {
+              code: "23505",
+              message: `duplicate key value violates unique constraint on ${table}`,
+            },
+          };
+        }
+
+        rows.push(row);
+        inserted.push(row);
+      }
+
+      return reply(201, inserted);
+    }
+    case "PATCH": {
+      const updates = JSON.parse(body || "{}");
+      selected.forEach((row) => Object.assign(row, updates));
+      return reply(200, selected);
+    }
+    case "DELETE": {
+      state.db[table] = rows.filter((row) => !selected.includes(row));
+      return reply(200, selected);
+    }
+    default:
+      return { status: 405, body: { message: "Method not allowed" } };
+  }
+}
+
+/**
+ * Check a value against a PostgREST filter such as "eq.5" or "in.(a,b)"
+ * @param {*} value - Column value
+ * @param {String} filter - Operator and operand
+ * @returns {Boolean} - Whether the value passes the filter
+ */
+function matches(value, filter) {
+  const [operator, ...rest] = filter.split(".");
+  const operand = rest.join(".");
+
+  switch (operator) {
+    case "not":
+      return !matches(value, operand);
+    case "eq":
+      return value != null && String(value) === operand;
+    case "neq":
+      return value == null || String(value) !== operand;
+    case "is":
+      return operand === "null" ? value == null : String(value) === operand;
+    case "in":
+      return splitList(operand.slice(1, -1)).includes(String(value));
+    case "lt":
+      return value != null && compare(value, operand) < 0;
+    case "lte":
+      return value != null && compare(value, operand) <= 0;
+    case "gt":
+      return value != null && compare(value, operand) > 0;
+    case "gte":
+      return value != null && compare(value, operand) >= 0;
+    case "ilike": {
+      const pattern = operand
+        .replace(/[.+?^${}()|[\]\\]/g, "\\$&")
+        .replace(/[*%]/g, ".*");
+      return value != null && new RegExp(`^${pattern}$`, "i").test(value);
+    }
+    default:
+      throw new Error(`Unsupported filter "${filter}"`);
+  }
+}
+
+/**
+ * Split a comma-separated PostgREST list, honouring quotes and parentheses
+ * @param {String} list - List without its enclosing parentheses
+ * @returns {Array<String>} - Items, unquoted
+ */
+function splitList(list) {
+  const items = [];
+  let item = "";
+  let quoted = false;
+  let depth = 0;
+
+  for (let i = 0; i < list.length; i++) {
+    const char = list[i];
+
+    if (quoted && char === "\\") {
+      item += list[++i];
+    } else if (char === '"') {
+      quoted = !quoted;
+    } else if (!quoted && char === "(") {
+      depth++;
+      item += char;
+    } else if (!quoted && char === ")") {
+      depth--;
+      item += char;
+    } else if (!quoted && depth === 0 && char === ",") {
+      items.push(item);
+      item = "";
+    } else {
+      item += char;
+    }
+  }
+
+  items.push(item);
+  return items;
+}
+
+/**
+ * Parse a condition of an or() filter, e.g. "status.eq.sent"
+ * @param {String} condition - Condition
+ * @returns {Object} - Column and filter ({ column, filter })
+ */
+function parseCondition(condition) {
+  const [column, ...filter] = condition.split(".");
+  return { column, filter: filter.join(".") };
+}
+
+/**
+ * Compare two column values, numbers numerically and the rest as strings
+ * @param {*} a - First value
+ * @param {*} b - Second value
+ * @returns {Number} - Negative, zero or positive
+ */
+function compare(a, b) {
+  if (a == null || b == null) {
+    return (a == null) - (b == null);
+  }
+
+  if (typeof a === "number" || typeof b === "number") {
+    return Number(a) - Number(b);
+  }
+
+  return String(a) < String(b) ? -1 : String(a) > String(b) ? 1 : 0;
+}
@@ -0,0 +1,73 @@
+import net from "node:net";
+
+/**
+ * Fake SMTP Server - Accepts every message over plain SMTP and keeps it,
+ * for the SMTP transport
+ */
+
+/**
+ * Start a fake SMTP server on a free port
+ * @returns {Promise<Object>} - Server ({ port, messages, close }); messages are { from, to, data }, data being the raw message
+ */
+export async function startSmtpServer() {
+  const messages = [];
+
+  const server = net.createServer((socket) => {
+    let buffer = "";
+    let message = { to: [] };
+    let data = null;
+
+    socket.write("220 localhost ESMTP\r\n");
+    socket.on("data", (chunk) => {
+      buffer += chunk.toString("utf8");
+
+      let end;
+
+      while ((end = buffer.indexOf("\r\n")) >= 0) {
+        const line = buffer.slice(0, end);
+        buffer = buffer.slice(end + 2);
+
+        if (data !== null) {
+          if (line === ".") {
+            messages.push({ ...message, data: data.join("\r\n") });
+            message = { to: [] };
+            data = null;
+            socket.write("250 OK queued\r\n");
+          } else {
+            // Undo dot-stuffing
+            data.push(line.startsWith(".") ? line.slice(1) : line);
+          }
+
+          continue;
+        }
+
+        const command = line.slice(0, 4).toUpperCase();
+
+        if (command === "EHLO" || command === "HELO") {
+          socket.write("250-localhost\r\n250 8BITMIME\r\n");
+        } else if (command === "MAIL") {
+          message.from = line.match(/<(.*)>/)[1];
+          socket.write("250 OK\r\n");
+        } else if (command === "RCPT") {
+          message.to.push(line.match(/<(.*)>/)[1]);
+          socket.write("250 OK\r\n");
+        } else if (command === "DATA") {
+          data = [];
+          socket.write("354 End data with <CR><LF>.<CR><LF>\r\n");
+        } else if (command === "QUIT") {
+          socket.end("221 Bye\r\n");
+        } else {
+          socket.write("250 OK\r\n");
+        }
+      }
+    });
+  });
+
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+
+  return {
+    port: server.address().port,
+    messages,
+    close: () => new Promise((resolve) => server.close(resolve)),
+  };
+}
@@ -0,0 +1,116 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+
+import {
+  UNSAFE_CONTENT,
+  htmlToText,
+  markdownToHtml,
+} from "../backend/utils/html.js";
+
+test("turns paragraphs and line breaks into HTML, escaping the text", () => {
+  const html = markdownToHtml(
+    "Dear team,\r\n\r\nI like R&D <3\nand 1 < 2.\n\n\n"
+  );
+
+  assert.equal(
+    html,
+    "<p>Dear team,</p>\n<p>I like R&amp;D &lt;3<br>and 1 &lt; 2.</p>"
+  );
+});
+
+test("renders lists, emphasis and safe links", () => {
+  const html = markdownToHtml(
+    [
+      "- **Node** and *Go*",
+      "- see [my __work__](https://example.com/a_b?x=1&y=2)",
+      "",
+      "1. first",
+      "2) second",
+      "",
+      "Mail [me](mailto:jane@example.com)",
+    ].join("\n")
+  );
+
+  assert.equal(
+    html,
+    [
+      '<ul><li><strong>Node</strong> and <em>Go</em></li><li>see <a href="https://example.com/a_b?x=1&amp;y=2">my <strong>work</strong></a></li></ul>',
+      "<ol><li>first</li><li>second</li></ol>",
+      '<p>Mail <a href="mailto:jane@example.com">me</a></p>',
+    ].join("\n")
+  );
+});
+
+test("accepts simple formatting tags as their Markdown", () => {
+  assert.equal(
+    markdownToHtml("<b>Bold</b>, <EM>italic</EM><br/>next"),
+    "<p><strong>Bold</strong>, <em>italic</em><br>next</p>"
+  );
+});
+
+test("rejects other tags, tags with attributes and unsafe links", () => {
+  for (const body of [
+    "<script>alert(1)</script>",
+    '<b onclick="x()">hi</b>',
+    '<a href="https://example.com">hi</a>',
+    "[hi](javascript:alert(1))",
+  ]) {
+    assert.throws(
+      () => markdownToHtml(body),
+      (error) => error.code === UNSAFE_CONTENT,
+      body
+    );
+  }
+});
+
+test("converts HTML emails to readable plain text", () => {
+  const text = htmlToText(`<!DOCTYPE html>
+<html><head><title>Hi</title><style>p { color: red; }</style></head>
+<body>
+  <!-- preheader -->
+  <p>Dear   team,</p>
+  <p>I &amp; my <strong>caf&eacute;</strong> &#8211; see <a href="https://example.com/cv">my CV</a>,
+  <a href="https://example.com">https://example.com</a> or <a href="mailto:jane@example.com">jane@example.com</a>.</p>
+  <ul><li>One</li><li>Two</li></ul>
+  <ol><li>First</li><li>Second</li></ol>
+  Best,<br>Jane<script>track()</script>
+</body></html>`);
+
+  assert.equal(
+    text,
+    [
+      "Dear team,",
+      "",
+      "I & my café – see my CV (https://example.com/cv), https://example.com or",
+      "jane@example.com.",
+      "",
+      "- One",
+      "- Two",
+      "",
+      "1. First",
+      "2. Second",
+      "",
+      "Best,",
+      "Jane",
+    ].join("\n")
+  );
+});
+
+test("wraps long lines at the configured width, indenting list items", () => {
+  const html =
+    "<ul><li>one two three four five six</li></ul><p>https://example.com/a-very-long-link</p>";
+
+  assert.equal(
+    htmlToText(html, { width: 15 }),
+    [
+      "- one two three",
+      "  four five six",
+      "",
+      "https://example.com/a-very-long-link",
+    ].join("\n")
+  );
+  assert.equal(
+    htmlToText("<p>one two three four</p>", { width: 0 }),
+    "one two three four"
+  );
+});
@@ -0,0 +1,169 @@
+import assert from "node:assert/strict";
+import { after, beforeEach, test } from "node:test";
+
+import { setEnvironment } from "./helpers/environment.js";
+import { startHttpServer } from "./helpers/httpServer.js";
+import { startPostgrest } from "./helpers/postgrest.js";
+
+const hunter = await startHttpServer(() => ({ status: 404 }));
+const postgrest = await startPostgrest();
+setEnvironment({
+  SUPABASE_URL: postgrest.url,
+  HUNTER_API_KEY: "hunter-key",
+  HUNTER_API_URL: `${hunter.url}/v2/`,
+  HUNTER_REQUESTS_PER_SECOND: "1000",
+  HUNTER_MAX_RETRIES: "2",
+  HUNTER_RETRY_BASE_DELAY: "1",
+});
+
+const {
+  HUNTER_QUOTA_EXCEEDED,
+  getHunterUsage,
+  hunterRequest,
+  resetHunterUsage,
+} = await import("../backend/api/hunterClient.js");
+const { verify } =
+  await import("../backend/api/verificationProviders/hunter.js");
+
+after(() => Promise.all([hunter.close(), postgrest.close()]));
+
+beforeEach(() => {
+  hunter.requests.length = 0;
+  postgrest.db.verification_cache = [];
+  resetHunterUsage();
+});
+
+/**
+ * Answer requests with a list of responses, repeating the last one
+ * @param {...Object} responses - Responses ({ status, headers, body })
+ */
+function respondWith(...responses) {
+  hunter.handler = () =>
+    responses.length > 1 ? responses.shift() : responses[0];
+}
+
+/**
+ * Build an email verifier response
+ * @param {Object} data - Verification fields
+ * @returns {Object} - Response
+ */
+function verification(data) {
+  return {
+    status: 200,
+    body: {
+      data: {
+        status: "valid",
+        score: 95,
+        result: "deliverable",
+        disposable: false,
+        webmail: false,
+        accept_all: false,
+        ...data,
+      },
+    },
+  };
+}
+
+test("sends the API key and leaves out empty parameters", async () => {
+  respondWith({ status: 200, body: { data: { emails: [] } } });
+
+  await hunterRequest("domain-search", {
+    domain: "acme.com",
+    department: "",
+    seniority: null,
+    limit: 10,
+  });
+
+  const [request] = hunter.requests;
+  assert.equal(request.url.pathname, "/v2/domain-search");
+  assert.deepEqual(Object.fromEntries(request.url.searchParams), {
+    domain: "acme.com",
+    limit: "10",
+    api_key: "hunter-key",
+  });
+});
+
+test("counts credits per endpoint, searches per 10 emails returned", async () => {
+  const emails = Array.from({ length: 11 }, (_, i) => ({ value: `${i}@a.io` }));
+  respondWith(
+    { status: 200, body: { data: { emails } } },
+    { status: 200, body: { data: { emails: [] } } },
+    verification({})
+  );
+
+  await hunterRequest("domain-search", { domain: "a.io" });
+  await hunterRequest("domain-search", { domain: "b.io" });
+  await hunterRequest("email-verifier", { email: "jane@a.io" });
+
+  assert.deepEqual(getHunterUsage(), {
+    requests: 3,
+    retries: 0,
+    credits: 2.5,
+    byEndpoint: {
+      "domain-search": { requests: 2, credits: 2 },
+      "email-verifier": { requests: 1, credits: 0.5 },
+    },
+    quotaExceeded: false,
+  });
+});
+
+test("retries rate limits and server errors, then gives up", async () => {
+  respondWith({ status: 403 }, { status: 502 }, { status: 200, body: {} });
+
+  await hunterRequest("account");
+  assert.equal(getHunterUsage().retries, 2);
+
+  respondWith({ status: 503 });
+  await assert.rejects(hunterRequest("account"), /Hunter API returned 503/);
+  assert.equal(getHunterUsage().requests, 6);
+});
+
+test("verifications are cached and reused", async () => {
+  respondWith(
+    verification({ status: "accept_all", score: 80, accept_all: true })
+  );
+
+  const first = await verify("Jane@Acme.com");
+  const second = await verify("jane@acme.com");
+
+  assert.equal(first.status, "accept_all");
+  assert.equal(first.isAcceptAll, true);
+  assert.equal(first.source, "hunter");
+  assert.deepEqual(second, first);
+  assert.equal(hunter.requests.length, 1);
+
+  const [entry] = postgrest.db.verification_cache;
+  assert.equal(entry.cache_key, "email:jane@acme.com");
+  assert.equal(entry.status, "accept_all");
+  assert.equal(entry.hit_count, 1);
+});
+
+test("a verification still pending after the retries is unknown and not cached", async () => {
+  respondWith({ status: 202, body: { data: {} } });
+
+  const result = await verify("slow@acme.com");
+
+  assert.equal(result.status, "unknown");
+  assert.equal(result.result, "pending");
+  assert.equal(result.isValid, false);
+  assert.equal(hunter.requests.length, 3);
+  assert.deepEqual(postgrest.db.verification_cache, []);
+
+  respondWith(verification({}));
+  assert.equal((await verify("slow@acme.com")).status, "valid");
+});
+
+// Runs last: the quota stays exhausted for the rest of the process
+test("an exhausted quota fails every later request without calling Hunter", async () => {
+  respondWith({ status: 429 });
+
+  for (let i = 0; i < 2; i++) {
+    await assert.rejects(hunterRequest("account"), (error) => {
+      assert.equal(error.code, HUNTER_QUOTA_EXCEEDED);
+      return true;
+    });
+  }
+
+  assert.equal(hunter.requests.length, 1);
+  assert.equal(getHunterUsage().quotaExceeded, true);
+});
@@ -0,0 +1,95 @@
+import assert from "node:assert/strict";
+import { after, test } from "node:test";
+
+import { startDnsServer } from "./helpers/dnsServer.js";
+import { setEnvironment } from "./helpers/environment.js";
+
+const dns = await startDnsServer({
+  "acme.com": { mx: ["mx.acme.com"] },
+  "gmail.com": { mx: ["gmail-smtp-in.l.google.com"] },
+  "no-mail.com": { mx: [""], a: ["192.0.2.1"] },
+  "a-only.com": { a: ["192.0.2.2"] },
+  "parked.com": {},
+  "broken.com": { servfail: true },
+});
+setEnvironment({
+  VERIFICATION_DNS_SERVERS: dns.address,
+  VERIFICATION_DNS_TIMEOUT: "1000",
+});
+
+const { checkMailServer, verify } =
+  await import("../backend/api/verificationProviders/local.js");
+
+after(() => dns.close());
+
+test("an address whose domain takes mail is valid with a modest score", async () => {
+  const result = await verify(" Jane.Doe@acme.com ");
+
+  assert.equal(result.email, "Jane.Doe@acme.com");
+  assert.equal(result.isValid, true);
+  assert.equal(result.status, "valid");
+  assert.equal(result.score, 50);
+  assert.equal(result.result, "risky");
+  assert.equal(result.reason, null);
+  assert.equal(result.isRole, false);
+  assert.equal(result.source, "local");
+});
+
+test("role accounts are flagged but still valid", async () => {
+  const result = await verify("careers@acme.com");
+
+  assert.equal(result.isRole, true);
+  assert.equal(result.status, "valid");
+});
+
+test("webmail addresses are reported as webmail, not valid", async () => {
+  const result = await verify("someone@gmail.com");
+
+  assert.equal(result.status, "webmail");
+  assert.equal(result.isWebmail, true);
+  assert.equal(result.isValid, false);
+});
+
+test("bad syntax, no-reply mailboxes and disposable domains fail without DNS", async () => {
+  for (const email of ["jane", "jane@acme", "jane..doe@acme.com", ""]) {
+    assert.equal((await verify(email)).reason, "invalid_syntax", email);
+  }
+
+  assert.equal(
+    (await verify("noreply@acme.com")).reason,
+    "undeliverable_account"
+  );
+
+  const disposable = await verify("jane@eu.mailinator.com");
+  assert.equal(disposable.status, "disposable");
+  assert.equal(disposable.isDisposable, true);
+  assert.equal(disposable.reason, "disposable_domain");
+});
+
+test("domains without a mail server are invalid", async () => {
+  const result = await verify("jane@missing.com");
+
+  assert.equal(result.status, "invalid");
+  assert.equal(result.reason, "no_mx_records");
+  assert.equal(result.score, 0);
+});
+
+test("mail servers come from MX records, or the A record without them", async () => {
+  assert.equal(await checkMailServer("acme.com"), "ok");
+  assert.equal(await checkMailServer("a-only.com"), "ok");
+  assert.equal(await checkMailServer("parked.com"), "none");
+  assert.equal(await checkMailServer("missing.com"), "none");
+});
+
+test("a null MX means no mail, even with an A record", async () => {
+  assert.equal(await checkMailServer("no-mail.com"), "none");
+});
+
+test("DNS failures leave the result unknown", async () => {
+  const result = await verify("jane@broken.com");
+
+  assert.equal(result.status, "unknown");
+  assert.equal(result.reason, "dns_error");
+  assert.equal(result.score, null);
+  assert.equal(result.isValid, false);
+});
@@ -0,0 +1,136 @@
+import assert from "node:assert/strict";
+import { after, beforeEach, test } from "node:test";
+
+import { setEnvironment } from "./helpers/environment.js";
+import { startPostgrest } from "./helpers/postgrest.js";
+
+const postgrest = await startPostgrest();
+setEnvironment({
+  SUPABASE_URL: postgrest.url,
+  SUPPRESSION_TTLS: "hard_bounce:30",
+});
+
+const {
+  EMAIL_SUPPRESSED,
+  addSuppression,
+  assertNotSuppressed,
+  canSuppressDomain,
+  createSuppressionMatcher,
+} = await import("../backend/api/suppressions.js");
+
+const DAY = 24 * 60 * 60 * 1000;
+const PAST = new Date(Date.now() - DAY).toISOString();
+const FUTURE = new Date(Date.now() + DAY).toISOString();
+
+after(() => postgrest.close());
+
+beforeEach(() => {
+  postgrest.db.suppressions = [];
+});
+
+test("matches addresses, domains and wildcard subdomains", () => {
+  const jane = { email: "jane@acme.com", domain: "acme.com", reason: "manual" };
+  const beta = { email: null, domain: "beta.io", reason: "unsubscribed" };
+  const gamma = { email: null, domain: "*.gamma.dev", reason: "spam_report" };
+  const isSuppressed = createSuppressionMatcher([jane, beta, gamma]);
+
+  assert.equal(isSuppressed(" Jane@ACME.com "), jane);
+  assert.equal(isSuppressed("bob@acme.com"), null);
+  assert.equal(isSuppressed("anyone@Beta.io"), beta);
+  assert.equal(isSuppressed("hr@jobs.gamma.dev"), gamma);
+  assert.equal(isSuppressed("hr@gamma.dev"), null);
+  assert.equal(isSuppressed("hr@notgamma.dev"), null);
+});
+
+test("also matches a company's domain without an address", () => {
+  const beta = { email: null, domain: "beta.io", reason: "manual" };
+  const isSuppressed = createSuppressionMatcher([beta]);
+
+  assert.equal(isSuppressed(null, "beta.io"), beta);
+  assert.equal(isSuppressed("old@elsewhere.com", "BETA.io"), beta);
+  assert.equal(isSuppressed(null, null), null);
+});
+
+test("ignores expired entries", () => {
+  const isSuppressed = createSuppressionMatcher([
+    { email: "old@acme.com", domain: "acme.com", expires_at: PAST },
+    { email: "new@acme.com", domain: "acme.com", expires_at: FUTURE },
+  ]);
+
+  assert.equal(isSuppressed("old@acme.com"), null);
+  assert.equal(isSuppressed("new@acme.com").email, "new@acme.com");
+});
+
+test("webmail domains cannot be suppressed as a whole", () => {
+  assert.equal(canSuppressDomain("acme.com"), true);
+  assert.equal(canSuppressDomain("gmail.com"), false);
+  assert.equal(canSuppressDomain("*.gmail.com"), false);
+  assert.equal(canSuppressDomain(""), false);
+});
+
+test("adding an entry normalises it and applies the reason's expiry", async () => {
+  const suppression = await addSuppression({
+    email: " Jane@Acme.com ",
+    reason: "hard_bounce",
+  });
+
+  assert.equal(suppression.email, "jane@acme.com");
+  assert.equal(suppression.domain, "acme.com");
+
+  const days = (new Date(suppression.expires_at) - Date.now()) / DAY;
+  assert.ok(days > 29.9 && days <= 30, `expires in ${days} days`);
+});
+
+test("adding an entry again keeps it, extended only if the new one lasts longer", async () => {
+  const first = await addSuppression(
+    { email: "jane@acme.com", reason: "manual" },
+    { days: 10 }
+  );
+  const shorter = await addSuppression(
+    { email: "jane@acme.com", reason: "manual" },
+    { days: 5 }
+  );
+  const forever = await addSuppression({
+    email: "jane@acme.com",
+    reason: "unsubscribed",
+  });
+
+  assert.equal(shorter.expires_at, first.expires_at);
+  assert.equal(forever.id, first.id);
+  assert.equal(forever.expires_at, null);
+  assert.equal(forever.reason, "unsubscribed");
+  assert.equal(postgrest.db.suppressions.length, 1);
+});
+
+test("refuses webmail domains and unknown reasons", async () => {
+  await assert.rejects(
+    addSuppression({ domain: "gmail.com", reason: "manual" }),
+    /gmail\.com is a webmail domain/
+  );
+  await assert.rejects(
+    addSuppression({ email: "jane@acme.com", reason: "annoyed" }),
+    /Unknown suppression reason "annoyed"/
+  );
+  assert.deepEqual(postgrest.db.suppressions, []);
+});
+
+test("sending to a suppressed recipient, cc or bcc is refused", async () => {
+  postgrest.db.suppressions = [
+    { id: "s1", email: null, domain: "beta.io", reason: "unsubscribed" },
+    { id: "s2", email: "old@acme.com", reason: "manual", expires_at: PAST },
+  ];
+
+  await assertNotSuppressed(["jane@acme.com", "old@acme.com", null]);
+  await assert.rejects(
+    assertNotSuppressed(["jane@acme.com", undefined, "hr@beta.io"]),
+    (error) => {
+      assert.equal(error.code, EMAIL_SUPPRESSED);
+      assert.equal(error.suppression.id, "s1");
+      assert.equal(
+        error.message,
+        "hr@beta.io is suppressed (unsubscribed: beta.io)"
+      );
+      return true;
+    }
+  );
+});
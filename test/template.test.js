@@ -0,0 +1,129 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+
+import {
+  TEMPLATE_UNRESOLVED,
+  renderTemplate,
+} from "../backend/utils/template.js";
+
+test("renders dotted paths, escaping their values", () => {
+  const html = renderTemplate(
+    "<p>{{ company.name }} in {{company.location}}</p>",
+    {
+      company: { name: "Tom & Jerry's <Cartoons>", location: "Paris" },
+    }
+  );
+
+  assert.equal(html, "<p>Tom &amp; Jerry&#39;s &lt;Cartoons&gt; in Paris</p>");
+});
+
+test("falls back to the first truthy alternative or a quoted default", () => {
+  const template = "Hi {{company.contact_name || user.greeting || 'there'}}";
+
+  assert.equal(
+    renderTemplate(template, { company: { contact_name: "Jane" } }),
+    "Hi Jane"
+  );
+  assert.equal(
+    renderTemplate(template, { company: { contact_name: "" }, user: {} }),
+    "Hi there"
+  );
+});
+
+test("renders if, unless and else branches", () => {
+  const template =
+    "{{#if user.phone}}Call {{user.phone}}{{else}}No phone{{/if}}, {{#unless user.remote}}on site{{/unless}}";
+
+  assert.equal(
+    renderTemplate(template, { user: { phone: "555", remote: false } }),
+    "Call 555, on site"
+  );
+  assert.equal(
+    renderTemplate(template, { user: { phone: "", remote: true } }),
+    "No phone, "
+  );
+});
+
+test("repeats each blocks with the item and its position", () => {
+  const template =
+    "{{#each user.links}}{{@index}}:{{label}}={{this.url}}{{#if @last}}.{{else}}, {{/if}}{{/each}}";
+  const html = renderTemplate(template, {
+    user: {
+      links: [
+        { label: "GitHub", url: "https://github.com/jane" },
+        { label: "Blog", url: "https://jane.dev?a=1&b=2" },
+      ],
+    },
+  });
+
+  assert.equal(
+    html,
+    "0:GitHub=https://github.com/jane, 1:Blog=https://jane.dev?a=1&amp;b=2."
+  );
+  assert.equal(
+    renderTemplate("{{#each tags}}{{this}}{{else}}none{{/each}}", { tags: [] }),
+    "none"
+  );
+});
+
+test("inserts slots without escaping them", () => {
+  const html = renderTemplate(
+    "<body>{{> body}}</body>",
+    {},
+    { slots: { body: "<p>Hello</p>" } }
+  );
+
+  assert.equal(html, "<body><p>Hello</p></body>");
+});
+
+test("reports every unresolved value, slot and list", () => {
+  assert.throws(
+    () =>
+      renderTemplate(
+        "{{user.name}} {{user.name}} {{> body}} {{#each user.links}}x{{/each}}",
+        { user: {} },
+        { name: "job-application" }
+      ),
+    (error) => {
+      assert.equal(error.code, TEMPLATE_UNRESOLVED);
+      assert.deepEqual(error.unresolved, [
+        "user.name",
+        "> body",
+        "#each user.links",
+      ]);
+      assert.match(error.message, /^Template "job-application" has no value/);
+      return true;
+    }
+  );
+});
+
+test("renders unresolved values as empty strings when not strict", () => {
+  assert.equal(renderTemplate("[{{user.name}}]", {}, { strict: false }), "[]");
+});
+
+test("can leave values unescaped or escape them differently", () => {
+  assert.equal(
+    renderTemplate("{{name}}", { name: "A & B" }, { escape: false }),
+    "A & B"
+  );
+  assert.equal(
+    renderTemplate("{{name}}", { name: "a b" }, { escape: encodeURIComponent }),
+    "a%20b"
+  );
+});
+
+test("rejects malformed templates with the line of the problem", () => {
+  assert.throws(
+    () => renderTemplate("line 1\n{{#if user.phone}}never closed"),
+    /line 2: \{\{#if user\.phone\}\} is never closed/
+  );
+  assert.throws(
+    () => renderTemplate("{{#with user}}{{/with}}"),
+    /unknown block \{\{#with user\}\}/
+  );
+  assert.throws(
+    () => renderTemplate("{{#if a}}x{{/each}}"),
+    /unexpected \{\{\/each\}\}/
+  );
+  assert.throws(() => renderTemplate("{{else}}"), /unexpected \{\{else\}\}/);
+});
@@ -0,0 +1,174 @@
+import assert from "node:assert/strict";
+import { after, before, beforeEach, test } from "node:test";
+
+import { setEnvironment } from "./helpers/environment.js";
+import { startPostgrest } from "./helpers/postgrest.js";
+
+const postgrest = await startPostgrest();
+setEnvironment({
+  SUPABASE_URL: postgrest.url,
+  EMAIL_TRACKING: "true",
+  PUBLIC_BASE_URL: "https://jobs.example.com/",
+  LINK_SIGNING_SECRET: "test-secret",
+});
+
+const { addTracking, getClickUrl, readClickToken } =
+  await import("../backend/api/tracking.js");
+const { createSignedToken } = await import("../backend/utils/signing.js");
+const { createServer } = await import("../backend/server/index.js");
+
+const EMAIL_ID = "7b0e3b1c-6a52-4d0f-9d7e-0c9f3a1e2b4d";
+
+const server = createServer();
+let baseUrl;
+
+before(async () => {
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() =>
+  Promise.all([
+    new Promise((resolve) => server.close(resolve)),
+    postgrest.close(),
+  ])
+);
+
+beforeEach(() => {
+  postgrest.db.emails = [{ id: EMAIL_ID, status: "delivered" }];
+  postgrest.db.email_events = [];
+});
+
+/**
+ * Point a tracked URL at the server under test
+ * @param {String} url - URL under PUBLIC_BASE_URL
+ * @returns {String} - Local URL
+ */
+function local(url) {
+  return url.replace("https://jobs.example.com", baseUrl);
+}
+
+/**
+ * Get the token of a tracked URL
+ * @param {String} url - Tracked URL
+ * @returns {String} - Token
+ */
+function tokenOf(url) {
+  return new URL(url).searchParams.get("token");
+}
+
+test("links go through signed redirects and a pixel ends the body", () => {
+  const html = addTracking(
+    '<html><body><a href="https://acme.com/?a=1&amp;b=2">Site</a> <a href="mailto:jane@acme.com">Mail</a></body></html>',
+    EMAIL_ID
+  );
+
+  const [, href] = html.match(/<a href="([^"]+)">Site<\/a>/);
+  const clickUrl = href.replace(/&amp;/g, "&");
+  assert.match(clickUrl, /^https:\/\/jobs\.example\.com\/track\/click\?token=/);
+  assert.deepEqual(readClickToken(tokenOf(clickUrl)), {
+    emailId: EMAIL_ID,
+    url: "https://acme.com/?a=1&b=2",
+  });
+
+  assert.ok(html.includes('<a href="mailto:jane@acme.com">Mail</a>'));
+  assert.match(
+    html,
+    /<img src="https:\/\/jobs\.example\.com\/track\/open\?token=[^"]+" width="1" height="1"[^>]*>\n<\/body><\/html>$/
+  );
+});
+
+test("emails without an ID are left untracked", () => {
+  const html = '<p><a href="https://acme.com">Site</a></p>';
+
+  assert.equal(addTracking(html, null), html);
+});
+
+test("click tokens must be signed for clicks and point to http(s)", () => {
+  assert.equal(readClickToken("forged.token"), null);
+  assert.equal(
+    readClickToken(
+      createSignedToken({ e: EMAIL_ID, u: "https://acme.com" }, "track-open")
+    ),
+    null
+  );
+  assert.equal(
+    readClickToken(
+      createSignedToken(
+        { e: EMAIL_ID, u: "javascript:alert(1)" },
+        "track-click"
+      )
+    ),
+    null
+  );
+});
+
+test("the pixel records an open and answers with a GIF", async () => {
+  const [, src] = addTracking("<p>Hi</p>", EMAIL_ID).match(/src="([^"]+)"/);
+
+  const response = await fetch(local(src), {
+    headers: { "User-Agent": "Mail/1.0" },
+  });
+
+  assert.equal(response.status, 200);
+  assert.equal(response.headers.get("content-type"), "image/gif");
+  assert.equal(
+    Buffer.from(await response.arrayBuffer())
+      .subarray(0, 6)
+      .toString(),
+    "GIF89a"
+  );
+
+  const [event] = postgrest.db.email_events;
+  assert.equal(event.email_id, EMAIL_ID);
+  assert.equal(event.type, "opened");
+  assert.equal(event.provider, "tracking");
+  assert.equal(event.user_agent, "Mail/1.0");
+});
+
+test("an invalid pixel still answers with the GIF but records nothing", async () => {
+  const response = await fetch(`${baseUrl}/track/open?token=forged`);
+
+  assert.equal(response.status, 200);
+  assert.equal(response.headers.get("content-type"), "image/gif");
+  assert.deepEqual(postgrest.db.email_events, []);
+});
+
+test("a click is recorded and redirected to the link", async () => {
+  const clickUrl = getClickUrl(EMAIL_ID, "https://acme.com/jobs");
+
+  const response = await fetch(local(clickUrl), { redirect: "manual" });
+
+  assert.equal(response.status, 302);
+  assert.equal(response.headers.get("location"), "https://acme.com/jobs");
+
+  const [event] = postgrest.db.email_events;
+  assert.equal(event.type, "clicked");
+  assert.equal(event.url, "https://acme.com/jobs");
+});
+
+test("a click still redirects when it cannot be recorded", async () => {
+  postgrest.fail = ({ table }) => table === "email_events";
+
+  try {
+    const response = await fetch(
+      local(getClickUrl(EMAIL_ID, "https://acme.com/jobs")),
+      { redirect: "manual" }
+    );
+
+    assert.equal(response.status, 302);
+    assert.equal(response.headers.get("location"), "https://acme.com/jobs");
+  } finally {
+    postgrest.fail = null;
+  }
+});
+
+test("a forged click link is refused without redirecting", async () => {
+  const response = await fetch(`${baseUrl}/track/click?token=forged`, {
+    redirect: "manual",
+  });
+
+  assert.equal(response.status, 400);
+  assert.equal(response.headers.get("location"), null);
+  assert.deepEqual(postgrest.db.email_events, []);
+});
@@ -0,0 +1,159 @@
+import assert from "node:assert/strict";
+import { after, beforeEach, test } from "node:test";
+
+import { setEnvironment } from "./helpers/environment.js";
+import { startPostgrest } from "./helpers/postgrest.js";
+
+const postgrest = await startPostgrest();
+setEnvironment({
+  SUPABASE_URL: postgrest.url,
+  LINK_SIGNING_SECRET: "test-secret",
+  PUBLIC_BASE_URL: "https://jobs.example.com/",
+  UNSUBSCRIBE_EMAIL: "optout@example.com",
+  UNSUBSCRIBE_FOOTER: "true",
+});
+
+const { createSignedToken, readSignedToken } =
+  await import("../backend/utils/signing.js");
+const {
+  addUnsubscribeFooter,
+  getUnsubscribeHeaders,
+  getUnsubscribeUrl,
+  readUnsubscribeToken,
+  unsubscribe,
+} = await import("../backend/api/unsubscribe.js");
+
+const EMAIL_ID = "7b0e3b1c-6a52-4d0f-9d7e-0c9f3a1e2b4d";
+
+after(() => postgrest.close());
+
+beforeEach(() => {
+  postgrest.db.suppressions = [];
+  postgrest.db.emails = [{ id: EMAIL_ID, company_id: "company-1" }];
+  postgrest.db.companies = [
+    { id: "company-1", contact_email: "jane@acme.com", domain: "acme.com" },
+    { id: "company-2", contact_email: "bob@acme.com", domain: "acme.com" },
+    { id: "company-3", contact_email: "eve@beta.io", domain: "beta.io" },
+  ].map((company) => ({ ...company, status: "contacted" }));
+});
+
+/**
+ * Get the token of an unsubscribe link
+ * @param {String} url - Unsubscribe link
+ * @returns {String} - Token
+ */
+function tokenOf(url) {
+  return new URL(url).searchParams.get("token");
+}
+
+test("signed tokens only read back for the purpose they were made for", () => {
+  const token = createSignedToken({ a: "jane@acme.com" }, "unsubscribe");
+
+  assert.deepEqual(readSignedToken(token, "unsubscribe"), {
+    a: "jane@acme.com",
+  });
+  assert.equal(readSignedToken(token, "track-open"), null);
+});
+
+test("tampered and malformed tokens are rejected", () => {
+  const token = createSignedToken({ a: "jane@acme.com" }, "unsubscribe");
+  const [, signature] = token.split(".");
+  const forged = `${Buffer.from(JSON.stringify({ a: "bob@acme.com" })).toString("base64url")}.${signature}`;
+
+  assert.equal(readSignedToken(forged, "unsubscribe"), null);
+  assert.equal(readSignedToken(`${token}x`, "unsubscribe"), null);
+  assert.equal(readSignedToken(`${token}.extra`, "unsubscribe"), null);
+  assert.equal(readSignedToken("", "unsubscribe"), null);
+  assert.equal(readSignedToken(undefined, "unsubscribe"), null);
+});
+
+test("links identify the lowercased recipient and the email", () => {
+  const url = getUnsubscribeUrl(" Jane@Acme.com ", EMAIL_ID);
+
+  assert.match(url, /^https:\/\/jobs\.example\.com\/unsubscribe\?token=/);
+  assert.deepEqual(readUnsubscribeToken(tokenOf(url)), {
+    address: "jane@acme.com",
+    domain: "acme.com",
+    emailId: EMAIL_ID,
+    canUnsubscribeDomain: true,
+  });
+  assert.equal(readUnsubscribeToken("not-a-token"), null);
+});
+
+test("webmail recipients cannot unsubscribe their whole domain", () => {
+  const url = getUnsubscribeUrl("someone@gmail.com");
+
+  assert.equal(readUnsubscribeToken(tokenOf(url)).canUnsubscribeDomain, false);
+});
+
+test("headers offer the one-click link and the mailbox", () => {
+  const headers = getUnsubscribeHeaders("jane@acme.com", EMAIL_ID);
+  const url = getUnsubscribeUrl("jane@acme.com", EMAIL_ID);
+
+  assert.deepEqual(headers, {
+    "List-Unsubscribe": `<${url}>, <mailto:optout@example.com?subject=unsubscribe>`,
+    "List-Unsubscribe-Post": "List-Unsubscribe=One-Click",
+  });
+});
+
+test("the footer goes before </body> and at the end of the text", () => {
+  const url = getUnsubscribeUrl("jane@acme.com", EMAIL_ID);
+  const content = addUnsubscribeFooter(
+    { html: "<html><body><p>Hi</p></body></html>", text: "Hi" },
+    "jane@acme.com",
+    EMAIL_ID
+  );
+
+  assert.match(
+    content.html,
+    /^<html><body><p>Hi<\/p><p [^>]+>Don't want to hear from me again\? <a href="[^"]+"[^>]*>Unsubscribe<\/a><\/p>\n<\/body><\/html>$/
+  );
+  assert.ok(content.html.includes(`href="${url}"`));
+  assert.equal(
+    content.text,
+    `Hi\n\n--\nDon't want to hear from me again? Unsubscribe: ${url}`
+  );
+});
+
+test("an opt-out suppresses the address and marks its companies", async () => {
+  const token = tokenOf(getUnsubscribeUrl("jane@acme.com", EMAIL_ID));
+
+  const suppression = await unsubscribe(token, { source: "one_click" });
+
+  assert.equal(suppression.email, "jane@acme.com");
+  assert.equal(suppression.domain, "acme.com");
+  assert.equal(suppression.reason, "unsubscribed");
+  assert.equal(suppression.source, "one_click");
+  assert.equal(suppression.company_id, "company-1");
+  assert.deepEqual(
+    postgrest.db.companies.map((company) => company.status),
+    ["unsubscribed", "contacted", "contacted"]
+  );
+});
+
+test("a domain opt-out suppresses everyone at the domain", async () => {
+  const token = tokenOf(getUnsubscribeUrl("jane@acme.com"));
+
+  const suppression = await unsubscribe(token, { scope: "domain" });
+
+  assert.equal(suppression.email, null);
+  assert.equal(suppression.domain, "acme.com");
+  assert.deepEqual(
+    postgrest.db.companies.map((company) => company.status),
+    ["unsubscribed", "unsubscribed", "contacted"]
+  );
+});
+
+test("a domain opt-out from a webmail address only suppresses the address", async () => {
+  const token = tokenOf(getUnsubscribeUrl("someone@gmail.com"));
+
+  const suppression = await unsubscribe(token, { scope: "domain" });
+
+  assert.equal(suppression.email, "someone@gmail.com");
+  assert.equal(postgrest.db.suppressions.length, 1);
+});
+
+test("invalid links are refused without suppressing anything", async () => {
+  await assert.rejects(unsubscribe("forged.token"), /Invalid unsubscribe link/);
+  assert.deepEqual(postgrest.db.suppressions, []);
+});
@@ -0,0 +1,127 @@
+import assert from "node:assert/strict";
+import { fileURLToPath } from "node:url";
+import { test } from "node:test";
+
+import { setEnvironment } from "./helpers/environment.js";
+
+setEnvironment({
+  VERIFICATION_MIN_SCORE: "10",
+  VERIFICATION_ALLOW_UNKNOWN: "true",
+  VERIFICATION_POLICY_FILE: fileURLToPath(
+    new URL("../config/verification-policy.example.json", import.meta.url)
+  ),
+});
+
+const { evaluateVerification, getVerificationPolicy } =
+  await import("../backend/api/verificationPolicy.js");
+
+test("the policy file overrides the environment", () => {
+  assert.deepEqual(getVerificationPolicy(), {
+    minScore: 70,
+    allowAcceptAll: false,
+    allowWebmail: false,
+    allowUnknown: false,
+    rejectDisposable: true,
+    industry: null,
+  });
+});
+
+test("industries get their overrides, matched case-insensitively", () => {
+  const policy = getVerificationPolicy(" startup ");
+
+  assert.equal(policy.industry, "Startup");
+  assert.equal(policy.minScore, 50);
+  assert.equal(policy.allowAcceptAll, true);
+  assert.equal(policy.allowWebmail, false);
+  assert.equal(getVerificationPolicy("Bakery").industry, null);
+});
+
+test("accepts valid addresses that reach the minimum score", () => {
+  assert.deepEqual(
+    evaluateVerification({
+      verification_status: "valid",
+      verification_score: 70,
+    }),
+    {
+      accepted: true,
+      decision: "accepted",
+      permanent: false,
+      reason: "Status valid, score 70",
+    }
+  );
+});
+
+test("invalid, bounced and disposable addresses are rejected for good", () => {
+  const policy = getVerificationPolicy("Startup");
+
+  for (const [contact, reason] of [
+    [{ verification_status: "invalid" }, "Address is invalid"],
+    [{ verification_status: "bounced" }, "Address is bounced"],
+    [
+      { verification_status: "valid", is_disposable: true },
+      "Disposable address",
+    ],
+  ]) {
+    assert.deepEqual(evaluateVerification(contact, policy), {
+      accepted: false,
+      decision: "rejected",
+      reason: `${reason} (Startup policy)`,
+      permanent: true,
+    });
+  }
+});
+
+test("rejections a policy change could lift are not permanent", () => {
+  const reject = (contact, industry) =>
+    evaluateVerification(contact, getVerificationPolicy(industry));
+
+  assert.deepEqual(
+    reject({ verification_status: "webmail", verification_score: 90 }),
+    {
+      accepted: false,
+      decision: "rejected",
+      reason: "Webmail address not allowed",
+      permanent: false,
+    }
+  );
+  assert.equal(
+    reject({ verification_status: "valid", is_accept_all: true }).reason,
+    "Accept-all domain not allowed"
+  );
+  assert.equal(reject({}).reason, "Verification result is unverified");
+  assert.equal(
+    reject({ verification_status: "unknown" }).reason,
+    "Verification result is unknown"
+  );
+  assert.equal(
+    reject({ verification_status: "valid", verification_score: 69 }).reason,
+    "Score 69 is below the minimum of 70"
+  );
+});
+
+test("industry overrides lift the matching rejections", () => {
+  const startup = getVerificationPolicy("Startup");
+  const agency = getVerificationPolicy("Design Agency");
+
+  assert.equal(
+    evaluateVerification(
+      { verification_status: "accept_all", verification_score: 55 },
+      startup
+    ).accepted,
+    true
+  );
+  assert.equal(
+    evaluateVerification(
+      { verification_status: "webmail", verification_score: 80 },
+      agency
+    ).reason,
+    "Status webmail, score 80 (Design Agency policy)"
+  );
+  assert.equal(
+    evaluateVerification(
+      { verification_status: "valid", verification_score: 60 },
+      agency
+    ).reason,
+    "Score 60 is below the minimum of 70 (Design Agency policy)"
+  );
+});
@@ -0,0 +1,243 @@
+import assert from "node:assert/strict";
+import crypto from "node:crypto";
+import { after, before, beforeEach, test } from "node:test";
+
+import { setEnvironment } from "./helpers/environment.js";
+import { startPostgrest } from "./helpers/postgrest.js";
+
+const postgrest = await startPostgrest({
+  unique: {
+    webhook_requests: [["replay_key"]],
+    email_events: [["provider", "provider_event_id"]],
+  },
+});
+const sendGridKeys = crypto.generateKeyPairSync("ec", {
+  namedCurve: "prime256v1",
+});
+setEnvironment({
+  SUPABASE_URL: postgrest.url,
+  MAILGUN_WEBHOOK_SIGNING_KEY: "mailgun-signing-key",
+  SENDGRID_WEBHOOK_PUBLIC_KEY: sendGridKeys.publicKey
+    .export({ format: "der", type: "spki" })
+    .toString("base64"),
+});
+
+const { createServer } = await import("../backend/server/index.js");
+
+const EMAIL_ID = "7b0e3b1c-6a52-4d0f-9d7e-0c9f3a1e2b4d";
+
+const server = createServer();
+let baseUrl;
+
+before(async () => {
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() =>
+  Promise.all([
+    new Promise((resolve) => server.close(resolve)),
+    postgrest.close(),
+  ])
+);
+
+beforeEach(() => {
+  postgrest.fail = null;
+  postgrest.db.emails = [
+    {
+      id: EMAIL_ID,
+      company_id: "company-1",
+      message_id: "sg-message-1",
+      status: "sent",
+    },
+  ];
+  postgrest.db.email_events = [];
+  postgrest.db.webhook_requests = [];
+});
+
+/**
+ * Build a Mailgun delivered event, signed with the signing key
+ * @param {Object} options - Event options
+ * @param {String} options.token - Signed token (default: a random one)
+ * @param {Number} options.timestamp - Unix timestamp (default: now)
+ * @returns {Object} - Webhook body
+ */
+function mailgunEvent(options = {}) {
+  const timestamp = String(options.timestamp ?? Math.floor(Date.now() / 1000));
+  const token = options.token || crypto.randomUUID();
+
+  return {
+    signature: {
+      timestamp,
+      token,
+      signature: crypto
+        .createHmac("sha256", "mailgun-signing-key")
+        .update(`${timestamp}${token}`)
+        .digest("hex"),
+    },
+    "event-data": {
+      event: "delivered",
+      id: `event-${token}`,
+      timestamp: Number(timestamp),
+      recipient: "jane@acme.com",
+      "user-variables": { email_id: EMAIL_ID },
+    },
+  };
+}
+
+/**
+ * Post a webhook request to the server under test
+ * @param {String} provider - "mailgun" or "sendgrid"
+ * @param {Object|String} body - Body (objects are sent as JSON)
+ * @param {Object} headers - Extra headers
+ * @returns {Promise<Object>} - Status and parsed response ({ status, body })
+ */
+async function post(provider, body, headers = {}) {
+  const response = await fetch(`${baseUrl}/webhooks/${provider}`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json", ...headers },
+    body: typeof body === "string" ? body : JSON.stringify(body),
+  });
+
+  return { status: response.status, body: await response.json() };
+}
+
+/**
+ * Sign a SendGrid webhook body
+ * @param {String} body - Raw body
+ * @returns {Object} - Signature headers
+ */
+function sendGridHeaders(body) {
+  const timestamp = String(Math.floor(Date.now() / 1000));
+
+  return {
+    "X-Twilio-Email-Event-Webhook-Timestamp": timestamp,
+    "X-Twilio-Email-Event-Webhook-Signature": crypto
+      .sign("sha256", Buffer.from(timestamp + body), sendGridKeys.privateKey)
+      .toString("base64"),
+  };
+}
+
+test("a signed Mailgun event is recorded", async () => {
+  const response = await post("mailgun", mailgunEvent({ token: "t1" }));
+
+  assert.equal(response.status, 200);
+  assert.equal(response.body.status, "success");
+  assert.equal(response.body.emailId, EMAIL_ID);
+
+  const [event] = postgrest.db.email_events;
+  assert.equal(event.type, "delivered");
+  assert.equal(event.provider, "mailgun");
+  assert.equal(event.provider_event_id, "event-t1");
+  assert.deepEqual(
+    postgrest.db.webhook_requests.map((request) => request.replay_key),
+    ["mailgun:t1"]
+  );
+});
+
+test("unsigned, forged and stale Mailgun requests get a 401", async () => {
+  const { signature, ...unsigned } = mailgunEvent();
+  const forged = mailgunEvent();
+  forged.signature.signature = "0".repeat(64);
+  const stale = mailgunEvent({
+    timestamp: Math.floor(Date.now() / 1000) - 10 * 60 * 60,
+  });
+
+  for (const [body, error] of [
+    [unsigned, "Mailgun webhook request is not signed"],
+    [forged, "Mailgun webhook signature is invalid"],
+    [stale, "Webhook request timestamp is outside the tolerance"],
+  ]) {
+    assert.deepEqual(await post("mailgun", body), {
+      status: 401,
+      body: { success: false, error },
+    });
+  }
+
+  assert.deepEqual(postgrest.db.email_events, []);
+  assert.deepEqual(postgrest.db.webhook_requests, []);
+});
+
+test("a replayed Mailgun request gets a 401", async () => {
+  const body = mailgunEvent();
+
+  assert.equal((await post("mailgun", body)).status, 200);
+  assert.deepEqual(await post("mailgun", body), {
+    status: 401,
+    body: { success: false, error: "Webhook request was already received" },
+  });
+  assert.equal(postgrest.db.email_events.length, 1);
+});
+
+test("a failed Mailgun event gets a 500 and its retry is accepted", async () => {
+  const body = mailgunEvent();
+  postgrest.fail = ({ method, table }) =>
+    method === "POST" && table === "email_events";
+
+  const failed = await post("mailgun", body);
+
+  assert.equal(failed.status, 500);
+  assert.equal(failed.body.status, "error");
+  assert.deepEqual(postgrest.db.webhook_requests, []);
+
+  postgrest.fail = null;
+  const retried = await post("mailgun", body);
+
+  assert.equal(retried.status, 200);
+  assert.equal(postgrest.db.email_events.length, 1);
+});
+
+test("a signed SendGrid batch is recorded, and a tampered one gets a 401", async () => {
+  const body = JSON.stringify([
+    {
+      event: "delivered",
+      sg_event_id: "sg-event-1",
+      sg_message_id: "sg-message-1.filter-1",
+      email: "jane@acme.com",
+      timestamp: Math.floor(Date.now() / 1000),
+    },
+  ]);
+  const headers = sendGridHeaders(body);
+
+  const tampered = await post(
+    "sendgrid",
+    body.replace("delivered", "bounce"),
+    headers
+  );
+  assert.equal(tampered.status, 401);
+  assert.equal(tampered.body.error, "SendGrid webhook signature is invalid");
+
+  const response = await post("sendgrid", body, headers);
+  assert.equal(response.status, 200);
+  assert.equal(response.body.results[0].emailId, EMAIL_ID);
+  assert.equal(postgrest.db.email_events[0].provider_event_id, "sg-event-1");
+
+  const replayed = await post("sendgrid", body, headers);
+  assert.equal(replayed.status, 401);
+  assert.equal(replayed.body.error, "Webhook request was already received");
+});
+
+test("a SendGrid batch with a failed event gets a 500 and its retry is accepted", async () => {
+  const body = JSON.stringify([
+    {
+      event: "open",
+      sg_event_id: "sg-event-2",
+      sg_message_id: "sg-message-1.filter-1",
+      email: "jane@acme.com",
+    },
+  ]);
+  postgrest.fail = ({ method, table }) =>
+    method === "POST" && table === "email_events";
+
+  const failed = await post("sendgrid", body, sendGridHeaders(body));
+
+  assert.equal(failed.status, 500);
+  assert.equal(failed.body.message, "Failed to process 1 of 1 SendGrid events");
+  assert.deepEqual(postgrest.db.webhook_requests, []);
+
+  postgrest.fail = null;
+  const retried = await post("sendgrid", body, sendGridHeaders(body));
+
+  assert.equal(retried.status, 200);
+  assert.equal(postgrest.db.email_events[0].type, "opened");
+});